@@ -3,6 +3,54 @@
 // Core Application Logic
 // ============================================
 
+// ============================================
+// Application Configuration
+// ============================================
+const AppConfig = {
+    // Entry storage backend used by the views: 'indexeddb', 'local', 'supabase' or 'memory'
+    // ('indexeddb' uses localStorage in browsers without IndexedDB)
+    storageBackend: 'indexeddb',
+
+    // Mirror local saves into Supabase wellness_checkins through the sync outbox (ENABLE_CLOUD_SYNC)
+    enableCloudSync: false,
+
+    // When the supabase backend is unreachable, save locally and queue for sync (FALLBACK_TO_LOCALSTORAGE)
+    fallbackToLocalStorage: true,
+
+    // Sync retry backoff: first retry delay, maximum delay and periodic check interval (ms)
+    syncRetryBaseMs: 5000,
+    syncRetryMaxMs: 5 * 60 * 1000,
+    syncIntervalMs: 60 * 1000,
+
+    // Incremental pulls re-read this much before the last pull to tolerate device clock skew (ms)
+    syncPullOverlapMs: 24 * 60 * 60 * 1000,
+
+    // How long entries fetched from a remote backend are reused before refetching (ms)
+    cacheTtlMs: 5 * 60 * 1000,
+
+    // Remind users to download a JSON backup every N days (ENABLE_BACKUP_REMINDER / BACKUP_REMINDER_DAYS)
+    enableBackupReminder: true,
+    backupReminderDays: 30,
+
+    // Daily check-in reminder notifications and how often due reminders are checked (ENABLE_REMINDERS, ms)
+    enableReminders: true,
+    reminderCheckIntervalMs: 30 * 1000,
+
+    // Console logging (see logger.js): level 'debug', 'info', 'warn', 'error' or 'silent' (LOG_LEVEL),
+    // null = 'debug' on localhost or with debug (DEBUG), 'silent' in production
+    logLevel: null,
+    debug: false,
+
+    // Recent log messages kept in memory for the diagnostics export (0 = off)
+    logBufferSize: 200,
+
+    // How often an open app checks for a new deployed version (ms)
+    updateCheckIntervalMs: 60 * 60 * 1000,
+
+    // Analytics "This semester" starts on the most recent of these dates, as MM-DD (SEMESTER_START_DATES)
+    semesterStartDates: ['01-10', '08-20']
+};
+
 // ============================================
 // Authentication & Session Management
 // ============================================
@@ -10,6 +58,15 @@ const AuthManager = {
     usersKey: 'wellnessTrackerUsers',
     currentUserKey: 'wellnessTrackerCurrentUser',
 
+    // PBKDF2 settings - raise iterations over time; older hashes are upgraded on login
+    passwordHashConfig: {
+        prefix: 'pbkdf2',
+        iterations: 310000,
+        saltBytes: 16,
+        keyBits: 256,
+        digest: 'SHA-256'
+    },
+
     /**
      * Get all registered users
      * @returns {Array} Array of user objects
@@ -19,7 +76,7 @@ const AuthManager = {
             const data = localStorage.getItem(this.usersKey);
             return data ? JSON.parse(data) : [];
         } catch (error) {
-            console.error('Error reading users:', error);
+            Logger.error('Error reading users:', error);
             return [];
         }
     },
@@ -33,7 +90,7 @@ const AuthManager = {
             const data = localStorage.getItem(this.currentUserKey);
             return data ? JSON.parse(data) : null;
         } catch (error) {
-            console.error('Error reading current user:', error);
+            Logger.error('Error reading current user:', error);
             return null;
         }
     },
@@ -43,39 +100,39 @@ const AuthManager = {
      * @param {string} name - User's full name
      * @param {string} email - User's email
      * @param {string} password - User's password
-     * @returns {Object} Result object with success status and message
+     * @returns {Promise<Object>} Result object with success status and message
      */
-    registerUser(name, email, password) {
+    async registerUser(name, email, password) {
         try {
-            console.log('[Register] Starting registration for:', email);
+            Logger.debug('[Register] Starting registration for:', email);
             
             // Validate inputs
             if (!name || !email || !password) {
-                console.log('[Register] Missing required fields');
+                Logger.debug('[Register] Missing required fields');
                 return { success: false, message: 'All fields are required' };
             }
             if (password.length < 6) {
-                console.log('[Register] Password too short');
+                Logger.debug('[Register] Password too short');
                 return { success: false, message: 'Password must be at lea st 6 characters' };
             }
             if (!this.isValidEmail(email)) {
-                console.log('[Register] Invalid email format');
+                Logger.debug('[Register] Invalid email format');
                 return { success: false, message: 'Invalid email format' };
             }
 
             const users = this.getAllUsers();
-            console.log('[Register] Current users:', users.length);
+            Logger.debug('[Register] Current users:', users.length);
             
             // Check if user already exists
             if (users.find(u => u.email === email)) {
-                console.log('[Register] Email already exists');
+                Logger.debug('[Register] Email already exists');
                 return { success: false, message: 'Email already registered' };
             }
 
             // Create new user with hashed password
-            console.log('[Register] Hashing password...');
-            const hashedPassword = AuthManager.hashPassword(password);
-            console.log('[Register] Password hashed successfully');
+            Logger.debug('[Register] Hashing password...');
+            const hashedPassword = await AuthManager.hashPassword(password);
+            Logger.debug('[Register] Password hashed successfully');
             
             const newUser = {
                 id: Date.now(),
@@ -85,14 +142,21 @@ const AuthManager = {
                 createdAt: new Date().toISOString()
             };
 
-            users.push(newUser);
-            localStorage.setItem(this.usersKey, JSON.stringify(users));
-            console.log('[Register] User saved to localStorage');
+            // Re-read: another registration for this email may have finished while hashing
+            const latestUsers = this.getAllUsers();
+            if (latestUsers.find(u => u.email === email)) {
+                Logger.debug('[Register] Email registered while hashing');
+                return { success: false, message: 'Email already registered' };
+            }
+
+            latestUsers.push(newUser);
+            localStorage.setItem(this.usersKey, JSON.stringify(latestUsers));
+            Logger.debug('[Register] User saved to localStorage');
 
             return { success: true, message: 'Account created successfully' };
         } catch (error) {
-            console.error('[Register] Registration error:', error);
-            console.error('[Register] Error details:', error.message, error.stack);
+            Logger.error('[Register] Registration error:', error);
+            Logger.error('[Register] Error details:', error.message, error.stack);
             return { success: false, message: 'Registration failed: ' + error.message };
         }
     },
@@ -101,9 +165,9 @@ const AuthManager = {
      * Login user
      * @param {string} email - User's email
      * @param {string} password - User's password
-     * @returns {Object} Result object with success status and user data
+     * @returns {Promise<Object>} Result object with success status and user data
      */
-    loginUser(email, password) {
+    async loginUser(email, password) {
         try {
             if (!email || !password) {
                 return { success: false, message: 'Email and password are required' };
@@ -117,21 +181,69 @@ const AuthManager = {
             }
 
             // Compare passwords using hash
-            if (!AuthManager.verifyPassword(password, user.password)) {
+            if (!(await AuthManager.verifyPassword(password, user.password))) {
                 return { success: false, message: 'Incorrect password' };
             }
 
+            // Upgrade legacy or under-strength hashes now that we have the plain password
+            if (AuthManager.needsRehash(user.password)) {
+                await this.upgradePasswordHash(user.email, password);
+            }
+
             // Store current user (without password)
-            const currentUser = { id: user.id, name: user.name, email: user.email };
+            const currentUser = { id: user.id, name: user.name, email: user.email, timeZone: user.timeZone || null };
             localStorage.setItem(this.currentUserKey, JSON.stringify(currentUser));
 
             return { success: true, user: currentUser, message: 'Login successful' };
         } catch (error) {
-            console.error('Login error:', error);
+            Logger.error('Login error:', error);
             return { success: false, message: 'Login failed' };
         }
     },
 
+    /**
+     * Re-hash a user's password with the current PBKDF2 settings
+     * Called after a successful login so existing accounts migrate transparently
+     * @param {string} email - User's email
+     * @param {string} password - Verified plain text password
+     */
+    async upgradePasswordHash(email, password) {
+        try {
+            const newHash = await AuthManager.hashPassword(password);
+            const users = this.getAllUsers();
+            const user = users.find(u => u.email === email);
+            if (!user) return;
+
+            user.password = newHash;
+            localStorage.setItem(this.usersKey, JSON.stringify(users));
+            Logger.info('[Login] Password hash upgraded');
+        } catch (error) {
+            // Login still succeeds; the upgrade is retried next time
+            Logger.error('[Login] Password hash upgrade failed:', error);
+        }
+    },
+
+    /**
+     * Update profile fields of the current user (e.g. timeZone)
+     * @param {Object} updates - Fields to change
+     * @returns {Object|null} Updated current user or null if not logged in
+     */
+    updateProfile(updates) {
+        const currentUser = this.getCurrentUser();
+        if (!currentUser) return null;
+
+        const users = this.getAllUsers();
+        const user = users.find(u => u.email === currentUser.email);
+        if (user) {
+            Object.assign(user, updates);
+            localStorage.setItem(this.usersKey, JSON.stringify(users));
+        }
+
+        const updatedUser = { ...currentUser, ...updates };
+        localStorage.setItem(this.currentUserKey, JSON.stringify(updatedUser));
+        return updatedUser;
+    },
+
     /**
      * Logout current user
      */
@@ -139,7 +251,7 @@ const AuthManager = {
         try {
             localStorage.removeItem(this.currentUserKey);
         } catch (error) {
-            console.error('Logout error:', error);
+            Logger.error('Logout error:', error);
         }
     },
 
@@ -154,57 +266,144 @@ const AuthManager = {
     },
 
     /**
-     * Hash password using PBKDF2 (Web Crypto API)
-     * More secure than base64 encoding
+     * Hash password using PBKDF2-SHA256 (Web Crypto API)
+     * A random salt is generated per user unless one is supplied.
+     * Stored format: pbkdf2$<iterations>$<salt base64>$<hash base64>
      * @param {string} password - Plain text password
-     * @returns {string} Hashed password (base64 encoded hash)
+     * @param {Uint8Array} [salt] - Salt to reuse (when verifying)
+     * @param {number} [iterations] - Iteration count (defaults to passwordHashConfig)
+     * @returns {Promise<string>} Encoded password hash
      */
-    hashPassword(password) {
-        try {
-            console.log('[Hash] Creating hash for password of length:', password.length);
-            
-            // Create a simple hash using combination of password + timestamp for salt
-            // For production, use bcrypt or Argon2 with a proper backend
-            const salt = 'wellness-tracker-salt-'; // Static salt for demo (not production-ready)
-            const combined = salt + password;
-            
-            // Create hash using DJB2 algorithm (deterministic)
-            let hash = 0;
-            for (let i = 0; i < combined.length; i++) {
-                const char = combined.charCodeAt(i);
-                hash = ((hash << 5) - hash) + char;
-                hash = hash & hash; // Convert to 32bit integer
-            }
-            
-            // Additional encoding with base64 for storage
-            const hashString = Math.abs(hash).toString(16);
-            const result = btoa(hashString + ':' + password.length);
-            console.log('[Hash] Hash created successfully, length:', result.length);
-            return result;
-        } catch (error) {
-            console.error('[Hash] Password hashing error:', error);
-            console.error('[Hash] Fallback to base64');
-            return btoa(password); // Fallback to base64 if hashing fails
+    async hashPassword(password, salt, iterations) {
+        if (!window.crypto || !window.crypto.subtle) {
+            throw new Error('Secure password hashing is unavailable. Please open the app over HTTPS.');
+        }
+
+        const config = this.passwordHashConfig;
+        const rounds = iterations || config.iterations;
+        const saltBytes = salt || window.crypto.getRandomValues(new Uint8Array(config.saltBytes));
+
+        const keyMaterial = await window.crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(password),
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+        const derivedBits = await window.crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: saltBytes, iterations: rounds, hash: config.digest },
+            keyMaterial,
+            config.keyBits
+        );
+
+        return [
+            config.prefix,
+            rounds,
+            this.bytesToBase64(saltBytes),
+            this.bytesToBase64(new Uint8Array(derivedBits))
+        ].join('$');
+    },
+
+    /**
+     * Original DJB2-based hash with a fixed salt
+     * Kept only so accounts created before PBKDF2 can still sign in and be upgraded
+     * @param {string} password - Plain text password
+     * @returns {string} Legacy hash
+     */
+    hashLegacyPassword(password) {
+        const combined = 'wellness-tracker-salt-' + password;
+        let hash = 0;
+        for (let i = 0; i < combined.length; i++) {
+            hash = ((hash << 5) - hash) + combined.charCodeAt(i);
+            hash = hash & hash; // Convert to 32bit integer
         }
+        return btoa(Math.abs(hash).toString(16) + ':' + password.length);
+    },
+
+    /**
+     * Check whether a stored hash predates PBKDF2
+     * @param {string} storedHash - Stored hashed password
+     * @returns {boolean} True if hash uses the legacy format
+     */
+    isLegacyHash(storedHash) {
+        return typeof storedHash !== 'string' || !storedHash.startsWith(this.passwordHashConfig.prefix + '$');
+    },
+
+    /**
+     * Check whether a stored hash should be recomputed on next login
+     * (legacy format or fewer iterations than currently configured)
+     * @param {string} storedHash - Stored hashed password
+     * @returns {boolean} True if hash should be upgraded
+     */
+    needsRehash(storedHash) {
+        if (this.isLegacyHash(storedHash)) return true;
+        const iterations = parseInt(storedHash.split('$')[1]);
+        return !(iterations >= this.passwordHashConfig.iterations);
     },
 
     /**
      * Verify password against stored hash
      * @param {string} plainPassword - Plain text password to verify
      * @param {string} storedHash - Stored hashed password
-     * @returns {boolean} True if password matches
+     * @returns {Promise<boolean>} True if password matches
      */
-    verifyPassword(plainPassword, storedHash) {
+    async verifyPassword(plainPassword, storedHash) {
         try {
-            // Hash the provided password and compare
-            const hashedInput = this.hashPassword(plainPassword);
-            
-            // Use timing-safe comparison to prevent timing attacks
-            return storedHash === hashedInput;
+            if (this.isLegacyHash(storedHash)) {
+                return this.timingSafeEqual(this.hashLegacyPassword(plainPassword), storedHash || '');
+            }
+
+            const [, iterations, saltB64] = storedHash.split('$');
+            const hashedInput = await this.hashPassword(
+                plainPassword,
+                this.base64ToBytes(saltB64),
+                parseInt(iterations)
+            );
+            return this.timingSafeEqual(hashedInput, storedHash);
         } catch (error) {
-            console.error('Password verification error:', error);
+            Logger.error('Password verification error:', error);
             return false;
         }
+    },
+
+    /**
+     * Compare two strings in constant time to prevent timing attacks
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {boolean} True if strings are identical
+     */
+    timingSafeEqual(a, b) {
+        if (a.length !== b.length) return false;
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return diff === 0;
+    },
+
+    /**
+     * Encode bytes as base64
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} Base64 string
+     */
+    bytesToBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    },
+
+    /**
+     * Decode base64 into bytes
+     * @param {string} base64 - Base64 string
+     * @returns {Uint8Array} Decoded bytes
+     */
+    base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
     }
 };
 
@@ -213,17 +412,17 @@ const AuthManager = {
 // ============================================
 const LoginPageManager = {
     init() {
-        console.log('[LoginPageManager] Initializing...');
+        Logger.debug('[LoginPageManager] Initializing...');
         
         // Check if user is already logged in
         const currentUser = AuthManager.getCurrentUser();
         if (currentUser) {
-            console.log('[LoginPageManager] User already logged in:', currentUser.email);
+            Logger.debug('[LoginPageManager] User already logged in:', currentUser.email);
             this.showMainApp(currentUser);
             return;
         }
 
-        console.log('[LoginPageManager] No user logged in, showing login page');
+        Logger.debug('[LoginPageManager] No user logged in, showing login page');
         
         // Show login page
         this.setupLoginForm();
@@ -241,16 +440,16 @@ const LoginPageManager = {
         const loginPassword = document.getElementById('loginPassword');
 
         if (loginSubmitBtn) {
-            loginSubmitBtn.addEventListener('click', (e) => {
+            loginSubmitBtn.addEventListener('click', async (e) => {
                 e.preventDefault();
                 const email = loginEmail.value.trim();
                 const password = loginPassword.value;
 
-                const result = AuthManager.loginUser(email, password);
+                const result = await AuthManager.loginUser(email, password);
                 if (result.success) {
                     this.showMainApp(result.user);
                 } else {
-                    alert('❌ ' + result.message);
+                    ErrorHandler.showError('Sign In Failed', result.message);
                 }
             });
         }
@@ -272,35 +471,42 @@ const LoginPageManager = {
         const registerPassword = document.getElementById('registerPassword');
         const registerPasswordConfirm = document.getElementById('registerPasswordConfirm');
 
-        console.log('[RegisterForm] Setup started');
-        console.log('[RegisterForm] Button found:', !!registerSubmitBtn);
-        console.log('[RegisterForm] Fields found:', !!registerName, !!registerEmail, !!registerPassword, !!registerPasswordConfirm);
+        Logger.debug('[RegisterForm] Setup started');
+        Logger.debug('[RegisterForm] Button found:', !!registerSubmitBtn);
+        Logger.debug('[RegisterForm] Fields found:', !!registerName, !!registerEmail, !!registerPassword, !!registerPasswordConfirm);
 
         if (registerSubmitBtn) {
-            registerSubmitBtn.addEventListener('click', (e) => {
+            registerSubmitBtn.addEventListener('click', async (e) => {
                 e.preventDefault();
-                console.log('[RegisterForm] Submit clicked');
+                Logger.debug('[RegisterForm] Submit clicked');
+                // Ignore double-submits while the password is being hashed
+                if (registerSubmitBtn.disabled) return;
                 
                 const name = registerName.value.trim();
                 const email = registerEmail.value.trim();
                 const password = registerPassword.value;
                 const passwordConfirm = registerPasswordConfirm.value;
 
-                console.log('[RegisterForm] Form values - name:', name, 'email:', email, 'password length:', password.length);
 
                 // Validation
                 if (password !== passwordConfirm) {
-                    console.log('[RegisterForm] Passwords do not match');
-                    alert('❌ Passwords do not match');
+                    Logger.debug('[RegisterForm] Passwords do not match');
+                    ErrorHandler.showError('Registration Failed', 'Passwords do not match');
                     return;
                 }
 
-                console.log('[RegisterForm] Calling registerUser...');
-                const result = AuthManager.registerUser(name, email, password);
-                console.log('[RegisterForm] Register result:', result);
+                Logger.debug('[RegisterForm] Calling registerUser...');
+                registerSubmitBtn.disabled = true;
+                let result;
+                try {
+                    result = await AuthManager.registerUser(name, email, password);
+                } finally {
+                    registerSubmitBtn.disabled = false;
+                }
+                Logger.debug('[RegisterForm] Register result:', result);
                 
                 if (result.success) {
-                    alert('✅ ' + result.message + ' You can now sign in.');
+                    ErrorHandler.showSuccess(result.message + ' You can now sign in.');
                     this.switchForm('login');
                     // Clear form
                     registerName.value = '';
@@ -308,7 +514,7 @@ const LoginPageManager = {
                     registerPassword.value = '';
                     registerPasswordConfirm.value = '';
                 } else {
-                    alert('❌ ' + result.message);
+                    ErrorHandler.showError('Registration Failed', result.message);
                 }
             });
         }
@@ -374,18 +580,18 @@ const LoginPageManager = {
         const loginForm = document.getElementById('loginForm');
         const registerForm = document.getElementById('registerForm');
 
-        console.log('[SwitchForm] Switching to:', formName);
-        console.log('[SwitchForm] Login form found:', !!loginForm);
-        console.log('[SwitchForm] Register form found:', !!registerForm);
+        Logger.debug('[SwitchForm] Switching to:', formName);
+        Logger.debug('[SwitchForm] Login form found:', !!loginForm);
+        Logger.debug('[SwitchForm] Register form found:', !!registerForm);
 
         if (formName === 'login') {
             if (loginForm) loginForm.classList.add('active-form');
             if (registerForm) registerForm.classList.remove('active-form');
-            console.log('[SwitchForm] Login form shown');
+            Logger.debug('[SwitchForm] Login form shown');
         } else {
             if (loginForm) loginForm.classList.remove('active-form');
             if (registerForm) registerForm.classList.add('active-form');
-            console.log('[SwitchForm] Register form shown');
+            Logger.debug('[SwitchForm] Register form shown');
         }
     },
 
@@ -401,10 +607,37 @@ const LoginPageManager = {
         if (userGreeting) {
             userGreeting.textContent = `👤 ${user.name}`;
         }
+
+        // Fix entries saved under the UTC day by older versions
+        // (before IndexedDBStore copies them out of localStorage on first use)
+        StorageManager.migrateUtcDateKeys();
+        UIManager.updateDateDisplay();
+
+        // This user's activity tags and custom metrics on the check-in form
+        ActivityTags.renderCheckboxes();
+        CustomMetrics.renderFields();
+
+        // A check-in left unsaved at logout (or when the tab closed)
+        CheckInView.offerDraft();
+
+        // Show the view the URL asked for (e.g. a link to a day in History)
+        Router.handleRoute();
+
+        // Pick up this user's pending uploads and conflicts
+        SyncManager.updateIndicator();
+        SyncManager.scheduleFlush(0);
+        ConflictManager.updateBanner();
+        BackupManager.updateReminderBanner();
     },
 
     logout() {
+        // Keep this user's unsaved check-in for their next login
+        CheckInView.saveDraftNow();
         AuthManager.logout();
+        CheckInView.resetForm();
+        CheckInView.offerDraft();
+        Router.reset();
+
         const loginPage = document.getElementById('loginPage');
         const mainApp = document.getElementById('mainApp');
 
@@ -445,13 +678,15 @@ const ValidationHelper = {
     },
 
     /**
-     * Validates sleep hours (0-24)
+     * Validates sleep hours (0-24, at most 2 decimals to fit sleep_hours DECIMAL(4,2))
+     * Decimals are checked with a tolerance: 8.2 * 100 is 819.9999999999999 in floating point
      * @param {number} sleep - Sleep hours to validate
      * @returns {boolean} True if valid sleep value
      */
     isValidSleep(sleep) {
         const sleepNum = parseFloat(sleep);
-        return !isNaN(sleepNum) && sleepNum >= 0 && sleepNum <= 24;
+        if (isNaN(sleepNum) || sleepNum < 0 || sleepNum > 24) return false;
+        return Math.abs(sleepNum * 100 - Math.round(sleepNum * 100)) < 1e-6;
     },
 
     /**
@@ -485,6 +720,20 @@ const ValidationHelper = {
         return div.innerHTML;
     },
 
+    /**
+     * Reverses sanitizeString (for plain-text output such as textContent or CSV)
+     * @param {string} input - Sanitized string
+     * @returns {string} Original text
+     */
+    unescapeHTML(input) {
+        if (typeof input !== 'string') return '';
+        return input
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&nbsp;/g, '\u00a0')
+            .replace(/&amp;/g, '&');
+    },
+
     /**
      * Sanitizes CSV field to prevent injection
      * @param {string} field - Field to sanitize
@@ -498,6 +747,223 @@ const ValidationHelper = {
         return needsQuotes ? `"${escaped}"` : escaped;
     },
 
+    /**
+     * Validates a complete entry object
+     * @param {Object} entry - Entry to validate
+     * @throws {Error} Describing the first invalid field
+     */
+    validateEntry(entry) {
+        if (!entry || typeof entry !== 'object') {
+            throw new Error('Invalid entry object');
+        }
+        if (!this.isValidDate(entry.date)) {
+            throw new Error('Invalid date format in entry');
+        }
+        if (!this.isValidMood(entry.mood)) {
+            throw new Error('Invalid mood value (must be 1-10)');
+        }
+        if (!this.isValidSleep(entry.sleep)) {
+            throw new Error('Invalid sleep value (must be 0-24 hours, at most 2 decimals)');
+        }
+        if (!this.isValidStress(entry.stress)) {
+            throw new Error('Invalid stress value (must be 1-4)');
+        }
+        if (entry.checkIns !== undefined) {
+            // The day's journal joins every check-in's notes; each one is limited instead
+            this.validateCheckIns(entry.checkIns);
+            if (typeof (entry.journal || '') !== 'string') {
+                throw new Error('Invalid journal entry');
+            }
+        } else if (!this.isValidJournal(entry.journal || '')) {
+            throw new Error('Journal entry exceeds maximum length (500 characters)');
+        }
+        if (entry.activities !== undefined && !this.isValidActivities(entry.activities)) {
+            throw new Error('Invalid activities (must be a list of names)');
+        }
+        if (entry.metrics !== undefined && !this.isValidMetricMap(entry.metrics)) {
+            throw new Error('Invalid custom metric values');
+        }
+    },
+
+    // Custom metric type -> validator(value, definition); add types with registerMetricValidator
+    metricValidators: {
+        scale: (value, definition) => Number.isInteger(value) && value >= definition.min && value <= definition.max,
+        boolean: value => typeof value === 'boolean',
+        count: (value, definition) => Number.isInteger(value) && value >= definition.min && value <= definition.max,
+        duration: (value, definition) => Number.isFinite(value) && value >= definition.min && value <= definition.max
+    },
+
+    /**
+     * Adds or replaces the validator for a custom metric type
+     * @param {string} type - Metric type (e.g. 'scale')
+     * @param {Function} validator - (value, definition) => boolean
+     */
+    registerMetricValidator(type, validator) {
+        if (typeof validator !== 'function') {
+            throw new Error('Metric validator must be a function');
+        }
+        this.metricValidators[type] = validator;
+    },
+
+    /**
+     * Validates a value entered for a custom metric
+     * @param {Object} definition - Metric definition (type, min, max)
+     * @param {*} value - Value to validate
+     * @returns {boolean} True if valid (false for unknown types)
+     */
+    isValidMetricValue(definition, value) {
+        const validator = definition && this.metricValidators[definition.type];
+        return !!validator && validator(value, definition);
+    },
+
+    /**
+     * Validates the shape of stored metric values ({metricId: number|boolean})
+     * Ranges are checked when the value is entered, so changing a metric's
+     * range later doesn't make older entries invalid.
+     * @param {Object} metrics - Values by metric ID
+     * @returns {boolean} True if valid
+     */
+    isValidMetricMap(metrics) {
+        if (!metrics || typeof metrics !== 'object' || Array.isArray(metrics)) return false;
+        return Object.entries(metrics).every(([id, value]) => (
+            id.length > 0 && id.length <= 64 &&
+            (typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value)))
+        ));
+    },
+
+    /**
+     * Validates a custom metric definition
+     * @param {Object} definition - {id, name, type, min, max, icon}
+     * @throws {Error} Describing the first invalid field
+     */
+    validateMetricDefinition(definition) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error('Invalid metric definition');
+        }
+        if (typeof definition.id !== 'string' || !definition.id || definition.id.length > 64) {
+            throw new Error('Invalid metric ID');
+        }
+        if (typeof definition.name !== 'string' || !definition.name.trim() || definition.name.length > 40) {
+            throw new Error('Metric name is required (up to 40 characters)');
+        }
+        if (!this.metricValidators[definition.type]) {
+            throw new Error(`Unknown metric type: ${definition.type}`);
+        }
+        if (!Number.isFinite(definition.min) || !Number.isFinite(definition.max) || definition.min >= definition.max) {
+            throw new Error('Metric range needs a minimum below the maximum');
+        }
+        if (typeof definition.icon !== 'string' || definition.icon.length > 8) {
+            throw new Error('Metric icon must be a short emoji or symbol');
+        }
+    },
+
+    /**
+     * Validates an activity tag
+     * @param {Object} tag - {id, name, icon, color, group, archived}
+     * @throws {Error} Describing the first invalid field
+     */
+    validateActivityTag(tag) {
+        if (!tag || typeof tag !== 'object') {
+            throw new Error('Invalid activity tag');
+        }
+        // IDs are what entries store, so they follow the activity rules
+        if (!this.isValidActivities([tag.id])) {
+            throw new Error('Invalid tag ID');
+        }
+        if (typeof tag.name !== 'string' || !tag.name.trim() || tag.name.length > 30) {
+            throw new Error('Tag name is required (up to 30 characters)');
+        }
+        if (typeof tag.icon !== 'string' || tag.icon.length > 8) {
+            throw new Error('Tag icon must be a short emoji or symbol');
+        }
+        if (typeof tag.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(tag.color)) {
+            throw new Error('Tag color must be a hex color like #22c55e');
+        }
+        if (typeof tag.group !== 'string' || tag.group.length > 30) {
+            throw new Error('Tag group must be up to 30 characters');
+        }
+        if (typeof tag.archived !== 'boolean') {
+            throw new Error('Invalid tag archived flag');
+        }
+    },
+
+    /**
+     * Validates check-in time (HH:MM, 24-hour)
+     * @param {string} time - Time to validate
+     * @returns {boolean} True if valid
+     */
+    isValidTime(time) {
+        return typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(time);
+    },
+
+    /**
+     * Validates the check-ins of a day's entry
+     * @param {Array} checkIns - Check-ins, including removed ones
+     * @throws {Error} Describing the first invalid check-in
+     */
+    validateCheckIns(checkIns) {
+        if (!Array.isArray(checkIns) || !checkIns.some(checkIn => checkIn && !checkIn.deletedAt)) {
+            throw new Error('Invalid check-ins (a day needs at least one)');
+        }
+        const ids = new Set();
+        checkIns.forEach(checkIn => {
+            if (!checkIn || typeof checkIn.id !== 'string' || !checkIn.id || checkIn.id.length > 64) {
+                throw new Error('Invalid check-in ID');
+            }
+            if (ids.has(checkIn.id)) {
+                throw new Error(`Duplicate check-in ID: ${checkIn.id}`);
+            }
+            ids.add(checkIn.id);
+            if (checkIn.time !== null && checkIn.time !== undefined && !this.isValidTime(checkIn.time)) {
+                throw new Error('Invalid check-in time (must be HH:MM)');
+            }
+            if (!this.isValidMood(checkIn.mood)) {
+                throw new Error('Invalid check-in mood (must be 1-10)');
+            }
+            if (!this.isValidStress(checkIn.stress)) {
+                throw new Error('Invalid check-in stress (must be 1-4)');
+            }
+            if (!this.isValidJournal(checkIn.journal || '')) {
+                throw new Error('Check-in journal exceeds maximum length (500 characters)');
+            }
+            if (checkIn.activities !== undefined && !this.isValidActivities(checkIn.activities)) {
+                throw new Error('Invalid check-in activities (must be a list of names)');
+            }
+            if (checkIn.metrics !== undefined && !this.isValidMetricMap(checkIn.metrics)) {
+                throw new Error('Invalid check-in custom metric values');
+            }
+        });
+    },
+
+    /**
+     * Validates a list of activity names
+     * @param {Array} activities - Activities to validate
+     * @returns {boolean} True if valid
+     */
+    isValidActivities(activities) {
+        return Array.isArray(activities) && activities.every(a => typeof a === 'string' && a.length > 0 && a.length <= 50);
+    },
+
+    /**
+     * Validates a profile (e.g. from a backup)
+     * @param {Object} profile - Profile with name, email and optional timeZone
+     * @throws {Error} If the profile is invalid
+     */
+    validateProfile(profile) {
+        if (!profile || typeof profile !== 'object') {
+            throw new Error('Invalid profile object');
+        }
+        if (!this.isValidEmail(profile.email)) {
+            throw new Error('Invalid email in profile');
+        }
+        if (typeof profile.name !== 'string' || profile.name.trim().length === 0 || profile.name.length > 100) {
+            throw new Error('Invalid name in profile');
+        }
+        if (profile.timeZone && !DateUtils.isValidTimeZone(profile.timeZone)) {
+            throw new Error('Unknown time zone in profile');
+        }
+    },
+
     /**
      * Validates date format (YYYY-MM-DD)
      * @param {string} dateStr - Date string to validate
@@ -512,92 +978,826 @@ const ValidationHelper = {
 };
 
 // ============================================
-// Error Handling & Logging
+// DOM Builder - Markup without innerHTML
 // ============================================
-const ErrorHandler = {
+// Entries can arrive from imports, backups and other devices, so any field may
+// hold markup. Views build elements through Dom.el, which only ever writes text
+// through textContent; assigning HTML strings to innerHTML is not used for data.
+const Dom = {
     /**
-     * Log error with context
-     * @param {string} context - Where error occurred
-     * @param {Error} error - Error object
+     * Creates an element
+     * @param {string} tag - Tag name
+     * @param {Object} [props] - className, text, title, id, attrs, dataset
+     * @param {Array|Node|string|number} [children] - Nodes or text; null/false are skipped
+     * @returns {HTMLElement} New element
+     * @example
+     * Dom.el('div', { className: 'detail-item' }, [
+     *     Dom.el('div', { className: 'detail-label', text: 'Mood' }),
+     *     `${entry.mood}/10`
+     * ]);
      */
-    logError(context, error) {
-        console.error(`[${context}]`, error);
+    el(tag, props = {}, children = []) {
+        const element = document.createElement(tag);
+        if (props.className) element.className = props.className;
+        if (props.id) element.id = props.id;
+        if (props.title !== undefined) element.title = String(props.title);
+        if (props.text !== undefined && props.text !== null) element.textContent = String(props.text);
+
+        Object.entries(props.attrs || {}).forEach(([name, value]) => {
+            if (value === undefined || value === null || value === false) return;
+            this.setAttribute(element, name, value === true ? '' : value);
+        });
+        Object.entries(props.dataset || {}).forEach(([key, value]) => {
+            element.dataset[key] = String(value);
+        });
+
+        this.append(element, children);
+        return element;
     },
 
     /**
-     * Display user-friendly error message
-     * @param {string} title - Error title
-     * @param {string} message - Error message
+     * Sets an attribute, refusing event handlers and script URLs
+     * @param {HTMLElement} element - Target element
+     * @param {string} name - Attribute name
+     * @param {*} value - Attribute value
      */
-    showError(title, message) {
-        alert(`❌ ${title}\n\n${message}`);
+    setAttribute(element, name, value) {
+        const text = String(value);
+        if (/^on/i.test(name)) {
+            throw new Error(`Dom: event handler attribute "${name}" is not allowed`);
+        }
+        if (/^(href|src|action|formaction|xlink:href)$/i.test(name) &&
+            /^\s*(javascript|vbscript|data):/i.test(text)) {
+            throw new Error(`Dom: unsafe URL in "${name}"`);
+        }
+        element.setAttribute(name, text);
     },
 
     /**
-     * Display success message
-     * @param {string} message - Success message
+     * Appends children; strings and numbers become text nodes
+     * @param {HTMLElement} parent - Parent element
+     * @param {Array|Node|string|number} children - Children to append
+     * @returns {HTMLElement} The parent
      */
-    showSuccess(message) {
-        alert(`✅ ${message}`);
+    append(parent, children) {
+        const list = Array.isArray(children) ? children : [children];
+        list.forEach(child => {
+            if (child === null || child === undefined || child === false) return;
+            if (Array.isArray(child)) {
+                this.append(parent, child);
+            } else if (typeof child === 'object' && child.nodeType) {
+                parent.appendChild(child);
+            } else {
+                parent.appendChild(document.createTextNode(String(child)));
+            }
+        });
+        return parent;
     },
 
     /**
-     * Display info message
-     * @param {string} message - Info message
+     * Replaces an element's content
+     * @param {HTMLElement} parent - Element to fill
+     * @param {Array|Node|string|number} children - New content
+     * @returns {HTMLElement} The parent
      */
-    showInfo(message) {
-        alert(`ℹ️ ${message}`);
+    replace(parent, children) {
+        while (parent.firstChild) parent.removeChild(parent.firstChild);
+        return this.append(parent, children);
     }
 };
 
-// Data Management
-// Data Management - User-Specific Storage
-const StorageManager = {
-    dataKeyPrefix: 'wellnessTrackerData_',
-    
+// ============================================
+// Error Handling & Logging
+// ============================================
+const ErrorHandler = {
+    // Recent errors kept on this device for the error log (Settings)
+    errorLogKey: 'wellnessTrackerErrorLog',
+    maxLogEntries: 50,
+    maxToasts: 4,
+
+    // How long each kind of toast stays up (ms); hovering or focusing one pauses it
+    toastDurations: {
+        success: 4000,
+        info: 6000,
+        warning: 8000,
+        error: 10000
+    },
+    toastIcons: {
+        success: '✅',
+        info: 'ℹ️',
+        warning: '⚠️',
+        error: '❌'
+    },
+
     /**
-     * Generate user-specific storage key based on current logged-in user's email
-     * Each user has completely isolated data storage
-     * @returns {string|null} User-specific storage key or null if no user logged in
+     * Log error with context
+     * Also kept in the error log so users can attach it to a problem report.
+     * @param {string} context - Where error occurred
+     * @param {Error} error - Error object
      */
-    getUserStorageKey() {
+    logError(context, error) {
+        Logger.error(`[${context}]`, error);
+        this.recordError(context, error);
+    },
+
+    recordError(context, error) {
         try {
-            const currentUser = AuthManager.getCurrentUser();
-            if (!currentUser || !currentUser.email) {
-                console.error('[StorageManager] No user logged in');
-                return null;
-            }
-            
-            // Create a safe key by replacing special characters in email
-            const safeEmail = currentUser.email.replace(/[^a-zA-Z0-9]/g, '_');
-            const key = `${this.dataKeyPrefix}${safeEmail}`;
-            console.log('[StorageManager] Using storage key:', key);
-            return key;
-        } catch (error) {
-            console.error('[StorageManager.getUserStorageKey] Error:', error);
-            return null;
+            const log = this.getErrorLog();
+            // Users share this log, so it gets the same redaction as the console
+            const safe = Logger.redact(error);
+            log.push({
+                time: new Date().toISOString(),
+                context: String(context),
+                message: safe instanceof Error ? safe.message : String(safe),
+                stack: safe instanceof Error && safe.stack ? safe.stack.slice(0, 1000) : undefined
+            });
+            localStorage.setItem(this.errorLogKey, JSON.stringify(log.slice(-this.maxLogEntries)));
+        } catch (storageError) {
+            // Never let the log itself fail a caller
         }
     },
-    
+
     /**
-     * Safely retrieve all mood entries for CURRENT USER from localStorage
-     * Each user sees only their own data
-     * @returns {Array} Array of entries or empty array on error
+     * Errors logged on this device, oldest first
+     * @returns {Array<{time: string, context: string, message: string, stack?: string}>} Log entries
      */
-    getAllEntries() {
+    getErrorLog() {
         try {
-            const key = this.getUserStorageKey();
-            if (!key) {
-                console.warn('[StorageManager.getAllEntries] No user key available');
-                return [];
-            }
-            
-            const data = localStorage.getItem(key);
-            const entries = data ? JSON.parse(data) : [];
-            console.log('[StorageManager.getAllEntries] Retrieved', entries.length, 'entries for user');
-            return entries;
+            const log = JSON.parse(localStorage.getItem(this.errorLogKey) || '[]');
+            return Array.isArray(log) ? log : [];
         } catch (error) {
-            ErrorHandler.logError('StorageManager.getAllEntries', error);
+            return [];
+        }
+    },
+
+    clearErrorLog() {
+        localStorage.removeItem(this.errorLogKey);
+    },
+
+    /**
+     * The error log as plain text for a problem report
+     * Followed by the recent log messages (Logger's buffer), if any.
+     * @returns {string} One block per error, newest first
+     */
+    formatErrorLog() {
+        const lines = [
+            `Wellness Tracker error log (${new Date().toISOString()})`,
+            `Browser: ${navigator.userAgent}`,
+            ''
+        ];
+        this.getErrorLog().reverse().forEach(item => {
+            lines.push(`${item.time} [${item.context}] ${item.message}`);
+            if (item.stack) lines.push(item.stack);
+            lines.push('');
+        });
+
+        const recent = Logger.getBuffer();
+        if (recent.length > 0) {
+            lines.push('Recent log messages (oldest first):');
+            recent.forEach(item => lines.push(`${item.time} ${item.level.toUpperCase()} ${item.message}`));
+        }
+        return lines.join('\n');
+    },
+
+    /**
+     * Show a non-blocking message in the corner of the screen
+     * @param {string} message - Message text
+     * @param {Object} [options]
+     * @param {string} [options.severity='info'] - 'success', 'info', 'warning' or 'error'
+     * @param {string} [options.title] - Bold first line
+     * @param {Array<{label: string, onClick: Function}>} [options.actions] - Buttons (e.g. Undo, Retry); clicking one closes the toast
+     * @param {number} [options.duration] - Auto-dismiss after this many ms (0 = stay until closed)
+     * @param {Function} [options.onDismiss] - Called once the toast is gone
+     * @returns {{dismiss: Function}} Handle to close the toast early
+     */
+    toast(message, options = {}) {
+        const severity = this.toastDurations[options.severity] !== undefined ? options.severity : 'info';
+        const container = document.getElementById('toastContainer');
+        const handle = { dismiss: () => {} };
+        if (!container) {
+            Logger.info(`[${severity}] ${options.title ? `${options.title}: ` : ''}${message}`);
+            return handle;
+        }
+
+        const toast = document.createElement('div');
+        toast.className = `toast toast-${severity}`;
+        // Errors interrupt screen readers; everything else waits its turn
+        toast.setAttribute('role', severity === 'error' ? 'alert' : 'status');
+
+        const icon = document.createElement('span');
+        icon.className = 'toast-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = this.toastIcons[severity];
+        toast.appendChild(icon);
+
+        const body = document.createElement('div');
+        body.className = 'toast-body';
+        if (options.title) {
+            const title = document.createElement('strong');
+            title.textContent = options.title;
+            body.appendChild(title);
+        }
+        const text = document.createElement('div');
+        text.textContent = message;
+        body.appendChild(text);
+        toast.appendChild(body);
+
+        let timer = null;
+        let dismissed = false;
+        const dismiss = () => {
+            if (dismissed) return;
+            dismissed = true;
+            clearTimeout(timer);
+            toast.remove();
+            if (options.onDismiss) options.onDismiss();
+        };
+        handle.dismiss = dismiss;
+
+        const actions = document.createElement('div');
+        actions.className = 'toast-actions';
+        (options.actions || []).forEach(action => {
+            const button = document.createElement('button');
+            button.className = 'btn-secondary';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                action.onClick();
+                dismiss();
+            });
+            actions.appendChild(button);
+        });
+        const close = document.createElement('button');
+        close.className = 'toast-close';
+        close.setAttribute('aria-label', 'Dismiss');
+        close.textContent = '×';
+        close.addEventListener('click', dismiss);
+        actions.appendChild(close);
+        toast.appendChild(actions);
+
+        const duration = options.duration !== undefined ? options.duration : this.toastDurations[severity];
+        const start = () => {
+            clearTimeout(timer);
+            if (duration > 0) timer = setTimeout(dismiss, duration);
+        };
+        const pause = () => clearTimeout(timer);
+        toast.addEventListener('mouseenter', pause);
+        toast.addEventListener('mouseleave', start);
+        toast.addEventListener('focusin', pause);
+        toast.addEventListener('focusout', start);
+
+        container.appendChild(toast);
+        while (container.children.length > this.maxToasts) {
+            container.firstElementChild.remove();
+        }
+        start();
+        return handle;
+    },
+
+    /**
+     * Display user-friendly error message
+     * Offers Details (the error log) and, if given, Retry.
+     * @param {string} title - Error title
+     * @param {string} message - Error message
+     * @param {Object} [options] - {retry: Function} plus any toast() option
+     * @returns {{dismiss: Function}} Toast handle
+     */
+    showError(title, message, options = {}) {
+        const actions = [...(options.actions || [])];
+        if (options.retry) actions.unshift({ label: 'Retry', onClick: options.retry });
+        actions.push({ label: 'Details', onClick: () => this.openErrorLog() });
+        return this.toast(message, { ...options, severity: 'error', title, actions });
+    },
+
+    /**
+     * Display warning message
+     * @param {string} message - Warning message
+     * @param {Object} [options] - Any toast() option
+     * @returns {{dismiss: Function}} Toast handle
+     */
+    showWarning(message, options = {}) {
+        return this.toast(message, { ...options, severity: 'warning' });
+    },
+
+    /**
+     * Display success message
+     * @param {string} message - Success message
+     * @param {Object} [options] - Any toast() option (e.g. an Undo action)
+     * @returns {{dismiss: Function}} Toast handle
+     */
+    showSuccess(message, options = {}) {
+        return this.toast(message, { ...options, severity: 'success' });
+    },
+
+    /**
+     * Display info message
+     * @param {string} message - Info message
+     * @param {Object} [options] - Any toast() option
+     * @returns {{dismiss: Function}} Toast handle
+     */
+    showInfo(message, options = {}) {
+        return this.toast(message, { ...options, severity: 'info' });
+    },
+
+    /**
+     * Sets up the error log dialog and its Settings button
+     */
+    init() {
+        const openBtn = document.getElementById('viewErrorLogBtn');
+        if (openBtn) {
+            openBtn.addEventListener('click', () => this.openErrorLog());
+        }
+        const closeBtn = document.getElementById('closeErrorLogBtn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.closeErrorLog());
+        }
+        const dialog = document.getElementById('errorLogDialog');
+        if (dialog) {
+            dialog.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') this.closeErrorLog();
+            });
+        }
+
+        const copyBtn = document.getElementById('copyErrorLogBtn');
+        if (copyBtn) {
+            copyBtn.addEventListener('click', async () => {
+                try {
+                    await navigator.clipboard.writeText(this.formatErrorLog());
+                    this.showSuccess('Error log copied. Paste it into your problem report.');
+                } catch (error) {
+                    this.showWarning('Could not copy the log. Use Download instead.');
+                }
+            });
+        }
+        const downloadBtn = document.getElementById('downloadErrorLogBtn');
+        if (downloadBtn) {
+            downloadBtn.addEventListener('click', () => {
+                const blob = new Blob([this.formatErrorLog()], { type: 'text/plain' });
+                const url = URL.createObjectURL(blob);
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = `wellness-error-log-${DateUtils.today()}.txt`;
+                link.click();
+                URL.revokeObjectURL(url);
+            });
+        }
+        const clearBtn = document.getElementById('clearErrorLogBtn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.clearErrorLog();
+                this.renderErrorLog();
+            });
+        }
+    },
+
+    openErrorLog() {
+        const dialog = document.getElementById('errorLogDialog');
+        if (!dialog) return;
+        this.renderErrorLog();
+        dialog.classList.remove('hidden');
+        const closeBtn = document.getElementById('closeErrorLogBtn');
+        if (closeBtn) closeBtn.focus();
+    },
+
+    closeErrorLog() {
+        const dialog = document.getElementById('errorLogDialog');
+        if (dialog) dialog.classList.add('hidden');
+    },
+
+    /**
+     * Lists the logged errors, newest first
+     */
+    renderErrorLog() {
+        const list = document.getElementById('errorLogList');
+        if (!list) return;
+
+        const log = this.getErrorLog().reverse();
+        list.innerHTML = '';
+        if (log.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'details-empty';
+            empty.textContent = 'No errors have been logged on this device.';
+            list.appendChild(empty);
+            return;
+        }
+        log.forEach(item => {
+            const entry = document.createElement('li');
+            entry.className = 'error-log-item';
+            const time = document.createElement('div');
+            time.className = 'timeline-time';
+            time.textContent = `${new Date(item.time).toLocaleString()} · ${item.context}`;
+            const message = document.createElement('div');
+            message.textContent = item.message;
+            entry.appendChild(time);
+            entry.appendChild(message);
+            list.appendChild(entry);
+        });
+    }
+};
+
+// ============================================
+// Date Utilities - Local calendar-day keys
+// ============================================
+/**
+ * Entries are keyed by the user's calendar day (YYYY-MM-DD), never the UTC day.
+ * The day comes from the profile time zone if one is set, otherwise the browser's.
+ */
+const DateUtils = {
+    /**
+     * Time zone chosen in the profile
+     * @returns {string|null} IANA time zone (e.g. 'America/New_York') or null for the device default
+     */
+    getTimeZone() {
+        const currentUser = AuthManager.getCurrentUser();
+        const timeZone = currentUser && currentUser.timeZone;
+        return timeZone && this.isValidTimeZone(timeZone) ? timeZone : null;
+    },
+
+    /**
+     * Check whether the browser recognizes a time zone name
+     * @param {string} timeZone - IANA time zone
+     * @returns {boolean} True if valid
+     */
+    isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Calendar day of a moment in time
+     * @param {Date} [date=new Date()] - Moment to convert
+     * @param {string|null} [timeZone] - Time zone (defaults to the profile's, then the device's)
+     * @returns {string} Date key in YYYY-MM-DD format
+     */
+    toDateKey(date = new Date(), timeZone = this.getTimeZone()) {
+        if (timeZone) {
+            const parts = new Intl.DateTimeFormat('en-US', {
+                timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+            }).formatToParts(date);
+            const part = type => parts.find(p => p.type === type).value;
+            return `${part('year')}-${part('month')}-${part('day')}`;
+        }
+        return this.formatDateKey(date.getFullYear(), date.getMonth(), date.getDate());
+    },
+
+    /**
+     * Wall-clock time of a moment in the user's time zone
+     * @param {Date} [date=new Date()] - Moment to convert
+     * @param {string|null} [timeZone] - Time zone (defaults to the profile's, then the device's)
+     * @returns {string} Time in HH:MM (24-hour) format
+     */
+    toTimeKey(date = new Date(), timeZone = this.getTimeZone()) {
+        if (timeZone) {
+            const parts = new Intl.DateTimeFormat('en-US', {
+                timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+            }).formatToParts(date);
+            const part = type => parts.find(p => p.type === type).value;
+            return `${part('hour')}:${part('minute')}`;
+        }
+        return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    },
+
+    /**
+     * Today's date key for the user
+     * @returns {string} Date key in YYYY-MM-DD format
+     */
+    today() {
+        return this.toDateKey(new Date());
+    },
+
+    /**
+     * Build a date key from calendar parts
+     * @param {number} year - Full year
+     * @param {number} monthIndex - Month, 0-11
+     * @param {number} day - Day of month
+     * @returns {string} Date key in YYYY-MM-DD format
+     */
+    formatDateKey(year, monthIndex, day) {
+        return `${year}-${String(monthIndex + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    },
+
+    /**
+     * Turn a date key into a local-midnight Date for display
+     * (new Date('YYYY-MM-DD') would be UTC midnight - the previous day west of Greenwich)
+     * @param {string} key - Date key in YYYY-MM-DD format
+     * @returns {Date} Local Date at midnight
+     */
+    parseDateKey(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    },
+
+    /**
+     * Move a date key by whole days
+     * @param {string} key - Date key in YYYY-MM-DD format
+     * @param {number} days - Days to add (negative to go back)
+     * @returns {string} Shifted date key
+     */
+    shiftDateKey(key, days) {
+        const date = this.parseDateKey(key);
+        date.setDate(date.getDate() + days);
+        return this.formatDateKey(date.getFullYear(), date.getMonth(), date.getDate());
+    },
+
+    /**
+     * Date key N days before today
+     * @param {number} days - Days back
+     * @returns {string} Date key
+     */
+    daysAgo(days) {
+        return this.shiftDateKey(this.today(), -days);
+    },
+
+    /**
+     * Whole days from one date key to another
+     * @param {string} startKey - Earlier date key
+     * @param {string} endKey - Later date key
+     * @returns {number} Days between (0 for the same day, negative if end is earlier)
+     */
+    daysBetween(startKey, endKey) {
+        // Rounded so a daylight-saving change in between doesn't lose a day
+        return Math.round((this.parseDateKey(endKey) - this.parseDateKey(startKey)) / 86400000);
+    },
+
+    /**
+     * Format a date key for display
+     * @param {string} key - Date key in YYYY-MM-DD format
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string} Formatted date
+     */
+    formatDisplay(key, options) {
+        return this.parseDateKey(key).toLocaleDateString('en-US', options);
+    },
+
+    /**
+     * Count consecutive days present in a set of date keys, ending today
+     * @param {Set<string>} dates - Date keys with entries
+     * @param {number} [maxDays=365] - Longest streak counted
+     * @returns {number} Streak length
+     */
+    countStreak(dates, maxDays = 365) {
+        let streak = 0;
+        let day = this.today();
+        while (streak < maxDays && dates.has(day)) {
+            streak++;
+            day = this.shiftDateKey(day, -1);
+        }
+        return streak;
+    }
+};
+
+// ============================================
+// Daily Check-ins - Several timestamped check-ins within a day
+// ============================================
+/**
+ * Storage stays keyed by date. A day's entry keeps its check-ins in
+ * entry.checkIns; its top-level mood, stress, journal and activities are the
+ * daily aggregate, so the calendar, streak, sync and exports read it as before.
+ * Entries saved before check-ins existed have no checkIns and count as one.
+ * Removed check-ins are kept as tombstones (deletedAt) so a merge with
+ * another device's copy cannot bring them back.
+ */
+const DailyCheckIns = {
+    // Parts of the day by starting hour; after midnight until 5am still counts as evening
+    periods: [
+        { id: 'morning', label: 'Morning', icon: '🌅', start: 5, end: 12 },
+        { id: 'afternoon', label: 'Afternoon', icon: '☀️', start: 12, end: 17 },
+        { id: 'evening', label: 'Evening', icon: '🌙', start: 17, end: 29 }
+    ],
+
+    // ID of the single check-in in an entry saved before check-ins existed
+    legacyId: 'day',
+
+    createId() {
+        return `ci-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    },
+
+    /**
+     * Check-ins of a day's entry, earliest first
+     * @param {Object|null} entry - Day entry
+     * @param {boolean} [includeDeleted=false] - Keep tombstones (for merging)
+     * @returns {Array<Object>} Check-ins {id, time, mood, stress, journal, activities, updatedAt}
+     */
+    getCheckIns(entry, includeDeleted = false) {
+        if (!entry) return [];
+        const checkIns = Array.isArray(entry.checkIns) ? entry.checkIns : [this.fromLegacy(entry)];
+        return checkIns
+            .filter(checkIn => includeDeleted || !checkIn.deletedAt)
+            .sort((a, b) => (a.time || '').localeCompare(b.time || '') || a.id.localeCompare(b.id));
+    },
+
+    /**
+     * Treat an entry without checkIns as a single check-in
+     * Its time comes from the timestamp when that falls on the entry's day.
+     * @param {Object} entry - Day entry
+     * @returns {Object} Check-in
+     */
+    fromLegacy(entry) {
+        const at = entry.timestamp ? new Date(entry.timestamp) : null;
+        const sameDay = at && !isNaN(at) && DateUtils.toDateKey(at) === entry.date;
+        return {
+            id: this.legacyId,
+            time: sameDay ? DateUtils.toTimeKey(at) : null,
+            mood: entry.mood,
+            stress: entry.stress,
+            journal: entry.journal || '',
+            activities: [...(entry.activities || [])],
+            metrics: { ...(entry.metrics || {}) },
+            updatedAt: EntryVersioning.getUpdatedAt(entry) || null
+        };
+    },
+
+    /**
+     * Number of check-ins (not counting removed ones) in a day's entry
+     * @param {Object|null} entry - Day entry
+     * @returns {number} Count
+     */
+    count(entry) {
+        return this.getCheckIns(entry).length;
+    },
+
+    /**
+     * Add a check-in, or replace the one with the same ID, and rebuild the day
+     * @param {Object|null} entry - Stored day entry
+     * @param {string} date - Date key
+     * @param {Object} checkIn - {id?, time, mood, stress, journal, activities, metrics}
+     * @param {number} sleep - Hours slept the night before (one value per day)
+     * @returns {Object} Day entry ready to save
+     */
+    upsert(entry, date, checkIn, sleep) {
+        const now = new Date().toISOString();
+        const saved = {
+            ...checkIn,
+            id: checkIn.id || this.createId(),
+            activities: [...(checkIn.activities || [])],
+            metrics: { ...(checkIn.metrics || {}) },
+            updatedAt: now
+        };
+        delete saved.deletedAt;
+
+        const others = this.getCheckIns(entry, true).filter(c => c.id !== saved.id);
+        return this.buildDay(date, [...others, saved], sleep, { ...(entry || {}), timestamp: now });
+    },
+
+    /**
+     * Remove one check-in from a day
+     * @param {Object} entry - Stored day entry
+     * @param {string} id - Check-in ID
+     * @returns {Object|null} Updated day entry, or null if no check-ins are left
+     */
+    remove(entry, id) {
+        const now = new Date().toISOString();
+        const checkIns = this.getCheckIns(entry, true).map(checkIn => (
+            checkIn.id === id ? { ...checkIn, deletedAt: now, updatedAt: now } : checkIn
+        ));
+        return this.buildDay(entry.date, checkIns, entry.sleep, entry);
+    },
+
+    /**
+     * Build a day entry whose top-level fields summarize its check-ins
+     * - mood and stress: average, rounded to a whole step
+     * - activities: every activity logged that day
+     * - metrics: combined per metric type (see CustomMetrics.aggregate)
+     * - journal: the notes, each prefixed with its time when there are several check-ins
+     * @param {string} date - Date key
+     * @param {Array<Object>} checkIns - All check-ins, including tombstones
+     * @param {number} sleep - Hours slept
+     * @param {Object} [base={}] - Entry whose other fields (timestamp, metadata) are kept
+     * @returns {Object|null} Day entry, or null if every check-in was removed
+     */
+    buildDay(date, checkIns, sleep, base = {}) {
+        const all = this.getCheckIns({ checkIns }, true);
+        const live = all.filter(checkIn => !checkIn.deletedAt);
+        if (live.length === 0) return null;
+
+        const average = field => Math.round(live.reduce((sum, c) => sum + Number(c[field]), 0) / live.length);
+        const notes = live.filter(checkIn => checkIn.journal);
+        const journal = live.length === 1
+            ? live[0].journal || ''
+            : notes.map(c => (c.time ? `${c.time} — ${c.journal}` : c.journal)).join('\n');
+
+        const metricValues = {};
+        live.forEach(checkIn => {
+            Object.entries(checkIn.metrics || {}).forEach(([id, value]) => {
+                (metricValues[id] = metricValues[id] || []).push(value);
+            });
+        });
+        const metrics = {};
+        Object.entries(metricValues).forEach(([id, values]) => {
+            metrics[id] = CustomMetrics.aggregate(id, values);
+        });
+
+        return {
+            ...base,
+            date,
+            mood: average('mood'),
+            sleep,
+            stress: average('stress'),
+            journal,
+            activities: [...new Set(live.flatMap(checkIn => checkIn.activities || []))],
+            metrics,
+            checkIns: all
+        };
+    },
+
+    /**
+     * Part of the day a check-in time falls in
+     * @param {string|null} time - HH:MM
+     * @returns {Object|null} Entry from periods, or null if the time is unknown
+     */
+    getPeriod(time) {
+        if (!time) return null;
+        const hour = parseInt(time.split(':')[0], 10);
+        const shifted = hour < this.periods[0].start ? hour + 24 : hour;
+        return this.periods.find(period => shifted >= period.start && shifted < period.end) || null;
+    },
+
+    /**
+     * Average mood and stress per part of the day
+     * Check-ins without a known time are left out.
+     * @param {Array<Object>} entries - Day entries
+     * @returns {Array<{period: Object, count: number, mood: number|null, stress: number|null}>} One item per period
+     */
+    summarizeByPeriod(entries) {
+        const totals = {};
+        this.periods.forEach(period => {
+            totals[period.id] = { period, count: 0, moodSum: 0, stressSum: 0 };
+        });
+
+        entries.forEach(entry => {
+            this.getCheckIns(entry).forEach(checkIn => {
+                const period = this.getPeriod(checkIn.time);
+                if (!period) return;
+                const total = totals[period.id];
+                total.count++;
+                total.moodSum += Number(checkIn.mood);
+                total.stressSum += Number(checkIn.stress);
+            });
+        });
+
+        return this.periods.map(period => {
+            const { count, moodSum, stressSum } = totals[period.id];
+            return {
+                period,
+                count,
+                mood: count ? moodSum / count : null,
+                stress: count ? stressSum / count : null
+            };
+        });
+    }
+};
+
+// Data Management
+// Data Management - User-Specific Storage
+const StorageManager = {
+    dataKeyPrefix: 'wellnessTrackerData_',
+    dateKeysMigratedPrefix: 'wellnessTrackerDateKeysMigrated_',
+    
+    /**
+     * Generate user-specific storage key based on current logged-in user's email
+     * Each user has completely isolated data storage
+     * @returns {string|null} User-specific storage key or null if no user logged in
+     */
+    getUserStorageKey() {
+        try {
+            const currentUser = AuthManager.getCurrentUser();
+            if (!currentUser || !currentUser.email) {
+                Logger.error('[StorageManager] No user logged in');
+                return null;
+            }
+            
+            // Create a safe key by replacing special characters in email
+            const safeEmail = currentUser.email.replace(/[^a-zA-Z0-9]/g, '_');
+            const key = `${this.dataKeyPrefix}${safeEmail}`;
+            Logger.debug('[StorageManager] Using storage key:', key);
+            return key;
+        } catch (error) {
+            Logger.error('[StorageManager.getUserStorageKey] Error:', error);
+            return null;
+        }
+    },
+    
+    /**
+     * Safely retrieve all mood entries for CURRENT USER from localStorage
+     * Each user sees only their own data
+     * @returns {Array} Array of entries or empty array on error
+     */
+    getAllEntries() {
+        try {
+            const key = this.getUserStorageKey();
+            if (!key) {
+                Logger.warn('[StorageManager.getAllEntries] No user key available');
+                return [];
+            }
+            
+            const data = localStorage.getItem(key);
+            const entries = data ? JSON.parse(data) : [];
+            Logger.debug('[StorageManager.getAllEntries] Retrieved', entries.length, 'entries for user');
+            return entries;
+        } catch (error) {
+            ErrorHandler.logError('StorageManager.getAllEntries', error);
             ErrorHandler.showError(
                 'Data Read Error',
                 'Could not read your data from storage. Your settings may have reset.'
@@ -632,40 +1832,23 @@ const StorageManager = {
             }
             
             // Validate entry object
-            if (!entry || typeof entry !== 'object') {
-                throw new Error('Invalid entry object');
-            }
-            if (!ValidationHelper.isValidDate(entry.date)) {
-                throw new Error('Invalid date format in entry');
-            }
-            if (!ValidationHelper.isValidMood(entry.mood)) {
-                throw new Error('Invalid mood value (must be 1-10)');
-            }
-            if (!ValidationHelper.isValidSleep(entry.sleep)) {
-                throw new Error('Invalid sleep value (must be 0-24 hours)');
-            }
-            if (!ValidationHelper.isValidStress(entry.stress)) {
-                throw new Error('Invalid stress value (must be 1-4)');
-            }
-            if (!ValidationHelper.isValidJournal(entry.journal || '')) {
-                throw new Error('Journal entry exceeds maximum length (500 characters)');
-            }
+            ValidationHelper.validateEntry(entry);
 
             const entries = this.getAllEntries();
             const index = entries.findIndex(e => e.date === entry.date);
             
             if (index >= 0) {
-                console.log('[StorageManager.saveEntry] Updating existing entry for', entry.date);
+                Logger.debug('[StorageManager.saveEntry] Updating existing entry for', entry.date);
                 entries[index] = entry;
             } else {
-                console.log('[StorageManager.saveEntry] Creating new entry for', entry.date);
+                Logger.debug('[StorageManager.saveEntry] Creating new entry for', entry.date);
                 entries.push(entry);
             }
             
             // Sort by date (newest first)
             entries.sort((a, b) => new Date(b.date) - new Date(a.date));
             localStorage.setItem(key, JSON.stringify(entries));
-            console.log('[StorageManager.saveEntry] Saved successfully for user');
+            Logger.debug('[StorageManager.saveEntry] Saved successfully for user');
             return true;
         } catch (error) {
             ErrorHandler.logError('StorageManager.saveEntry', error);
@@ -674,8 +1857,51 @@ const StorageManager = {
     },
     
     /**
-     * Get entries for last N days (CURRENT USER only)
-     * @param {number} days - Number of days to retrieve
+     * Delete entry for specific date (CURRENT USER only)
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @returns {boolean} True if an entry was removed
+     */
+    deleteEntry(date) {
+        try {
+            const key = this.getUserStorageKey();
+            if (!key) {
+                throw new Error('User not authenticated. Please login first.');
+            }
+            if (!ValidationHelper.isValidDate(date)) {
+                throw new Error('Invalid date format');
+            }
+
+            const entries = this.getAllEntries();
+            const remaining = entries.filter(e => e.date !== date);
+            if (remaining.length === entries.length) return false;
+
+            localStorage.setItem(key, JSON.stringify(remaining));
+            Logger.debug('[StorageManager.deleteEntry] Deleted entry for', date);
+            return true;
+        } catch (error) {
+            ErrorHandler.logError('StorageManager.deleteEntry', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get entries between two dates, inclusive (CURRENT USER only)
+     * @param {string} startDate - Start date in YYYY-MM-DD format
+     * @param {string} endDate - End date in YYYY-MM-DD format
+     * @returns {Array} Entries in range, newest first
+     */
+    getRange(startDate, endDate) {
+        if (!ValidationHelper.isValidDate(startDate) || !ValidationHelper.isValidDate(endDate)) {
+            ErrorHandler.logError('StorageManager.getRange', 'Invalid date format');
+            return [];
+        }
+        // YYYY-MM-DD strings compare correctly as plain strings
+        return this.getAllEntries().filter(entry => entry.date >= startDate && entry.date <= endDate);
+    },
+
+    /**
+     * Get entries for last N days (CURRENT USER only)
+     * @param {number} days - Number of days to retrieve
      * @returns {Array} Entries from the last N days
      */
     getLastNDays(days) {
@@ -685,11 +1911,10 @@ const StorageManager = {
             }
             
             const entries = this.getAllEntries();
-            const cutoffDate = new Date();
-            cutoffDate.setDate(cutoffDate.getDate() - days);
+            const cutoffDate = DateUtils.daysAgo(days);
             
-            const filtered = entries.filter(entry => new Date(entry.date) >= cutoffDate);
-            console.log('[StorageManager.getLastNDays] Retrieved', filtered.length, 'entries from last', days, 'days');
+            const filtered = entries.filter(entry => entry.date >= cutoffDate);
+            Logger.debug('[StorageManager.getLastNDays] Retrieved', filtered.length, 'entries from last', days, 'days');
             return filtered;
         } catch (error) {
             ErrorHandler.logError('StorageManager.getLastNDays', error);
@@ -706,21 +1931,9 @@ const StorageManager = {
             const entries = this.getAllEntries();
             if (entries.length === 0) return 0;
             
-            let streak = 0;
-            let currentDate = new Date();
-            currentDate.setHours(0, 0, 0, 0);
-            
-            for (let i = 0; i < 365; i++) {
-                const dateStr = currentDate.toISOString().split('T')[0];
-                if (entries.find(e => e.date === dateStr)) {
-                    streak++;
-                } else {
-                    break;
-                }
-                currentDate.setDate(currentDate.getDate() - 1);
-            }
+            const streak = DateUtils.countStreak(new Set(entries.map(e => e.date)));
             
-            console.log('[StorageManager.calculateStreak] Current user streak:', streak);
+            Logger.debug('[StorageManager.calculateStreak] Current user streak:', streak);
             return streak;
         } catch (error) {
             ErrorHandler.logError('StorageManager.calculateStreak', error);
@@ -748,7 +1961,7 @@ const StorageManager = {
                 }
             });
             
-            console.log('[StorageManager.getAllUsersDataInfo] Users data:', usersInfo);
+            Logger.debug('[StorageManager.getAllUsersDataInfo] Users data:', usersInfo);
             return usersInfo;
         } catch (error) {
             ErrorHandler.logError('StorageManager.getAllUsersDataInfo', error);
@@ -766,926 +1979,7296 @@ const StorageManager = {
             if (!key) return false;
             
             localStorage.removeItem(key);
-            console.log('[StorageManager.deleteUserData] Deleted data for user');
+            Logger.debug('[StorageManager.deleteUserData] Deleted data for user');
             return true;
         } catch (error) {
             ErrorHandler.logError('StorageManager.deleteUserData', error);
             return false;
         }
+    },
+
+    /**
+     * One-time fix for entries keyed by the UTC day instead of the local day.
+     * Older versions used toISOString(), so evening check-ins west of Greenwich
+     * (or early-morning ones east of it) landed on the wrong date. An entry is
+     * re-keyed when its date matches the UTC day of its timestamp but not the
+     * user's local day. If the correct day already has an entry, the two are merged.
+     * @returns {number} Number of entries moved
+     */
+    migrateUtcDateKeys() {
+        try {
+            const key = this.getUserStorageKey();
+            if (!key) return 0;
+
+            const flagKey = `${this.dateKeysMigratedPrefix}${key.slice(this.dataKeyPrefix.length)}`;
+            if (localStorage.getItem(flagKey)) return 0;
+
+            const entries = this.getAllEntries();
+            const byDate = new Map(entries.map(entry => [entry.date, entry]));
+            const moves = [];
+
+            entries.forEach(entry => {
+                if (!entry.timestamp) return;
+                const savedAt = new Date(entry.timestamp);
+                if (isNaN(savedAt.getTime())) return;
+
+                const utcDate = savedAt.toISOString().split('T')[0];
+                const localDate = DateUtils.toDateKey(savedAt);
+                if (entry.date === utcDate && localDate !== utcDate) {
+                    moves.push({ from: entry.date, to: localDate });
+                }
+            });
+
+            // Lift every misplaced entry out first so consecutive wrong days don't collide
+            const movedEntries = moves.map(({ from, to }) => {
+                const original = byDate.get(from);
+                return { to, entry: EntryVersioning.stamp({ ...original, date: to }, original) };
+            });
+            moves.forEach(({ from }) => byDate.delete(from));
+
+            movedEntries.forEach(({ to, entry: moved }) => {
+                const existing = byDate.get(to);
+                const { entry, conflict } = EntryVersioning.merge(existing, moved);
+                if (conflict) {
+                    ConflictManager.record(to, existing, moved);
+                }
+                byDate.set(to, entry);
+            });
+
+            if (moves.length > 0) {
+                const migrated = StorageAdapter.sortNewestFirst([...byDate.values()]);
+                localStorage.setItem(key, JSON.stringify(migrated));
+                StorageAdapter.invalidateCache();
+
+                // Move the same rows in the cloud copy
+                if (AppConfig.enableCloudSync) {
+                    moves.forEach(({ from, to }) => {
+                        if (!byDate.has(from)) SyncManager.enqueue('delete', from, EntryVersioning.markDeleted(from, null));
+                        SyncManager.enqueue('save', to, byDate.get(to));
+                    });
+                }
+                Logger.info('[StorageManager.migrateUtcDateKeys] Re-keyed', moves.length, 'entries');
+            }
+
+            localStorage.setItem(flagKey, new Date().toISOString());
+            return moves.length;
+        } catch (error) {
+            ErrorHandler.logError('StorageManager.migrateUtcDateKeys', error);
+            return 0;
+        }
     }
 };
 
-// UI Manager - Handles all UI operations and user interactions
-const UIManager = {
+// ============================================
+// IndexedDB Entry Store - Large, indexed, per-user storage
+// ============================================
+/**
+ * One database per user (wellnessTracker_<email>), so accounts stay isolated
+ * the same way the localStorage keys are. Each save writes a single record
+ * instead of rewriting the whole entry list.
+ *
+ * Object stores:
+ * - entries: keyed by date (YYYY-MM-DD), indexes 'mood' and 'activity' (multiEntry)
+ * - meta: bookkeeping records keyed by 'key' (e.g. the localStorage migration)
+ */
+const IndexedDBStore = {
+    dbNamePrefix: 'wellnessTracker_',
+    schemaVersion: 1,
+    connections: {},
+    openFailed: false,
+
     /**
-     * Updates the date display in the header
-     * Shows the current date in long format (e.g., "Monday, February 10, 2024")
+     * Schema upgrades by version. Add a new numbered step for every change and
+     * bump schemaVersion; never edit a step that has shipped.
+     * Each step receives the database and the versionchange transaction.
      */
-    updateDateDisplay() {
-        const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
-        const today = new Date().toLocaleDateString('en-US', options);
-        const dateElement = document.getElementById('dateDisplay');
-        if (dateElement) {
-            dateElement.textContent = today;
+    upgrades: {
+        1(db) {
+            const entries = db.createObjectStore('entries', { keyPath: 'date' });
+            entries.createIndex('mood', 'mood', { unique: false });
+            entries.createIndex('activity', 'activities', { unique: false, multiEntry: true });
+            db.createObjectStore('meta', { keyPath: 'key' });
         }
     },
-    
+
     /**
-     * Sets up emoji selection for mood
-     * Allows users to click emojis (😢 😟 😐 🙂 😊) to select their mood
+     * Check whether this browser offers IndexedDB
+     * False once opening has failed (e.g. some private browsing modes)
+     * @returns {boolean} True if available
      */
-    setupMoodEmojis() {
-        const emojis = document.querySelectorAll('.mood-emoji');
-        emojis.forEach(emoji => {
-            emoji.addEventListener('click', (e) => {
-                // Remove selection from all emojis
-                emojis.forEach(el => el.classList.remove('selected'));
-                // Add selection to clicked emoji
-                e.target.classList.add('selected');
-                // Update slider to correspond with emoji (1-5 scale converted to 1-10)
-                const mood = e.target.getAttribute('data-mood');
-                document.getElementById('moodSlider').value = mood * 2 - 1;
-                UIManager.updateMoodValue();
-            });
-        });
+    isSupported() {
+        return !this.openFailed && typeof indexedDB !== 'undefined' && indexedDB !== null;
     },
-    
+
     /**
-     * Updates mood value display and synchronizes emoji selection
-     * Handles the real-time feedback when user adjusts the mood slider
+     * Database name for the logged-in user
+     * @returns {string|null} Database name or null if no user logged in
      */
-    updateMoodValue() {
-        const value = document.getElementById('moodSlider').value;
-        const moodValueElement = document.getElementById('moodValue');
-        if (moodValueElement) {
-            moodValueElement.textContent = value;
-        }
-        
-        // Update emoji selection based on slider value
-        const moodEmojis = document.querySelectorAll('.mood-emoji');
-        moodEmojis.forEach(el => el.classList.remove('selected'));
-        
-        // Map slider value (1-10) to emoji position
-        if (value <= 2) moodEmojis[0].classList.add('selected');
-        else if (value <= 4) moodEmojis[1].classList.add('selected');
-        else if (value <= 6) moodEmojis[2].classList.add('selected');
-        else if (value <= 8) moodEmojis[3].classList.add('selected');
-        else moodEmojis[4].classList.add('selected');
+    getDatabaseName() {
+        const key = StorageManager.getUserStorageKey();
+        return key ? `${this.dbNamePrefix}${key.slice(StorageManager.dataKeyPrefix.length)}` : null;
     },
-    
+
     /**
-     * Sets up mood slider event listener
+     * Wrap an IDBRequest in a promise
+     * @param {IDBRequest} request - Pending request
+     * @returns {Promise<*>} Request result
      */
-    setupMoodSlider() {
-        const slider = document.getElementById('moodSlider');
-        slider.addEventListener('input', () => UIManager.updateMoodValue());
+    promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     },
-    
+
     /**
-     * Sets up stress level button selection
-     * Allows users to toggle between Uow, Moderate, High, Very High stress levels
+     * Resolve when a transaction has committed
+     * @param {IDBTransaction} tx - Transaction
+     * @returns {Promise<void>}
      */
-    setupStressButtons() {
-        const buttons = document.querySelectorAll('.stress-btn');
-        buttons.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                // Remove selection from all buttons
-                buttons.forEach(el => el.classList.remove('selected'));
-                // Add selection to clicked button
-                e.target.classList.add('selected');
-            });
+    transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
         });
     },
-    
+
     /**
-     * Updates the streak counter display
-     * Calculates and displays consecutive days of check-ins
+     * Open (and upgrade, and migrate into) the current user's database
+     * Connections are reused per user
+     * @returns {Promise<IDBDatabase>} Open database
+     * @throws {Error} If no user is logged in or IndexedDB is unavailable
      */
-    updateStreak() {
-        try {
-            const streak = StorageManager.calculateStreak();
-            const streakElement = document.getElementById('streakCount');
-            if (streakElement) {
-                streakElement.textContent = streak;
-            }
-        } catch (error) {
-            ErrorHandler.logError('UIManager.updateStreak', error);
+    open() {
+        const name = this.getDatabaseName();
+        if (!name) {
+            return Promise.reject(new Error('User not authenticated. Please login first.'));
         }
-    },
-    
-    /**
-     * Shows personalized wellness suggestion based on mood
-     * Provides actionable recommendations for the user's current mood state
-     * @param {number} moodValue - Current mood value (1-10)
-     * @param {Array} activities - Selected activities
-     */
-    showWellnessSuggestion(moodValue, activities) {
-        const suggestions = {
-            low: [
-                "💪 Try some light exercise or a short walk to boost your mood.",
-                "🧘 Consider a short meditation session (even 5 minutes helps!).",
-                "👥 Reach out to a friend - social connection is healing.",
-                "🎨 Engage in a hobby or creative activity you enjoy."
-            ],
-            moderate: [
-                "🕐 Take a break from screens and get some fresh air.",
-                "📚 Try journaling to process your thoughts and feelings.",
-                "🎵 Listen to music that uplifts you.",
-                "✨ Practice gratitude - list 3 things you're grateful for."
-            ],
-            high: [
-                "🧘 Practice deep breathing or meditation to calm your mind.",
-                "💤 Prioritize getting good sleep tonight.",
-                "🌿 Spend time in nature if possible.",
-                "📞 Consider talking to someone you trust about what's bothering you."
-            ]
-        };
-        
-        // Categorize mood into low, moderate, or high
-        let category = 'moderate';
-        if (moodValue <= 3) category = 'low';
-        else if (moodValue >= 7) category = 'high';
-        
-        // Select random suggestion from category
-        const categoryText = suggestions[category];
-        const suggestion = categoryText[Math.floor(Math.random() * categoryText.length)];
-        
-        const suggestionDiv = document.getElementById('wellnessSuggestion');
-        const suggestionText = document.getElementById('suggestionText');
-        if (suggestionText) {
-            suggestionText.textContent = suggestion;
+        if (!this.isSupported()) {
+            return Promise.reject(new Error('IndexedDB is not available in this browser'));
         }
-        if (suggestionDiv) {
-            suggestionDiv.style.display = 'block';
+        if (this.connections[name]) {
+            return this.connections[name];
         }
-    }
-};
 
-// Navigation Manager - Handles view switching and navigation
-const Navigation = {
-    /**
-     * Initializes navigation buttons and event listeners
-     * Sets up click handlers for switching between views
-     */
-    init() {
-        const navButtons = document.querySelectorAll('.nav-btn');
-        navButtons.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                // Update active button styling
-                navButtons.forEach(b => b.classList.remove('active'));
-                e.target.classList.add('active');
-                
-                // Show corresponding view
-                const viewName = e.target.getAttribute('data-view');
-                if (viewName) {
-                    this.switchView(viewName);
-                }
+        const connection = new Promise((resolve, reject) => {
+            const request = indexedDB.open(name, this.schemaVersion);
+            request.onupgradeneeded = (event) => {
+                this.upgrade(request.result, event.oldVersion, request.transaction);
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Another tab is upgrading the schema - step aside and reopen on next use
+                db.onversionchange = () => {
+                    db.close();
+                    delete this.connections[name];
+                };
+                resolve(db);
+            };
+            request.onerror = () => {
+                this.openFailed = true;
+                reject(request.error);
+            };
+            request.onblocked = () => {
+                Logger.warn('[IndexedDBStore] Upgrade waiting for other tabs to close');
+            };
+        })
+            .then(db => this.migrateFromLocalStorage(db).then(() => db))
+            .catch(error => {
+                delete this.connections[name];
+                throw error;
             });
-        });
+
+        this.connections[name] = connection;
+        return connection;
     },
-    
+
     /**
-     * Switches to specified view and loads relevant data
-     * @param {string} viewName - Name of the view to switch to
+     * Apply every upgrade step between the stored and current schema versions
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {number} oldVersion - Version on disk (0 for a new database)
+     * @param {IDBTransaction} tx - versionchange transaction
      */
-    switchView(viewName) {
-        try {
-            // Hide all views
-            const views = document.querySelectorAll('.view');
-            views.forEach(view => view.classList.remove('active'));
-            
-            // Show selected view
-            const selectedView = document.getElementById(viewName);
-            if (selectedView) {
-                selectedView.classList.add('active');
-                
-                // Load view-specific data
-                if (viewName === 'history') {
-                    HistoryView.loadHistory();
-                } else if (viewName === 'analytics') {
-                    AnalyticsView.loadAnalytics();
-                }
-            }
-        } catch (error) {
-            ErrorHandler.logError('Navigation.switchView', error);
+    upgrade(db, oldVersion, tx) {
+        for (let version = oldVersion + 1; version <= this.schemaVersion; version++) {
+            Logger.info('[IndexedDBStore] Upgrading schema to version', version);
+            this.upgrades[version](db, tx);
         }
-    }
-};
+    },
 
-// Check-in View - Handles daily wellness check-in functionality
-const CheckInView = {
     /**
-     * Initializes check-in view
-     * Sets up event listeners and loads today's data if it exists
+     * Copy the user's wellnessTrackerData_<email> entries into IndexedDB once,
+     * then remove the localStorage copy so the two can't drift apart
+     * @param {IDBDatabase} db - Open database
+     * @returns {Promise<number>} Number of entries copied
      */
-    init() {
-        const submitBtn = document.getElementById('submitBtn');
-        if (submitBtn) {
-            submitBtn.addEventListener('click', () => this.handleSubmit());
+    async migrateFromLocalStorage(db) {
+        const done = await this.promisify(db.transaction('meta').objectStore('meta').get('localStorageMigration'));
+        if (done) return 0;
+
+        const key = StorageManager.getUserStorageKey();
+        const entries = key ? StorageManager.getAllEntries() : [];
+
+        const tx = db.transaction(['entries', 'meta'], 'readwrite');
+        const store = tx.objectStore('entries');
+        entries.forEach(entry => {
+            if (ValidationHelper.isValidDate(entry.date)) store.put(entry);
+        });
+        tx.objectStore('meta').put({
+            key: 'localStorageMigration',
+            migratedAt: new Date().toISOString(),
+            entryCount: entries.length
+        });
+        await this.transactionDone(tx);
+
+        if (key && entries.length > 0) {
+            localStorage.removeItem(key);
+            Logger.info('[IndexedDBStore] Migrated', entries.length, 'entries from localStorage');
         }
-        
-        // Load today's data if it exists
-        this.loadTodayData();
+        return entries.length;
     },
-    
+
     /**
-     * Loads and populates form with today's entry data if it exists
-     * Allows users to view/edit their current day's check-in
+     * Run a read against the entries store
+     * @param {Function} read - Receives the object store, returns an IDBRequest
+     * @returns {Promise<*>} Request result
      */
-    loadTodayData() {
-        try {
-            const today = new Date().toISOString().split('T')[0];
-            const entry = StorageManager.getEntry(today);
-            
-            if (entry) {
-                // Populate mood
-                const moodSlider = document.getElementById('moodSlider');
-                if (moodSlider) {
-                    moodSlider.value = entry.mood;
-                    UIManager.updateMoodValue();
+    async read(read) {
+        const db = await this.open();
+        return this.promisify(read(db.transaction('entries').objectStore('entries')));
+    },
+
+    /**
+     * Get all entries, newest first
+     * @returns {Promise<Array>} Entries
+     */
+    async getAllEntries() {
+        const entries = await this.read(store => store.getAll());
+        return entries.reverse();
+    },
+
+    /**
+     * Get entry for a specific date
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @returns {Promise<Object|null>} Entry or null
+     */
+    async getEntry(date) {
+        return (await this.read(store => store.get(date))) || null;
+    },
+
+    /**
+     * Save (insert or update) one entry
+     * @param {Object} entry - Entry object
+     * @returns {Promise<boolean>} True if saved
+     */
+    async saveEntry(entry) {
+        ValidationHelper.validateEntry(entry);
+        const db = await this.open();
+        const tx = db.transaction('entries', 'readwrite');
+        tx.objectStore('entries').put(entry);
+        await this.transactionDone(tx);
+        return true;
+    },
+
+    /**
+     * Delete entry for a specific date
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @returns {Promise<boolean>} True if an entry was removed
+     */
+    async deleteEntry(date) {
+        const db = await this.open();
+        const tx = db.transaction('entries', 'readwrite');
+        const store = tx.objectStore('entries');
+        let removed = false;
+        const countRequest = store.count(date);
+        countRequest.onsuccess = () => {
+            removed = countRequest.result > 0;
+            if (removed) store.delete(date);
+        };
+        await this.transactionDone(tx);
+        return removed;
+    },
+
+    /**
+     * Get entries between two dates, inclusive
+     * @param {string} startDate - Start date in YYYY-MM-DD format
+     * @param {string} endDate - End date in YYYY-MM-DD format
+     * @returns {Promise<Array>} Entries, newest first
+     */
+    async getRange(startDate, endDate) {
+        const entries = await this.read(store => store.getAll(IDBKeyRange.bound(startDate, endDate)));
+        return entries.reverse();
+    },
+
+    /**
+     * Get entries with a mood in a range (uses the 'mood' index)
+     * @param {number} minMood - Lowest mood, inclusive
+     * @param {number} maxMood - Highest mood, inclusive
+     * @returns {Promise<Array>} Matching entries
+     */
+    async getByMood(minMood, maxMood) {
+        return this.read(store => store.index('mood').getAll(IDBKeyRange.bound(minMood, maxMood)));
+    },
+
+    /**
+     * Get entries tagged with an activity (uses the 'activity' index)
+     * @param {string} activity - Activity value, e.g. 'exercise'
+     * @returns {Promise<Array>} Matching entries
+     */
+    async getByActivity(activity) {
+        return this.read(store => store.index('activity').getAll(activity));
+    },
+
+    /**
+     * Calculate the current streak from the last year of entries
+     * @returns {Promise<number>} Streak count
+     */
+    async calculateStreak() {
+        const entries = await this.getRange(DateUtils.daysAgo(364), DateUtils.today());
+        return DateUtils.countStreak(new Set(entries.map(e => e.date)));
+    }
+};
+
+// ============================================
+// Storage Adapter - One async interface over pluggable backends
+// ============================================
+/**
+ * Every backend implements the same async methods:
+ * getAllEntries(), getEntry(date), saveEntry(entry), deleteEntry(date, marker),
+ * getRange(startDate, endDate) and optionally calculateStreak().
+ * Entries always use the app's field names (date, mood, sleep, stress, journal, activities, timestamp).
+ */
+const StorageBackends = {
+    // Browser IndexedDB, one database per user (default where supported)
+    indexeddb: {
+        async getAllEntries() {
+            return IndexedDBStore.getAllEntries();
+        },
+        async getEntry(date) {
+            return IndexedDBStore.getEntry(date);
+        },
+        async saveEntry(entry) {
+            return IndexedDBStore.saveEntry(entry);
+        },
+        async deleteEntry(date) {
+            return IndexedDBStore.deleteEntry(date);
+        },
+        async getRange(startDate, endDate) {
+            return IndexedDBStore.getRange(startDate, endDate);
+        },
+        async calculateStreak() {
+            return IndexedDBStore.calculateStreak();
+        }
+    },
+
+    // Browser localStorage, scoped to the logged-in user
+    local: {
+        async getAllEntries() {
+            return StorageManager.getAllEntries();
+        },
+        async getEntry(date) {
+            return StorageManager.getEntry(date) || null;
+        },
+        async saveEntry(entry) {
+            return StorageManager.saveEntry(entry);
+        },
+        async deleteEntry(date) {
+            return StorageManager.deleteEntry(date);
+        },
+        async getRange(startDate, endDate) {
+            return StorageManager.getRange(startDate, endDate);
+        },
+        async calculateStreak() {
+            return StorageManager.calculateStreak();
+        }
+    },
+
+    // Supabase wellness_checkins table (requires supabase-config.js and supabase-auth.js)
+    supabase: {
+        // Reads go over the network, so StorageAdapter keeps them in EntryCache
+        cacheable: true,
+        manager() {
+            if (typeof SupabaseStorageManager === 'undefined') {
+                throw new Error('Supabase backend is not loaded. Include supabase-config.js and supabase-auth.js before app.js.');
+            }
+            return SupabaseStorageManager;
+        },
+        async getAllEntries() {
+            return this.manager().getAllEntries();
+        },
+        async getEntry(date) {
+            return this.manager().getEntry(date);
+        },
+        async saveEntry(entry) {
+            return this.manager().saveEntry(entry);
+        },
+        async deleteEntry(date, marker) {
+            return this.manager().deleteEntry(date, marker);
+        },
+        async getRange(startDate, endDate) {
+            return this.manager().getRange(startDate, endDate);
+        },
+        async calculateStreak() {
+            return this.manager().calculateStreak(DateUtils.today());
+        }
+    },
+
+    // Non-persistent store for tests and demos
+    memory: {
+        entries: [],
+        async getAllEntries() {
+            return this.entries.map(entry => ({ ...entry }));
+        },
+        async getEntry(date) {
+            const entry = this.entries.find(e => e.date === date);
+            return entry ? { ...entry } : null;
+        },
+        async saveEntry(entry) {
+            this.entries = this.entries.filter(e => e.date !== entry.date);
+            this.entries.push({ ...entry });
+            return true;
+        },
+        async deleteEntry(date) {
+            const before = this.entries.length;
+            this.entries = this.entries.filter(e => e.date !== date);
+            return this.entries.length < before;
+        },
+        async getRange(startDate, endDate) {
+            return this.entries
+                .filter(e => e.date >= startDate && e.date <= endDate)
+                .map(entry => ({ ...entry }));
+        },
+        reset(entries = []) {
+            this.entries = entries.map(entry => ({ ...entry }));
+        }
+    }
+};
+
+/**
+ * In-memory cache of entries read from a remote backend
+ * Tracks which date ranges are fully loaded so switching views reuses them
+ */
+const EntryCache = {
+    scope: null,
+    entries: new Map(),
+    ranges: [],
+    complete: false,
+    loadedAt: 0,
+
+    /**
+     * Make sure the cache belongs to this backend/user and has not expired
+     * @param {string} scope - Backend name and user identity
+     */
+    ensureScope(scope) {
+        if (scope !== this.scope || Date.now() - this.loadedAt > AppConfig.cacheTtlMs) {
+            this.clear();
+            this.scope = scope;
+            this.loadedAt = Date.now();
+        }
+    },
+
+    /**
+     * Drop everything cached
+     */
+    clear() {
+        this.scope = null;
+        this.entries = new Map();
+        this.ranges = [];
+        this.complete = false;
+        this.loadedAt = 0;
+    },
+
+    covers(startDate, endDate) {
+        return this.complete || this.ranges.some(r => r.start <= startDate && r.end >= endDate);
+    },
+
+    getRange(startDate, endDate) {
+        return [...this.entries.values()].filter(e => e.date >= startDate && e.date <= endDate);
+    },
+
+    getAll() {
+        return [...this.entries.values()];
+    },
+
+    storeRange(startDate, endDate, entries) {
+        entries.forEach(entry => this.entries.set(entry.date, entry));
+        this.ranges.push({ start: startDate, end: endDate });
+    },
+
+    storeAll(entries) {
+        this.entries = new Map(entries.map(entry => [entry.date, entry]));
+        this.complete = true;
+    },
+
+    put(entry) {
+        this.entries.set(entry.date, entry);
+    },
+
+    remove(date) {
+        this.entries.delete(date);
+    }
+};
+
+const StorageAdapter = {
+    backendName: null,
+
+    /**
+     * Get the active backend (runtime override, else AppConfig.storageBackend)
+     * @returns {Object} Backend implementing the storage interface
+     */
+    getBackend() {
+        const name = this.getBackendName();
+        const backend = StorageBackends[name];
+        if (!backend) {
+            throw new Error(`Unknown storage backend: ${name}`);
+        }
+        return backend;
+    },
+
+    /**
+     * Name of the active backend
+     * 'indexeddb' becomes 'local' in browsers without IndexedDB
+     * @returns {string} Backend name
+     */
+    getBackendName() {
+        const name = this.backendName || AppConfig.storageBackend;
+        return name === 'indexeddb' && !IndexedDBStore.isSupported() ? 'local' : name;
+    },
+
+    /**
+     * Backend that keeps entries on this device: the active one, or for the
+     * supabase backend the store used for offline fallback and sync merges
+     * @returns {Object} Backend implementing the storage interface
+     */
+    getDeviceBackend() {
+        if (this.getBackendName() !== 'supabase') return this.getBackend();
+        return IndexedDBStore.isSupported() ? StorageBackends.indexeddb : StorageBackends.local;
+    },
+
+    /**
+     * Switch backend at runtime (e.g. 'memory' in tests)
+     * @param {string} name - Backend name from StorageBackends
+     */
+    use(name) {
+        if (!StorageBackends[name]) {
+            throw new Error(`Unknown storage backend: ${name}`);
+        }
+        this.backendName = name;
+        EntryCache.clear();
+    },
+
+    /**
+     * Get the entry cache if the active backend uses one
+     * @returns {Object|null} EntryCache scoped to the current backend and user, or null
+     */
+    getCache() {
+        if (!this.getBackend().cacheable) return null;
+        const currentUser = AuthManager.getCurrentUser();
+        EntryCache.ensureScope(`${this.getBackendName()}:${currentUser ? currentUser.email : ''}`);
+        return EntryCache;
+    },
+
+    /**
+     * Forget cached entries (e.g. after changes were merged in from another device)
+     */
+    invalidateCache() {
+        EntryCache.clear();
+    },
+
+    /**
+     * Get all entries, newest first
+     * @returns {Promise<Array>} All entries for the current user
+     */
+    async getAllEntries() {
+        try {
+            const cache = this.getCache();
+            if (cache && cache.complete) {
+                return this.sortNewestFirst(cache.getAll());
+            }
+
+            const entries = await this.getBackend().getAllEntries();
+            if (cache) cache.storeAll(entries);
+            return this.sortNewestFirst(entries);
+        } catch (error) {
+            ErrorHandler.logError('StorageAdapter.getAllEntries', error);
+            return [];
+        }
+    },
+
+    /**
+     * Get entry for a specific date
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @returns {Promise<Object|null>} Entry or null if not found
+     */
+    async getEntry(date) {
+        if (!ValidationHelper.isValidDate(date)) {
+            ErrorHandler.logError('StorageAdapter.getEntry', 'Invalid date format');
+            return null;
+        }
+        try {
+            const cache = this.getCache();
+            if (cache && cache.covers(date, date)) {
+                return cache.entries.get(date) || null;
+            }
+
+            const entry = (await this.getBackend().getEntry(date)) || null;
+            if (cache) cache.storeRange(date, date, entry ? [entry] : []);
+            return entry;
+        } catch (error) {
+            ErrorHandler.logError('StorageAdapter.getEntry', error);
+            return null;
+        }
+    },
+
+    /**
+     * Validate and save (insert or update) an entry
+     * Bumps the entry's revision and per-field timestamps (see EntryVersioning)
+     * @param {Object} entry - Entry object
+     * @returns {Promise<boolean>} True if saved
+     * @throws {Error} If validation or the backend fails
+     */
+    async saveEntry(entry) {
+        ValidationHelper.validateEntry(entry);
+        const previous = await this.getEntry(entry.date);
+        const stamped = EntryVersioning.stamp(entry, previous);
+        await this.writeWithFallback('save', stamped.date, backend => backend.saveEntry(stamped), stamped);
+
+        const cache = this.getCache();
+        if (cache) cache.put(stamped);
+        return true;
+    },
+
+    /**
+     * Save an entry exactly as given, keeping its revision metadata
+     * Used for results of EntryVersioning.merge (e.g. restoring a backup)
+     * @param {Object} entry - Entry object
+     * @returns {Promise<boolean>} True if saved
+     * @throws {Error} If validation or the backend fails
+     */
+    async restoreEntry(entry) {
+        ValidationHelper.validateEntry(entry);
+        await this.writeWithFallback('save', entry.date, backend => backend.saveEntry(entry), entry);
+
+        const cache = this.getCache();
+        if (cache) cache.put(entry);
+        return true;
+    },
+
+    /**
+     * Delete entry for a specific date
+     * The delete is synced as a marker (EntryVersioning.markDeleted) so other devices remove the day too
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @returns {Promise<boolean>} True if an entry was removed
+     * @throws {Error} If the backend fails
+     */
+    async deleteEntry(date) {
+        if (!ValidationHelper.isValidDate(date)) {
+            throw new Error('Invalid date format');
+        }
+        const marker = EntryVersioning.markDeleted(date, await this.getEntry(date));
+        const removed = await this.writeWithFallback('delete', date, backend => backend.deleteEntry(date, marker), marker);
+
+        const cache = this.getCache();
+        if (cache) cache.remove(date);
+        return removed;
+    },
+
+    /**
+     * Run a write against the active backend and keep the sync outbox in step
+     * - device backend (indexeddb/local) with cloud sync on: write locally, then queue for Supabase
+     * - supabase backend failing with fallback on: write to the device backend and queue instead
+     * @param {string} action - 'save' or 'delete'
+     * @param {string} date - Entry date
+     * @param {Function} write - Receives the backend and performs the write
+     * @param {Object} [entry] - Entry being saved, or the delete marker
+     * @returns {Promise<*>} Result of the write
+     */
+    async writeWithFallback(action, date, write, entry) {
+        const name = this.getBackendName();
+        let result;
+        try {
+            result = await write(this.getBackend());
+        } catch (error) {
+            if (name !== 'supabase' || !AppConfig.fallbackToLocalStorage) throw error;
+            ErrorHandler.logError('StorageAdapter.writeWithFallback', error);
+            result = await write(this.getDeviceBackend());
+            SyncManager.enqueue(action, date, entry);
+            return result;
+        }
+        if ((name === 'indexeddb' || name === 'local') && AppConfig.enableCloudSync) {
+            SyncManager.enqueue(action, date, entry);
+        }
+        return result;
+    },
+
+    /**
+     * Get entries between two dates, inclusive
+     * @param {string} startDate - Start date in YYYY-MM-DD format
+     * @param {string} endDate - End date in YYYY-MM-DD format
+     * @returns {Promise<Array>} Entries in range, newest first
+     */
+    async getRange(startDate, endDate) {
+        try {
+            const cache = this.getCache();
+            if (cache && cache.covers(startDate, endDate)) {
+                return this.sortNewestFirst(cache.getRange(startDate, endDate));
+            }
+
+            const entries = await this.getBackend().getRange(startDate, endDate);
+            if (cache) cache.storeRange(startDate, endDate, entries);
+            return this.sortNewestFirst(entries);
+        } catch (error) {
+            ErrorHandler.logError('StorageAdapter.getRange', error);
+            return [];
+        }
+    },
+
+    /**
+     * Get entries for the last N days
+     * @param {number} days - Number of days to retrieve
+     * @returns {Promise<Array>} Entries from the last N days, newest first
+     */
+    async getLastNDays(days) {
+        return this.getRange(DateUtils.daysAgo(days), DateUtils.today());
+    },
+
+    /**
+     * Calculate consecutive check-in streak
+     * Uses the backend's own implementation when it has one
+     * @returns {Promise<number>} Number of consecutive days checked in
+     */
+    async calculateStreak() {
+        try {
+            const backend = this.getBackend();
+            if (typeof backend.calculateStreak === 'function') {
+                return await backend.calculateStreak();
+            }
+            return this.streakFromEntries(await backend.getAllEntries());
+        } catch (error) {
+            ErrorHandler.logError('StorageAdapter.calculateStreak', error);
+            return 0;
+        }
+    },
+
+    /**
+     * Count consecutive days with an entry, ending today
+     * @param {Array} entries - Entries to scan
+     * @returns {number} Streak length
+     */
+    streakFromEntries(entries) {
+        return DateUtils.countStreak(new Set(entries.map(e => e.date)));
+    },
+
+    /**
+     * Sort entries by date, newest first
+     * @param {Array} entries - Entries to sort
+     * @returns {Array} New sorted array
+     */
+    sortNewestFirst(entries) {
+        return [...(entries || [])].sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+    }
+};
+
+// ============================================
+// Entry Versioning - Revisions and deterministic merging across devices
+// ============================================
+const EntryVersioning = {
+    deviceIdKey: 'wellnessTrackerDeviceId',
+
+    // Fields merged last-writer-wins; journal has its own rule
+    mergedFields: ['mood', 'sleep', 'stress', 'activities', 'metrics'],
+
+    journalSeparator: '\n\n— — —\n\n',
+
+    /**
+     * Stable random ID for this browser, used to break timestamp ties
+     * @returns {string} Device ID
+     */
+    getDeviceId() {
+        let deviceId = localStorage.getItem(this.deviceIdKey);
+        if (!deviceId) {
+            deviceId = `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+            localStorage.setItem(this.deviceIdKey, deviceId);
+        }
+        return deviceId;
+    },
+
+    /**
+     * Add revision metadata to an entry being saved on this device
+     * Only fields whose value changed get a new timestamp
+     * @param {Object} entry - Entry being saved
+     * @param {Object|null} previous - Currently stored entry for the same date
+     * @returns {Object} New entry with revision, updatedAt, fieldUpdatedAt and deviceId
+     */
+    stamp(entry, previous) {
+        const now = new Date().toISOString();
+        const previousFieldTimes = (previous && previous.fieldUpdatedAt) || {};
+        const fieldUpdatedAt = {};
+
+        [...this.mergedFields, 'journal'].forEach(field => {
+            const unchanged = previous && this.sameValue(entry[field], previous[field]);
+            fieldUpdatedAt[field] = unchanged ? (previousFieldTimes[field] || this.getUpdatedAt(previous)) : now;
+        });
+
+        const journalResolved = (entry.fieldUpdatedAt && entry.fieldUpdatedAt.journalResolved) || previousFieldTimes.journalResolved;
+        if (journalResolved) fieldUpdatedAt.journalResolved = journalResolved;
+
+        return {
+            ...entry,
+            revision: ((previous && previous.revision) || 0) + 1,
+            updatedAt: now,
+            fieldUpdatedAt,
+            deviceId: this.getDeviceId()
+        };
+    },
+
+    /**
+     * Marker for a deleted day, synced instead of the entry so other devices remove it too
+     * @param {string} date - Entry date
+     * @param {Object|null} previous - Entry being deleted
+     * @param {string} [deletedAt] - When it was deleted (defaults to now)
+     * @returns {Object} {date, deletedAt, revision, updatedAt, deviceId}
+     */
+    markDeleted(date, previous, deletedAt = new Date().toISOString()) {
+        return {
+            date,
+            deletedAt,
+            revision: ((previous && previous.revision) || 0) + 1,
+            updatedAt: deletedAt,
+            deviceId: this.getDeviceId()
+        };
+    },
+
+    /**
+     * Merge two versions of the same day's entry
+     * Deterministic: merge(a, b) and merge(b, a) give the same entry.
+     * - mood, sleep, stress, activities, metrics: newest field timestamp wins
+     * - journal: identical or one contains the other -> keep the fuller one;
+     *   a side the user picked in a conflict (journalResolved) beats edits it saw;
+     *   otherwise concatenate (oldest first) if it fits, else flag a conflict
+     * - a deleted day (deletedAt) stays deleted unless the other copy was changed after the delete
+     * @param {Object|null} a - One version
+     * @param {Object|null} b - Other version
+     * @returns {{entry: Object, conflict: boolean}} Merged entry and whether the user must choose
+     */
+    merge(a, b) {
+        if (!a || !b) return { entry: a || b, conflict: false };
+        if (a.deletedAt || b.deletedAt) return { entry: this.mergeDeleted(a, b), conflict: false };
+        if (this.sameEntry(a, b)) return { entry: a, conflict: false };
+
+        const newer = this.compareVersions(a, b) >= 0 ? a : b;
+        const older = newer === a ? b : a;
+
+        if (Array.isArray(a.checkIns) || Array.isArray(b.checkIns)) {
+            return { entry: this.mergeCheckIns(a, b, newer), conflict: false };
+        }
+        const merged = { ...newer };
+        const fieldUpdatedAt = {};
+
+        this.mergedFields.forEach(field => {
+            const timeA = this.getFieldTime(a, field);
+            const timeB = this.getFieldTime(b, field);
+            const winner = timeA > timeB ? a : timeB > timeA ? b : newer;
+            const value = winner[field];
+            merged[field] = Array.isArray(value) ? [...value] : value && typeof value === 'object' ? { ...value } : value;
+            fieldUpdatedAt[field] = timeA > timeB ? timeA : timeB;
+        });
+
+        const journal = this.mergeJournal(a, b, newer, older);
+        merged.journal = journal.value;
+        fieldUpdatedAt.journal = journal.time;
+        const resolvedA = this.getJournalResolved(a);
+        const resolvedB = this.getJournalResolved(b);
+        if (resolvedA || resolvedB) fieldUpdatedAt.journalResolved = resolvedA > resolvedB ? resolvedA : resolvedB;
+
+        merged.fieldUpdatedAt = fieldUpdatedAt;
+        merged.revision = Math.max(a.revision || 0, b.revision || 0) + 1;
+        merged.updatedAt = this.getUpdatedAt(newer);
+        merged.deviceId = newer.deviceId || null;
+
+        return { entry: merged, conflict: journal.conflict };
+    },
+
+    /**
+     * merge() when at least one copy is a deleted day
+     * Like check-in tombstones: the later of the delete and the other copy's last change wins
+     * @returns {Object} The delete marker, or the copy edited after it
+     */
+    mergeDeleted(a, b) {
+        if (a.deletedAt && b.deletedAt) return this.compareVersions(a, b) >= 0 ? a : b;
+        const deleted = a.deletedAt ? a : b;
+        const live = deleted === a ? b : a;
+        return this.getUpdatedAt(live) > deleted.deletedAt ? live : deleted;
+    },
+
+    /**
+     * Journal part of merge()
+     * @returns {{value: string, time: string, conflict: boolean}}
+     */
+    mergeJournal(a, b, newer, older) {
+        const journalA = a.journal || '';
+        const journalB = b.journal || '';
+        const timeA = this.getFieldTime(a, 'journal');
+        const timeB = this.getFieldTime(b, 'journal');
+        const time = timeA > timeB ? timeA : timeB;
+        const latest = timeA > timeB ? journalA : timeB > timeA ? journalB : (newer.journal || '');
+
+        if (journalA === journalB) return { value: journalA, time, conflict: false };
+        if (journalA.includes(journalB)) return { value: journalA, time, conflict: false };
+        if (journalB.includes(journalA)) return { value: journalB, time, conflict: false };
+
+        // One side cleared its journal: that is an ordinary edit
+        if (!journalA.trim() || !journalB.trim()) return { value: latest, time, conflict: false };
+
+        // The user already chose between these journals in the conflict dialog
+        const resolvedA = this.getJournalResolved(a);
+        const resolvedB = this.getJournalResolved(b);
+        const winsA = resolvedA && resolvedA >= timeB;
+        const winsB = resolvedB && resolvedB >= timeA;
+        if (winsA && (!winsB || resolvedA >= resolvedB)) return { value: journalA, time, conflict: false };
+        if (winsB) return { value: journalB, time, conflict: false };
+
+        const combined = (older.journal || '') + this.journalSeparator + (newer.journal || '');
+        if (ValidationHelper.isValidJournal(combined)) {
+            return { value: combined, time, conflict: false };
+        }
+        return { value: latest, time, conflict: true };
+    },
+
+    /**
+     * When the user last picked this entry's journal in a conflict
+     * @param {Object} entry - Entry
+     * @returns {string} ISO timestamp, or '' if never resolved
+     */
+    getJournalResolved(entry) {
+        return (entry.fieldUpdatedAt && entry.fieldUpdatedAt.journalResolved) || '';
+    },
+
+    /**
+     * merge() for days with several check-ins
+     * Check-ins are combined by ID (the newer copy of each wins, removals included)
+     * and the day's aggregate is rebuilt; sleep is last-writer-wins. Never a conflict.
+     * @returns {Object} Merged entry
+     */
+    mergeCheckIns(a, b, newer) {
+        const byId = new Map();
+        [a, b].forEach(entry => {
+            DailyCheckIns.getCheckIns(entry, true).forEach(checkIn => {
+                const current = byId.get(checkIn.id);
+                if (!current || this.compareCheckIns(checkIn, current) > 0) {
+                    byId.set(checkIn.id, checkIn);
+                }
+            });
+        });
+
+        const fieldUpdatedAt = {};
+        [...this.mergedFields, 'journal'].forEach(field => {
+            const timeA = this.getFieldTime(a, field);
+            const timeB = this.getFieldTime(b, field);
+            fieldUpdatedAt[field] = timeA > timeB ? timeA : timeB;
+        });
+        const sleepTimeA = this.getFieldTime(a, 'sleep');
+        const sleepTimeB = this.getFieldTime(b, 'sleep');
+        const sleep = (sleepTimeA > sleepTimeB ? a : sleepTimeB > sleepTimeA ? b : newer).sleep;
+
+        // Each device removed a different check-in and nothing is left: keep the newer day
+        const merged = DailyCheckIns.buildDay(newer.date, [...byId.values()], sleep, newer) || { ...newer };
+
+        merged.fieldUpdatedAt = fieldUpdatedAt;
+        merged.revision = Math.max(a.revision || 0, b.revision || 0) + 1;
+        merged.updatedAt = this.getUpdatedAt(newer);
+        merged.deviceId = newer.deviceId || null;
+        return merged;
+    },
+
+    /**
+     * Order two copies of the same check-in: newer updatedAt, then content
+     * @returns {number} Positive if x wins
+     */
+    compareCheckIns(x, y) {
+        const timeX = x.updatedAt || '';
+        const timeY = y.updatedAt || '';
+        if (timeX !== timeY) return timeX > timeY ? 1 : -1;
+        const keyX = this.canonical(x);
+        const keyY = this.canonical(y);
+        return keyX === keyY ? 0 : keyX > keyY ? 1 : -1;
+    },
+
+    /**
+     * JSON with keys sorted at every level, so copies read back from different stores compare equal
+     * @param {*} value - Value to serialize
+     * @returns {string} Canonical JSON
+     */
+    canonical(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonical(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+            return `{${keys.map(key => `${JSON.stringify(key)}:${this.canonical(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value ?? null);
+    },
+
+    /**
+     * Order two versions: newer updatedAt, then higher revision, then device ID
+     * @returns {number} Positive if a is newer, negative if b is newer, 0 if identical
+     */
+    compareVersions(a, b) {
+        const timeA = this.getUpdatedAt(a);
+        const timeB = this.getUpdatedAt(b);
+        if (timeA !== timeB) return timeA > timeB ? 1 : -1;
+        if ((a.revision || 0) !== (b.revision || 0)) return (a.revision || 0) > (b.revision || 0) ? 1 : -1;
+        const deviceA = a.deviceId || '';
+        const deviceB = b.deviceId || '';
+        return deviceA === deviceB ? 0 : deviceA > deviceB ? 1 : -1;
+    },
+
+    getUpdatedAt(entry) {
+        return (entry && (entry.updatedAt || entry.timestamp)) || '';
+    },
+
+    getFieldTime(entry, field) {
+        return (entry.fieldUpdatedAt && entry.fieldUpdatedAt[field]) || this.getUpdatedAt(entry);
+    },
+
+    /**
+     * Compare the user-visible content of two entries (ignores metadata)
+     * @returns {boolean} True if mood, sleep, stress, activities, metrics, journal and check-ins match
+     */
+    sameEntry(a, b) {
+        return [...this.mergedFields, 'journal', 'checkIns'].every(field => this.sameValue(a[field], b[field]));
+    },
+
+    sameValue(x, y) {
+        if (Array.isArray(x) || Array.isArray(y)) {
+            const key = value => (value && typeof value === 'object' ? this.canonical(value) : value);
+            const left = (x || []).map(key).sort();
+            const right = (y || []).map(key).sort();
+            return left.length === right.length && left.every((value, i) => value === right[i]);
+        }
+        if ((x && typeof x === 'object') || (y && typeof y === 'object')) {
+            return this.canonical(x || {}) === this.canonical(y || {});
+        }
+        return (x ?? '') === (y ?? '');
+    }
+};
+
+// ============================================
+// Conflict Manager - Entries the merge policy could not resolve
+// ============================================
+const ConflictManager = {
+    conflictsKeyPrefix: 'wellnessTrackerConflicts_',
+
+    /**
+     * Set up the banner and dialog buttons
+     */
+    init() {
+        const reviewBtn = document.getElementById('reviewConflictsBtn');
+        const closeBtn = document.getElementById('closeConflictsBtn');
+        if (reviewBtn) reviewBtn.addEventListener('click', () => this.openDialog());
+        if (closeBtn) closeBtn.addEventListener('click', () => this.closeDialog());
+        this.updateBanner();
+    },
+
+    /**
+     * Per-user conflicts key (same user scoping as StorageManager)
+     * @returns {string|null} Storage key or null if no user logged in
+     */
+    getConflictsKey() {
+        const currentUser = AuthManager.getCurrentUser();
+        if (!currentUser || !currentUser.email) return null;
+        return this.conflictsKeyPrefix + currentUser.email.replace(/[^a-zA-Z0-9]/g, '_');
+    },
+
+    /**
+     * Get unresolved conflicts for the current user
+     * @returns {Array} Conflicts: { id, date, detectedAt, versions: [thisDevice, otherDevice] }
+     */
+    getConflicts() {
+        try {
+            const key = this.getConflictsKey();
+            if (!key) return [];
+            const data = localStorage.getItem(key);
+            return data ? JSON.parse(data) : [];
+        } catch (error) {
+            ErrorHandler.logError('ConflictManager.getConflicts', error);
+            return [];
+        }
+    },
+
+    saveConflicts(conflicts) {
+        const key = this.getConflictsKey();
+        if (!key) return;
+        localStorage.setItem(key, JSON.stringify(conflicts));
+        this.updateBanner();
+    },
+
+    /**
+     * Record an unresolved conflict (replaces any earlier one for the same date)
+     * @param {string} date - Entry date
+     * @param {Object} localVersion - Version on this device
+     * @param {Object} remoteVersion - Version from the other device
+     */
+    record(date, localVersion, remoteVersion) {
+        const conflicts = this.getConflicts().filter(c => c.date !== date);
+        conflicts.push({
+            id: `${date}-${Date.now()}`,
+            date,
+            detectedAt: new Date().toISOString(),
+            versions: [localVersion, remoteVersion]
+        });
+        this.saveConflicts(conflicts);
+    },
+
+    /**
+     * Resolve a conflict by saving the chosen version as a new revision
+     * The choice is marked (fieldUpdatedAt.journalResolved) so the next sync
+     * keeps it instead of merging the two journals into the same conflict again
+     * @param {string} id - Conflict ID
+     * @param {number} choice - Index into versions
+     */
+    async resolve(id, choice) {
+        const conflict = this.getConflicts().find(c => c.id === id);
+        if (!conflict) return;
+
+        try {
+            const version = conflict.versions[choice];
+            const chosen = {
+                ...version,
+                fieldUpdatedAt: { ...version.fieldUpdatedAt, journalResolved: new Date().toISOString() }
+            };
+
+            await StorageAdapter.saveEntry(chosen);
+            this.saveConflicts(this.getConflicts().filter(c => c.id !== id));
+            this.renderList();
+            UIManager.updateStreak();
+            ErrorHandler.showSuccess('Conflict resolved.');
+        } catch (error) {
+            ErrorHandler.logError('ConflictManager.resolve', error);
+            ErrorHandler.showError('Could not resolve conflict', error.message);
+        }
+    },
+
+    /**
+     * Show or hide the conflict banner
+     */
+    updateBanner() {
+        const banner = document.getElementById('conflictBanner');
+        const text = document.getElementById('conflictBannerText');
+        if (!banner) return;
+
+        const count = this.getConflicts().length;
+        if (count === 0) {
+            banner.classList.add('hidden');
+            this.closeDialog();
+            return;
+        }
+        if (text) {
+            text.textContent = count === 1
+                ? '⚠️ One check-in was edited on two devices and needs your choice.'
+                : `⚠️ ${count} check-ins were edited on two devices and need your choice.`;
+        }
+        banner.classList.remove('hidden');
+    },
+
+    openDialog() {
+        const dialog = document.getElementById('conflictDialog');
+        if (!dialog) return;
+        this.renderList();
+        dialog.classList.remove('hidden');
+    },
+
+    closeDialog() {
+        const dialog = document.getElementById('conflictDialog');
+        if (dialog) dialog.classList.add('hidden');
+    },
+
+    /**
+     * Render each conflict with both versions side by side
+     * Built with textContent so journal text is never parsed as HTML
+     */
+    renderList() {
+        const list = document.getElementById('conflictList');
+        if (!list) return;
+        list.innerHTML = '';
+
+        const stressLabels = ['', 'Low', 'Moderate', 'High', 'Very High'];
+        const labels = ['This device', 'Other device'];
+
+        this.getConflicts().forEach(conflict => {
+            const item = document.createElement('div');
+            item.className = 'conflict-item';
+
+            const heading = document.createElement('h4');
+            heading.textContent = DateUtils.formatDisplay(conflict.date, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+            item.appendChild(heading);
+
+            const versions = document.createElement('div');
+            versions.className = 'conflict-versions';
+
+            conflict.versions.forEach((version, index) => {
+                const column = document.createElement('div');
+                column.className = 'conflict-version';
+
+                const title = document.createElement('h5');
+                title.textContent = `${labels[index]} · ${new Date(EntryVersioning.getUpdatedAt(version)).toLocaleString()}`;
+                column.appendChild(title);
+
+                const summary = document.createElement('p');
+                summary.textContent = `Mood ${version.mood}/10 · Sleep ${version.sleep} hrs · Stress ${stressLabels[version.stress] || version.stress}`;
+                column.appendChild(summary);
+
+                const journal = document.createElement('p');
+                journal.className = 'conflict-journal';
+                journal.textContent = version.journal ? ValidationHelper.unescapeHTML(version.journal) : '(no journal)';
+                column.appendChild(journal);
+
+                const keepBtn = document.createElement('button');
+                keepBtn.className = 'btn-secondary';
+                keepBtn.textContent = `Keep ${labels[index].toLowerCase()}`;
+                keepBtn.addEventListener('click', () => this.resolve(conflict.id, index));
+                column.appendChild(keepBtn);
+
+                versions.appendChild(column);
+            });
+
+            item.appendChild(versions);
+            list.appendChild(item);
+        });
+    }
+};
+
+// ============================================
+// Sync Manager - Offline-first outbox replayed into Supabase
+// ============================================
+const SyncManager = {
+    outboxKeyPrefix: 'wellnessTrackerOutbox_',
+    lastPullKeyPrefix: 'wellnessTrackerLastPull_',
+    status: 'idle',
+    flushing: false,
+    timerId: null,
+    intervalId: null,
+
+    /**
+     * Start listening for connectivity changes and periodically retry
+     */
+    init() {
+        window.addEventListener('online', () => this.retryNow());
+        window.addEventListener('offline', () => this.updateIndicator());
+
+        const indicator = document.getElementById('syncStatus');
+        if (indicator) {
+            indicator.addEventListener('click', () => this.retryNow());
+        }
+
+        if (this.intervalId) clearInterval(this.intervalId);
+        this.intervalId = setInterval(() => this.flush(), AppConfig.syncIntervalMs);
+
+        this.updateIndicator();
+        this.flush();
+    },
+
+    /**
+     * Per-user outbox key (same user scoping as StorageManager)
+     * @returns {string|null} Storage key or null if no user logged in
+     */
+    getOutboxKey() {
+        return this.getUserKey(this.outboxKeyPrefix);
+    },
+
+    /**
+     * Build a per-user localStorage key
+     * @param {string} prefix - Key prefix
+     * @returns {string|null} Storage key or null if no user logged in
+     */
+    getUserKey(prefix) {
+        const currentUser = AuthManager.getCurrentUser();
+        if (!currentUser || !currentUser.email) return null;
+        return prefix + currentUser.email.replace(/[^a-zA-Z0-9]/g, '_');
+    },
+
+    /**
+     * Read pending operations for the current user
+     * @returns {Array} Queued operations, oldest first
+     */
+    getOutbox() {
+        try {
+            const key = this.getOutboxKey();
+            if (!key) return [];
+            const data = localStorage.getItem(key);
+            return data ? JSON.parse(data) : [];
+        } catch (error) {
+            ErrorHandler.logError('SyncManager.getOutbox', error);
+            return [];
+        }
+    },
+
+    /**
+     * Persist pending operations for the current user
+     * @param {Array} outbox - Operations to store
+     */
+    saveOutbox(outbox) {
+        const key = this.getOutboxKey();
+        if (!key) return;
+        localStorage.setItem(key, JSON.stringify(outbox));
+    },
+
+    /**
+     * Queue a change for upload. A newer change for the same date replaces older ones.
+     * @param {string} action - 'save' or 'delete'
+     * @param {string} date - Entry date (YYYY-MM-DD)
+     * @param {Object} [entry] - Entry data for saves, delete marker for deletes
+     */
+    enqueue(action, date, entry) {
+        try {
+            const outbox = this.getOutbox().filter(op => op.date !== date);
+            outbox.push({
+                id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+                action,
+                date,
+                entry: entry ? { ...entry } : null,
+                queuedAt: new Date().toISOString(),
+                attempts: 0,
+                nextAttemptAt: 0,
+                lastError: null
+            });
+            this.saveOutbox(outbox);
+            this.updateIndicator();
+            this.scheduleFlush(0);
+        } catch (error) {
+            ErrorHandler.logError('SyncManager.enqueue', error);
+        }
+    },
+
+    /**
+     * Check whether the Supabase helpers are loaded and usable
+     * @returns {boolean} True if uploads can be attempted
+     */
+    isCloudAvailable() {
+        return typeof SupabaseStorageManager !== 'undefined' &&
+            typeof supabaseClient !== 'undefined' && !!supabaseClient;
+    },
+
+    /**
+     * Replay due operations into wellness_checkins, oldest first
+     * Stops at the first failure so changes are applied in order
+     */
+    async flush() {
+        if (this.flushing) return;
+        if (this.getOutbox().length === 0 && !AppConfig.enableCloudSync) {
+            this.setStatus('idle');
+            return;
+        }
+        if (!navigator.onLine) {
+            this.setStatus('offline');
+            return;
+        }
+        if (!this.isCloudAvailable()) {
+            this.setStatus('unavailable');
+            return;
+        }
+        if (!(await SupabaseAuthManager.getUserId())) {
+            this.setStatus('signed-out');
+            return;
+        }
+
+        this.flushing = true;
+        this.setStatus('syncing');
+        try {
+            const now = Date.now();
+            let failed = false;
+            for (const op of this.getOutbox()) {
+                if (op.nextAttemptAt > now) continue;
+
+                try {
+                    await this.push(op);
+                    this.removeOperation(op.id);
+                } catch (error) {
+                    this.recordFailure(op.id, error);
+                    failed = true;
+                    break;
+                }
+            }
+
+            if (!failed && AppConfig.enableCloudSync && await this.pull()) {
+                this.refreshViews();
+            }
+        } catch (error) {
+            ErrorHandler.logError('SyncManager.flush', error);
+        } finally {
+            this.flushing = false;
+        }
+
+        const remaining = this.getOutbox();
+        if (remaining.length === 0) {
+            this.setStatus('synced');
+        } else {
+            this.setStatus(remaining.some(op => op.attempts > 0) ? 'error' : 'pending');
+            this.scheduleFlush(Math.max(0, Math.min(...remaining.map(op => op.nextAttemptAt)) - Date.now()));
+        }
+    },
+
+    /**
+     * Upload a single operation
+     * Saves are merged with the server copy first, so an edit made on another
+     * device since the last sync is not overwritten
+     * @param {Object} op - Queued operation
+     */
+    async push(op) {
+        if (op.action === 'delete') {
+            await this.pushDelete(op);
+            return;
+        }
+
+        const store = StorageAdapter.getDeviceBackend();
+        const remote = await SupabaseStorageManager.getEntry(op.date, { includeDeleted: true });
+        const local = (await store.getEntry(op.date)) || op.entry;
+        const { entry, conflict } = EntryVersioning.merge(local, remote);
+
+        // Deleted on another device after this edit: the delete wins
+        if (entry.deletedAt) {
+            await store.deleteEntry(op.date);
+            this.refreshViews();
+            return;
+        }
+
+        await SupabaseStorageManager.saveEntry(entry);
+        if (entry !== local) {
+            await store.saveEntry(entry);
+        }
+        if (conflict) {
+            ConflictManager.record(op.date, local, remote);
+        }
+    },
+
+    /**
+     * Upload a deleted day
+     * The server row is kept with deleted_at set, which pull() on other devices applies.
+     * If another device changed the day after it was deleted here, that copy wins and is restored locally.
+     * @param {Object} op - Queued delete (entry is the delete marker; older queues have none)
+     */
+    async pushDelete(op) {
+        const marker = op.entry || EntryVersioning.markDeleted(op.date, null, op.queuedAt);
+        const remote = await SupabaseStorageManager.getEntry(op.date, { includeDeleted: true });
+        if (!remote || remote.deletedAt) return;
+
+        const { entry } = EntryVersioning.merge(marker, remote);
+        if (entry.deletedAt) {
+            await SupabaseStorageManager.deleteEntry(op.date, marker);
+            return;
+        }
+        await StorageAdapter.getDeviceBackend().saveEntry(entry);
+        this.refreshViews();
+    },
+
+    /**
+     * Bring down changes made on other devices and merge them into local storage
+     * After the first full pull only rows updated since the last pull are fetched.
+     * Days deleted on another device are removed here unless they were changed here since.
+     * Dates with uploads still queued are skipped; their push will merge them
+     * @returns {Promise<boolean>} True if local data changed
+     */
+    async pull() {
+        const lastPullKey = this.getUserKey(this.lastPullKeyPrefix);
+        const lastPull = lastPullKey ? localStorage.getItem(lastPullKey) : null;
+        const pullStartedAt = new Date().toISOString();
+
+        const queuedDates = new Set(this.getOutbox().map(op => op.date));
+        const remoteEntries = lastPull
+            ? await SupabaseStorageManager.getEntriesUpdatedSince(
+                new Date(new Date(lastPull).getTime() - AppConfig.syncPullOverlapMs).toISOString())
+            : await SupabaseStorageManager.getAllEntries({ includeDeleted: true });
+        const store = StorageAdapter.getDeviceBackend();
+        let changed = false;
+
+        for (const remote of remoteEntries) {
+            if (queuedDates.has(remote.date)) continue;
+
+            const local = await store.getEntry(remote.date);
+            const { entry, conflict } = EntryVersioning.merge(local, remote);
+            if (entry.deletedAt) {
+                if (local && await store.deleteEntry(remote.date)) changed = true;
+                continue;
+            }
+            if (local && entry === local) {
+                // Changed here after it was deleted elsewhere - bring it back on the server
+                if (remote.deletedAt) this.enqueueMerged(local);
+                continue;
+            }
+
+            await store.saveEntry(entry);
+            changed = true;
+
+            if (conflict) {
+                ConflictManager.record(remote.date, local, remote);
+            }
+            // The merge combined both sides - send the result back up
+            if (local && entry !== remote) {
+                this.enqueueMerged(entry);
+            }
+        }
+
+        if (lastPullKey) localStorage.setItem(lastPullKey, pullStartedAt);
+        return changed;
+    },
+
+    /**
+     * Queue a merged entry without re-stamping it
+     * @param {Object} entry - Merged entry
+     */
+    enqueueMerged(entry) {
+        const outbox = this.getOutbox().filter(op => op.date !== entry.date);
+        outbox.push({
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            action: 'save',
+            date: entry.date,
+            entry: { ...entry },
+            queuedAt: new Date().toISOString(),
+            attempts: 0,
+            nextAttemptAt: 0,
+            lastError: null
+        });
+        this.saveOutbox(outbox);
+    },
+
+    /**
+     * Remove a completed operation
+     * @param {string} id - Operation ID
+     */
+    removeOperation(id) {
+        this.saveOutbox(this.getOutbox().filter(op => op.id !== id));
+    },
+
+    /**
+     * Record a failed attempt and push the next one back exponentially
+     * @param {string} id - Operation ID
+     * @param {Error} error - Failure reason
+     */
+    recordFailure(id, error) {
+        const outbox = this.getOutbox();
+        const op = outbox.find(o => o.id === id);
+        if (!op) return;
+
+        op.attempts++;
+        op.nextAttemptAt = Date.now() + this.getBackoffDelay(op.attempts);
+        op.lastError = error && error.message ? error.message : String(error);
+        this.saveOutbox(outbox);
+        ErrorHandler.logError('SyncManager.push', error);
+    },
+
+    /**
+     * Exponential backoff with jitter, capped at syncRetryMaxMs
+     * @param {number} attempts - Failed attempts so far
+     * @returns {number} Delay in milliseconds
+     */
+    getBackoffDelay(attempts) {
+        const delay = AppConfig.syncRetryBaseMs * Math.pow(2, attempts - 1);
+        const jitter = Math.random() * AppConfig.syncRetryBaseMs;
+        return Math.min(delay + jitter, AppConfig.syncRetryMaxMs);
+    },
+
+    /**
+     * Re-render data shown on screen after remote changes were merged in
+     */
+    refreshViews() {
+        StorageAdapter.invalidateCache();
+        UIManager.updateStreak();
+        const historyView = document.getElementById('history');
+        if (historyView && historyView.classList.contains('active')) {
+            HistoryView.renderCalendar();
+        }
+    },
+
+    /**
+     * Run flush after a delay, replacing any earlier scheduled run
+     * @param {number} delay - Milliseconds to wait
+     */
+    scheduleFlush(delay) {
+        if (this.timerId) clearTimeout(this.timerId);
+        this.timerId = setTimeout(() => {
+            this.timerId = null;
+            this.flush();
+        }, delay);
+    },
+
+    /**
+     * Clear backoff and retry every queued operation now
+     */
+    retryNow() {
+        const outbox = this.getOutbox();
+        outbox.forEach(op => { op.nextAttemptAt = 0; });
+        this.saveOutbox(outbox);
+        this.scheduleFlush(0);
+    },
+
+    /**
+     * Update sync status and refresh the header indicator
+     * @param {string} status - idle, pending, syncing, synced, offline, unavailable, signed-out or error
+     */
+    setStatus(status) {
+        this.status = status;
+        this.updateIndicator();
+    },
+
+    /**
+     * Render the header sync indicator
+     * Hidden when cloud sync is off and nothing is queued
+     */
+    updateIndicator() {
+        const indicator = document.getElementById('syncStatus');
+        if (!indicator) return;
+
+        const pending = this.getOutbox().length;
+        if (!AppConfig.enableCloudSync && pending === 0) {
+            indicator.classList.add('hidden');
+            return;
+        }
+
+        const status = !navigator.onLine ? 'offline' : this.status;
+        const labels = {
+            idle: pending ? `⏳ ${pending} pending` : '☁️ Synced',
+            pending: `⏳ ${pending} pending`,
+            syncing: '🔄 Syncing…',
+            synced: '☁️ Synced',
+            offline: `📴 Offline${pending ? ` · ${pending} pending` : ''}`,
+            unavailable: `⚠️ Cloud unavailable · ${pending} pending`,
+            'signed-out': `🔒 Sign in to sync · ${pending} pending`,
+            error: `⚠️ Sync failed · ${pending} pending`
+        };
+
+        indicator.textContent = labels[status] || labels.idle;
+        indicator.dataset.status = status;
+        indicator.title = status === 'error' || status === 'unavailable'
+            ? 'Click to retry now'
+            : 'Check-ins are saved on this device first and uploaded when online';
+        indicator.classList.remove('hidden');
+    }
+};
+
+// UI Manager - Handles all UI operations and user interactions
+const UIManager = {
+    /**
+     * Updates the date display in the header
+     * Shows the current date in long format (e.g., "Monday, February 10, 2024")
+     */
+    updateDateDisplay() {
+        const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
+        const today = DateUtils.formatDisplay(DateUtils.today(), options);
+        const dateElement = document.getElementById('dateDisplay');
+        if (dateElement) {
+            dateElement.textContent = today;
+        }
+    },
+    
+    /**
+     * Sets up emoji selection for mood
+     * Allows users to click emojis (😢 😟 😐 🙂 😊) to select their mood
+     */
+    setupMoodEmojis() {
+        const emojis = document.querySelectorAll('.mood-emoji');
+        emojis.forEach(emoji => {
+            emoji.addEventListener('click', (e) => {
+                // Remove selection from all emojis
+                emojis.forEach(el => el.classList.remove('selected'));
+                // Add selection to clicked emoji
+                e.target.classList.add('selected');
+                // Update slider to correspond with emoji (1-5 scale converted to 1-10)
+                const mood = e.target.getAttribute('data-mood');
+                document.getElementById('moodSlider').value = mood * 2 - 1;
+                UIManager.updateMoodValue();
+            });
+        });
+    },
+    
+    /**
+     * Updates mood value display and synchronizes emoji selection
+     * Handles the real-time feedback when user adjusts the mood slider
+     */
+    updateMoodValue() {
+        const value = document.getElementById('moodSlider').value;
+        const moodValueElement = document.getElementById('moodValue');
+        if (moodValueElement) {
+            moodValueElement.textContent = value;
+        }
+        
+        // Update emoji selection based on slider value
+        const moodEmojis = document.querySelectorAll('.mood-emoji');
+        moodEmojis.forEach(el => el.classList.remove('selected'));
+        
+        // Map slider value (1-10) to emoji position
+        if (value <= 2) moodEmojis[0].classList.add('selected');
+        else if (value <= 4) moodEmojis[1].classList.add('selected');
+        else if (value <= 6) moodEmojis[2].classList.add('selected');
+        else if (value <= 8) moodEmojis[3].classList.add('selected');
+        else moodEmojis[4].classList.add('selected');
+    },
+    
+    /**
+     * Sets up mood slider event listener
+     */
+    setupMoodSlider() {
+        const slider = document.getElementById('moodSlider');
+        slider.addEventListener('input', () => UIManager.updateMoodValue());
+    },
+    
+    /**
+     * Sets up stress level button selection
+     * Allows users to toggle between Uow, Moderate, High, Very High stress levels
+     */
+    setupStressButtons() {
+        const buttons = document.querySelectorAll('.stress-btn');
+        buttons.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                // Remove selection from all buttons
+                buttons.forEach(el => el.classList.remove('selected'));
+                // Add selection to clicked button
+                e.target.classList.add('selected');
+            });
+        });
+    },
+    
+    /**
+     * Updates the streak counter display
+     * Calculates and displays consecutive days of check-ins
+     */
+    async updateStreak() {
+        try {
+            const streak = await StorageAdapter.calculateStreak();
+            const streakElement = document.getElementById('streakCount');
+            if (streakElement) {
+                streakElement.textContent = streak;
+            }
+        } catch (error) {
+            ErrorHandler.logError('UIManager.updateStreak', error);
+        }
+    },
+    
+    /**
+     * Shows personalized wellness suggestion based on mood
+     * Provides actionable recommendations for the user's current mood state
+     * @param {number} moodValue - Current mood value (1-10)
+     * @param {Array} activities - Selected activities
+     */
+    showWellnessSuggestion(moodValue, activities) {
+        const suggestions = {
+            low: [
+                "💪 Try some light exercise or a short walk to boost your mood.",
+                "🧘 Consider a short meditation session (even 5 minutes helps!).",
+                "👥 Reach out to a friend - social connection is healing.",
+                "🎨 Engage in a hobby or creative activity you enjoy."
+            ],
+            moderate: [
+                "🕐 Take a break from screens and get some fresh air.",
+                "📚 Try journaling to process your thoughts and feelings.",
+                "🎵 Listen to music that uplifts you.",
+                "✨ Practice gratitude - list 3 things you're grateful for."
+            ],
+            high: [
+                "🧘 Practice deep breathing or meditation to calm your mind.",
+                "💤 Prioritize getting good sleep tonight.",
+                "🌿 Spend time in nature if possible.",
+                "📞 Consider talking to someone you trust about what's bothering you."
+            ]
+        };
+        
+        // Categorize mood into low, moderate, or high
+        let category = 'moderate';
+        if (moodValue <= 3) category = 'low';
+        else if (moodValue >= 7) category = 'high';
+        
+        // Select random suggestion from category
+        const categoryText = suggestions[category];
+        const suggestion = categoryText[Math.floor(Math.random() * categoryText.length)];
+        
+        const suggestionDiv = document.getElementById('wellnessSuggestion');
+        const suggestionText = document.getElementById('suggestionText');
+        if (suggestionText) {
+            suggestionText.textContent = suggestion;
+        }
+        if (suggestionDiv) {
+            suggestionDiv.classList.remove('hidden');
+        }
+    }
+};
+
+// Router - Hash routes for views
+/**
+ * Routes look like #/history/2026-10-19 or #/analytics?range=90&compare=1. Only the
+ * hash changes, so every load requests / and works with the Netlify
+ * "/* /index.html 200" rewrite. Routes wait for login: the login page shows
+ * and the route is applied once the user signs in.
+ */
+const Router = {
+    views: ['check-in', 'history', 'analytics', 'resources', 'settings'],
+    defaultView: 'check-in',
+    maxRangeDays: 3650,
+
+    started: false,
+    currentHash: null,
+    // True while the next route comes from a link or button rather than back/forward
+    freshNavigation: false,
+    // Last scroll position of each route, restored on back/forward
+    scrollPositions: {},
+
+    /**
+     * Starts routing; call once every view is initialized
+     */
+    init() {
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
+        window.addEventListener('hashchange', () => this.handleRoute());
+        window.addEventListener('scroll', () => {
+            if (this.currentHash !== null) this.scrollPositions[this.currentHash] = window.scrollY;
+        }, { passive: true });
+
+        this.started = true;
+        this.handleRoute();
+    },
+
+    /**
+     * Split a hash into its view, path segments and query
+     * @param {string} hash - e.g. '#/history/2026-10-19'
+     * @returns {{view: string, segments: Array<string>, query: URLSearchParams}} Route
+     */
+    parse(hash) {
+        const [path, queryString = ''] = (hash || '').replace(/^#\/?/, '').split('?');
+        const [view = '', ...segments] = path.split('/').filter(Boolean).map(part => {
+            try {
+                return decodeURIComponent(part);
+            } catch (error) {
+                return part;
+            }
+        });
+        return { view: view || this.defaultView, segments, query: new URLSearchParams(queryString) };
+    },
+
+    /**
+     * @param {string} view - View name
+     * @param {Array<string>} [segments=[]] - Path after the view
+     * @param {Object} [query={}] - Query parameters (empty values are left out)
+     * @returns {string} Hash, e.g. '#/analytics?range=90'
+     */
+    build(view, segments = [], query = {}) {
+        const path = [view, ...segments].map(encodeURIComponent).join('/');
+        const params = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== null && value !== undefined && value !== '') params.set(key, value);
+        });
+        const queryString = params.toString();
+        return `#/${path}${queryString ? `?${queryString}` : ''}`;
+    },
+
+    /**
+     * Go to a route, adding a browser history entry
+     * @param {string} view - View name
+     * @param {Array<string>} [segments] - Path after the view
+     * @param {Object} [query] - Query parameters
+     */
+    navigate(view, segments, query) {
+        const hash = this.build(view, segments, query);
+        this.freshNavigation = true;
+        if (window.location.hash === hash) {
+            this.handleRoute();
+        } else {
+            window.location.hash = hash;
+        }
+    },
+
+    /**
+     * Change the current route's URL without a history entry or reloading the view
+     * (e.g. when a different day is selected in History)
+     */
+    replace(view, segments, query) {
+        const hash = this.build(view, segments, query);
+        history.replaceState(history.state, '', hash);
+        this.currentHash = hash;
+    },
+
+    /**
+     * Forget the route on logout so the next user starts on the check-in
+     */
+    reset() {
+        history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+        this.currentHash = null;
+        this.scrollPositions = {};
+    },
+
+    /**
+     * Check a route's parameters
+     * @param {Object} route - Result of parse
+     * @returns {{params: Object, segments: Array<string>, query: Object}} Parameters for the view,
+     *   and the segments and query to keep in the URL (invalid ones dropped)
+     */
+    readParams(route) {
+        if (route.view === 'history') {
+            const date = route.segments[0];
+            if (date && ValidationHelper.isValidDate(date) && date <= DateUtils.today()) {
+                return { params: { date }, segments: [date], query: {} };
+            }
+        } else if (route.view === 'analytics') {
+            const range = AnalyticsView.readRange(route.query);
+            if (range) {
+                return { params: { range }, segments: [], query: AnalyticsView.rangeQuery(range) };
+            }
+        }
+        return { params: {}, segments: [], query: {} };
+    },
+
+    /**
+     * Show the view for the current hash
+     */
+    async handleRoute() {
+        const fresh = this.freshNavigation;
+        this.freshNavigation = false;
+
+        // Auth guard - LoginPageManager.showMainApp routes again after login
+        if (!this.started || !AuthManager.getCurrentUser()) return;
+
+        let route = this.parse(window.location.hash);
+        if (!this.views.includes(route.view)) {
+            route = this.parse(this.build(this.defaultView));
+        }
+        const { params, segments, query } = this.readParams(route);
+        const hash = this.build(route.view, segments, query);
+        if (window.location.hash !== hash) {
+            history.replaceState(history.state, '', hash);
+        }
+        this.currentHash = hash;
+
+        await Navigation.activate(route.view, params);
+
+        // Back/forward returns to where the user was; links start at the top
+        const top = fresh ? 0 : (this.scrollPositions[hash] || 0);
+        window.scrollTo(0, top);
+    }
+};
+
+// Navigation Manager - Handles view switching and navigation
+const Navigation = {
+    /**
+     * Initializes navigation buttons and event listeners
+     * Sets up click handlers for switching between views
+     */
+    init() {
+        const navButtons = document.querySelectorAll('.nav-btn');
+        navButtons.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                // Show corresponding view
+                const viewName = e.target.getAttribute('data-view');
+                if (viewName) {
+                    this.showView(viewName);
+                }
+            });
+        });
+    },
+
+    /**
+     * Opens a view through the router, so it gets a URL and a history entry
+     * (for nav buttons and opening a view from elsewhere, e.g. a banner button)
+     * @param {string} viewName - Name of the view to show
+     */
+    showView(viewName) {
+        Router.navigate(viewName);
+    },
+
+    /**
+     * Highlights the view's nav button and switches to it (called by Router)
+     * @param {string} viewName - Name of the view to show
+     * @param {Object} [params={}] - Route parameters, e.g. {date} for history or {range} for analytics
+     */
+    async activate(viewName, params = {}) {
+        document.querySelectorAll('.nav-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute('data-view') === viewName);
+        });
+        await this.switchView(viewName, params);
+    },
+    
+    /**
+     * Switches to specified view and loads relevant data
+     * @param {string} viewName - Name of the view to switch to
+     * @param {Object} [params={}] - Route parameters
+     */
+    async switchView(viewName, params = {}) {
+        try {
+            // Hide all views
+            const views = document.querySelectorAll('.view');
+            views.forEach(view => view.classList.remove('active'));
+            
+            // Show selected view
+            const selectedView = document.getElementById(viewName);
+            if (selectedView) {
+                selectedView.classList.add('active');
+                
+                // Load view-specific data
+                if (viewName === 'history') {
+                    await HistoryView.loadHistory(params.date || null);
+                } else if (viewName === 'analytics') {
+                    AnalyticsView.range = params.range || AnalyticsView.getDefaultRange();
+                    await AnalyticsView.loadAnalytics();
+                } else if (viewName === 'settings') {
+                    SettingsView.loadSettings();
+                }
+            }
+        } catch (error) {
+            ErrorHandler.logError('Navigation.switchView', error);
+        }
+    }
+};
+
+// Check-in View - Handles daily wellness check-in functionality
+const CheckInView = {
+    // Date the form saves to while it is open in the entry dialog (null = today)
+    editingDate: null,
+    // Check-in being edited in the entry dialog (null = add a new one)
+    editingCheckInId: null,
+
+    // Autosaved draft of today's unsaved check-in (one per user)
+    draftKeyPrefix: 'wellnessTrackerDraft_',
+    draftDelay: 1000,
+    draftTimer: null,
+    // Draft waiting for "Restore" or "Discard"; autosave pauses until then
+    pendingDraft: null,
+
+    /**
+     * Initializes check-in view
+     * Sets up event listeners and loads today's data if it exists
+     */
+    init() {
+        const submitBtn = document.getElementById('submitBtn');
+        if (submitBtn) {
+            submitBtn.addEventListener('click', () => this.handleSubmit());
+        }
+
+        // Autosave while typing; stress buttons only fire clicks
+        const form = document.getElementById('checkInForm');
+        if (form) {
+            ['input', 'change', 'click'].forEach(type => {
+                form.addEventListener(type, () => this.scheduleDraftSave());
+            });
+        }
+        window.addEventListener('pagehide', () => this.saveDraftNow());
+
+        const restoreBtn = document.getElementById('restoreDraftBtn');
+        if (restoreBtn) {
+            restoreBtn.addEventListener('click', () => this.restoreDraft());
+        }
+        const discardBtn = document.getElementById('discardDraftBtn');
+        if (discardBtn) {
+            discardBtn.addEventListener('click', () => this.discardDraft());
+        }
+        
+        // Load today's data if it exists
+        this.loadTodayData();
+
+        // Offer anything left over from last time
+        this.offerDraft();
+    },
+
+    /**
+     * Reads the form as typed, without validation, for the draft
+     * @returns {Object} {time, mood, sleep, stress, journal, activities, metrics}
+     *   where metrics holds the raw input text by metric ID
+     */
+    readDraft() {
+        const value = id => (document.getElementById(id) || {}).value || '';
+        const stressBtn = document.querySelector('.stress-btn.selected');
+        const metrics = {};
+        document.querySelectorAll('#customMetricsFields [data-metric-id]').forEach(input => {
+            if (input.value !== '') metrics[input.dataset.metricId] = input.value;
+        });
+
+        return {
+            time: value('checkInTime'),
+            mood: value('moodSlider'),
+            sleep: value('sleepHours'),
+            stress: stressBtn ? stressBtn.dataset.stress : '',
+            journal: value('journalEntry'),
+            activities: [...document.querySelectorAll('.tag-checkbox input:checked')].map(checkbox => checkbox.value),
+            metrics
+        };
+    },
+
+    /**
+     * True if the draft has nothing worth keeping
+     * Sleep alone doesn't count, since it is carried over from today's entry.
+     * @param {Object} draft - Result of readDraft
+     * @returns {boolean} True if empty
+     */
+    isDraftEmpty(draft) {
+        return !draft.time && !draft.stress && !(draft.journal || '').trim() &&
+            (draft.activities || []).length === 0 && Object.keys(draft.metrics || {}).length === 0 &&
+            (draft.mood === '' || draft.mood === '5');
+    },
+
+    getDraft() {
+        const key = SyncManager.getUserKey(this.draftKeyPrefix);
+        try {
+            const data = key ? localStorage.getItem(key) : null;
+            return data ? JSON.parse(data) : null;
+        } catch (error) {
+            ErrorHandler.logError('CheckInView.getDraft', error);
+            return null;
+        }
+    },
+
+    /**
+     * Save the draft after typing pauses
+     */
+    scheduleDraftSave() {
+        clearTimeout(this.draftTimer);
+        this.draftTimer = setTimeout(() => this.saveDraftNow(), this.draftDelay);
+    },
+
+    /**
+     * Save the draft right away (before logout, leaving the page, or opening the entry dialog)
+     * Only today's new check-in is drafted, not edits made in the History dialog.
+     */
+    saveDraftNow() {
+        clearTimeout(this.draftTimer);
+        this.draftTimer = null;
+        if (this.editingDate || this.editingCheckInId || this.pendingDraft) return;
+
+        const key = SyncManager.getUserKey(this.draftKeyPrefix);
+        if (!key) return;
+
+        try {
+            const draft = this.readDraft();
+            if (this.isDraftEmpty(draft)) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, JSON.stringify({ ...draft, savedAt: new Date().toISOString() }));
+            }
+        } catch (error) {
+            // Quota or private mode - the form still works without drafts
+            ErrorHandler.logError('CheckInView.saveDraftNow', error);
+        }
+    },
+
+    clearDraft() {
+        clearTimeout(this.draftTimer);
+        this.draftTimer = null;
+        this.pendingDraft = null;
+        const key = SyncManager.getUserKey(this.draftKeyPrefix);
+        if (key) localStorage.removeItem(key);
+        this.updateDraftBanner();
+    },
+
+    /**
+     * Show the "restore draft / discard" prompt if a draft was left behind
+     */
+    offerDraft() {
+        const draft = this.getDraft();
+        this.pendingDraft = draft && !this.isDraftEmpty(draft) ? draft : null;
+        this.updateDraftBanner();
+    },
+
+    updateDraftBanner() {
+        const banner = document.getElementById('draftBanner');
+        if (!banner) return;
+
+        banner.classList.toggle('hidden', !this.pendingDraft);
+        const text = document.getElementById('draftBannerText');
+        if (text && this.pendingDraft) {
+            const savedAt = new Date(this.pendingDraft.savedAt);
+            const when = isNaN(savedAt)
+                ? ''
+                : ` from ${savedAt.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}`;
+            text.textContent = `📝 You have an unsaved check-in${when}.`;
+        }
+    },
+
+    /**
+     * Put the pending draft back into the form
+     */
+    restoreDraft() {
+        const draft = this.pendingDraft;
+        if (!draft) return;
+
+        this.resetForm();
+        ActivityTags.renderCheckboxes(draft.activities || []);
+
+        const setValue = (id, value) => {
+            const input = document.getElementById(id);
+            if (input && value) input.value = value;
+        };
+        setValue('checkInTime', draft.time);
+        setValue('moodSlider', draft.mood);
+        UIManager.updateMoodValue();
+        setValue('sleepHours', draft.sleep);
+        setValue('journalEntry', draft.journal);
+
+        if (draft.stress) {
+            const stressBtn = document.querySelector(`.stress-btn[data-stress="${draft.stress}"]`);
+            if (stressBtn) stressBtn.classList.add('selected');
+        }
+        document.querySelectorAll('.tag-checkbox input').forEach(checkbox => {
+            checkbox.checked = (draft.activities || []).includes(checkbox.value);
+        });
+        Object.entries(draft.metrics || {}).forEach(([id, value]) => {
+            setValue(`metricInput_${id}`, value);
+        });
+
+        // The draft now lives in the form again and autosaves as usual
+        this.pendingDraft = null;
+        this.updateDraftBanner();
+    },
+
+    discardDraft() {
+        this.clearDraft();
+        // Keep whatever was typed since the prompt appeared
+        this.saveDraftNow();
+    },
+    
+    /**
+     * Shows today's check-ins so far and carries last night's sleep into the form
+     * Each save adds another check-in; earlier ones are edited from History
+     */
+    async loadTodayData() {
+        try {
+            if (this.editingDate) return;
+            const today = DateUtils.today();
+            const entry = await StorageAdapter.getEntry(today);
+            
+            const sleepInput = document.getElementById('sleepHours');
+            if (entry && sleepInput && !sleepInput.value) {
+                sleepInput.value = entry.sleep;
+            }
+            this.renderTodayCheckIns(entry);
+        } catch (error) {
+            ErrorHandler.logError('CheckInView.loadTodayData', error);
+        }
+    },
+
+    /**
+     * Timeline of today's check-ins below the form
+     * @param {Object|null} entry - Today's entry
+     */
+    renderTodayCheckIns(entry) {
+        const container = document.getElementById('todayCheckIns');
+        const timeline = document.getElementById('todayTimeline');
+        if (!container || !timeline) return;
+
+        const count = DailyCheckIns.count(entry);
+        container.classList.toggle('hidden', count === 0);
+        timeline.replaceWith(HistoryView.createTimeline(entry, false, 'todayTimeline'));
+
+        const title = document.getElementById('todayCheckInsTitle');
+        if (title) {
+            title.textContent = count === 1 ? 'Today so far: 1 check-in' : `Today so far: ${count} check-ins`;
+        }
+    },
+
+    /**
+     * Clears the form back to its defaults
+     */
+    resetForm() {
+        const moodSlider = document.getElementById('moodSlider');
+        if (moodSlider) {
+            moodSlider.value = 5;
+            UIManager.updateMoodValue();
+        }
+        const sleepInput = document.getElementById('sleepHours');
+        if (sleepInput) sleepInput.value = '';
+        const timeInput = document.getElementById('checkInTime');
+        if (timeInput) timeInput.value = '';
+        document.querySelectorAll('.stress-btn').forEach(btn => btn.classList.remove('selected'));
+        const journalInput = document.getElementById('journalEntry');
+        if (journalInput) journalInput.value = '';
+        ActivityTags.renderCheckboxes();
+        CustomMetrics.resetFields();
+    },
+
+    /**
+     * Populates the form with a check-in
+     * @param {Object} entry - Check-in (or legacy entry) plus the day's sleep
+     */
+    fillForm(entry) {
+        this.resetForm();
+
+        // Populate time
+        const timeInput = document.getElementById('checkInTime');
+        if (timeInput && entry.time) {
+            timeInput.value = entry.time;
+        }
+
+        // Populate mood
+        const moodSlider = document.getElementById('moodSlider');
+        if (moodSlider) {
+            moodSlider.value = entry.mood;
+            UIManager.updateMoodValue();
+        }
+        
+        // Populate sleep
+        const sleepInput = document.getElementById('sleepHours');
+        if (sleepInput && entry.sleep !== undefined && entry.sleep !== null) {
+            sleepInput.value = entry.sleep;
+        }
+        
+        // Populate stress
+        if (entry.stress) {
+            const stressBtn = document.querySelector(`.stress-btn[data-stress="${entry.stress}"]`);
+            if (stressBtn) stressBtn.classList.add('selected');
+        }
+        
+        // Populate journal (stored sanitized; show the original text)
+        const journalInput = document.getElementById('journalEntry');
+        if (journalInput && entry.journal) {
+            journalInput.value = ValidationHelper.unescapeHTML(entry.journal);
+        }
+        
+        // Populate activities (archived tags stay available when editing)
+        if (entry.activities && entry.activities.length > 0) {
+            ActivityTags.renderCheckboxes(entry.activities);
+            document.querySelectorAll('.tag-checkbox input').forEach(checkbox => {
+                checkbox.checked = entry.activities.includes(checkbox.value);
+            });
+        }
+
+        // Populate custom metrics
+        CustomMetrics.fillFields(entry.metrics);
+    },
+
+    /**
+     * Reads and validates the form
+     * @returns {Object} time (HH:MM or null), mood, sleep, stress, journal, activities and metrics
+     * @throws {Error} With a user-facing message if a field is invalid
+     */
+    readForm() {
+        // Collect and validate time (optional)
+        const timeInput = document.getElementById('checkInTime');
+        const timeValue = timeInput ? timeInput.value.slice(0, 5) : '';
+        if (timeValue && !ValidationHelper.isValidTime(timeValue)) {
+            throw new Error('Invalid time. Please enter a time such as 08:30.');
+        }
+        const time = timeValue || null;
+
+        // Collect and validate mood
+        const moodValue = document.getElementById('moodSlider').value;
+        if (!ValidationHelper.isValidMood(moodValue)) {
+            throw new Error('Invalid mood value. Please select a mood between 1-10.');
+        }
+        const mood = parseInt(moodValue);
+        
+        // Collect and validate sleep
+        const sleepValue = document.getElementById('sleepHours').value.trim();
+        if (!sleepValue) {
+            throw new Error('Sleep hours is required. Please enter how many hours you slept.');
+        }
+        if (!ValidationHelper.isValidSleep(sleepValue)) {
+            throw new Error('Invalid sleep value. Please enter a number between 0-24 hours with at most 2 decimals.');
+        }
+        const sleep = parseFloat(sleepValue);
+        
+        // Validate stress selection
+        const stressElement = document.querySelector('.stress-btn.selected');
+        if (!stressElement) {
+            throw new Error('Stress level is required. Please select your stress level.');
+        }
+        const stress = parseInt(stressElement.getAttribute('data-stress'));
+        if (!ValidationHelper.isValidStress(stress)) {
+            throw new Error('Invalid stress value selected.');
+        }
+        
+        // Collect and validate journal (optional)
+        const journalValue = document.getElementById('journalEntry').value.trim();
+        if (!ValidationHelper.isValidJournal(journalValue)) {
+            throw new Error('Journal entry is too long. Maximum 500 characters allowed.');
+        }
+        const journal = journalValue ? ValidationHelper.sanitizeString(journalValue) : '';
+        
+        // Get activities
+        const activities = [];
+        document.querySelectorAll('.tag-checkbox input:checked').forEach(checkbox => {
+            activities.push(checkbox.value);
+        });
+
+        // Collect and validate custom metrics (optional)
+        const metrics = CustomMetrics.readFields();
+
+        return { time, mood, sleep, stress, journal, activities, metrics };
+    },
+    
+    async handleSubmit() {
+        // Form errors need fixing; a failed save can simply be retried
+        let formValid = false;
+        try {
+            const today = DateUtils.today();
+            const date = this.editingDate || today;
+            const { sleep, ...fields } = this.readForm();
+            formValid = true;
+
+            // A new check-in for today without a time happened just now
+            if (!fields.time && date === today && !this.editingCheckInId) {
+                fields.time = DateUtils.toTimeKey(new Date());
+            }
+            
+            // Add (or replace) the check-in within the day's entry
+            const existing = await StorageAdapter.getEntry(date);
+            const entry = DailyCheckIns.upsert(existing, date, { ...fields, id: this.editingCheckInId }, sleep);
+            
+            // Attempt to save
+            await StorageAdapter.saveEntry(entry);
+
+            // Saved from the History entry dialog
+            if (this.editingDate) {
+                await EntryEditor.handleSaved(date);
+                return;
+            }
+            
+            // Update UI on successful save; the form is ready for the next check-in
+            this.clearDraft();
+            this.resetForm();
+            await this.loadTodayData();
+            await UIManager.updateStreak();
+            UIManager.showWellnessSuggestion(fields.mood, fields.activities);
+            
+            const count = DailyCheckIns.count(entry);
+            ErrorHandler.showSuccess(count > 1
+                ? `Check-in saved! That's ${count} check-ins today.`
+                : 'Check-in saved successfully! Great job tracking your wellness!'
+            );
+        } catch (error) {
+            ErrorHandler.logError('CheckInView.handleSubmit', error);
+            ErrorHandler.showError('Check-in Error', error.message, formValid ? { retry: () => this.handleSubmit() } : {});
+        }
+    }
+};
+
+// Entry Editor - Edit, backfill and delete past days from History
+/**
+ * Reuses the check-in form: it is moved into #entryDialog while a past day
+ * is being edited and put back when the dialog closes.
+ */
+const EntryEditor = {
+    formHome: null,
+    lastDeleted: null,
+    // Toast offering Undo for lastDeleted
+    undoToast: null,
+
+    // How long the Undo button stays available after a delete (ms)
+    undoTimeoutMs: 10000,
+
+    init() {
+        const cancelBtn = document.getElementById('cancelEntryBtn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.close());
+        }
+
+        const dialog = document.getElementById('entryDialog');
+        if (dialog) {
+            dialog.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') this.close();
+            });
+        }
+    },
+
+    /**
+     * Open the check-in form for a past (or today's) date
+     * @param {string} date - Date key to add a check-in to or backfill
+     * @param {string|null} [checkInId=null] - Check-in to edit instead
+     */
+    async open(date, checkInId = null) {
+        const dialog = document.getElementById('entryDialog');
+        const body = document.getElementById('entryDialogBody');
+        const form = document.getElementById('checkInForm');
+        if (!dialog || !body || !form) return;
+
+        if (date > DateUtils.today()) {
+            ErrorHandler.showError('Future Date', 'You can only add check-ins for today or earlier.');
+            return;
+        }
+
+        try {
+            const entry = await StorageAdapter.getEntry(date);
+            const checkIn = checkInId
+                ? DailyCheckIns.getCheckIns(entry).find(item => item.id === checkInId)
+                : null;
+            if (checkInId && !checkIn) {
+                ErrorHandler.showError('Edit Error', 'This check-in no longer exists.');
+                return;
+            }
+
+            // Today's unsaved check-in is kept as a draft while the form shows another day
+            if (!this.formHome) {
+                CheckInView.saveDraftNow();
+                this.formHome = { parent: form.parentNode, next: form.nextSibling };
+                body.appendChild(form);
+            }
+            CheckInView.editingDate = date;
+            CheckInView.editingCheckInId = checkIn ? checkIn.id : null;
+            if (checkIn) {
+                CheckInView.fillForm({ ...checkIn, sleep: entry.sleep });
+            } else {
+                CheckInView.resetForm();
+                // Sleep is recorded once per day
+                const sleepInput = document.getElementById('sleepHours');
+                if (entry && sleepInput) sleepInput.value = entry.sleep;
+            }
+
+            const title = document.getElementById('entryDialogTitle');
+            if (title) {
+                const day = DateUtils.formatDisplay(date, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+                if (checkIn) {
+                    title.textContent = checkIn.time ? `Edit ${checkIn.time} check-in - ${day}` : `Edit check-in - ${day}`;
+                } else {
+                    title.textContent = entry ? `Add a check-in - ${day}` : `Add a missed day - ${day}`;
+                }
+            }
+            const submitBtn = document.getElementById('submitBtn');
+            if (submitBtn) submitBtn.textContent = checkIn ? 'Save Changes' : 'Add Check-in';
+
+            dialog.classList.remove('hidden');
+            const slider = document.getElementById('moodSlider');
+            if (slider) slider.focus();
+        } catch (error) {
+            ErrorHandler.logError('EntryEditor.open', error);
+            ErrorHandler.showError('Edit Error', 'Could not open this day. Please try again.');
+        }
+    },
+
+    /**
+     * Close the dialog and give the form back to the check-in view
+     */
+    close() {
+        const dialog = document.getElementById('entryDialog');
+        const form = document.getElementById('checkInForm');
+        if (dialog) dialog.classList.add('hidden');
+
+        if (this.formHome && form) {
+            this.formHome.parent.insertBefore(form, this.formHome.next);
+            this.formHome = null;
+        }
+        CheckInView.editingDate = null;
+        CheckInView.editingCheckInId = null;
+
+        const submitBtn = document.getElementById('submitBtn');
+        if (submitBtn) submitBtn.textContent = 'Save Check-in';
+
+        // The form showed another day - show today's check-in again
+        CheckInView.resetForm();
+        CheckInView.loadTodayData();
+        CheckInView.offerDraft();
+    },
+
+    /**
+     * Called by CheckInView after the dialog's form was saved
+     * @param {string} date - Date that was saved
+     */
+    async handleSaved(date) {
+        this.close();
+        await this.refreshAfterChange(date);
+        ErrorHandler.showSuccess(`Check-in for ${DateUtils.formatDisplay(date, { month: 'long', day: 'numeric' })} saved.`);
+    },
+
+    /**
+     * Delete a day's check-in, keeping a copy for Undo
+     * @param {string} date - Date key
+     */
+    async deleteEntry(date) {
+        try {
+            const entry = await StorageAdapter.getEntry(date);
+            if (!entry) return;
+
+            await StorageAdapter.deleteEntry(date);
+            this.lastDeleted = { entry, checkIn: null };
+            await this.refreshAfterChange(date);
+            this.showUndo(`Deleted check-in for ${DateUtils.formatDisplay(date, { month: 'long', day: 'numeric' })}.`);
+        } catch (error) {
+            ErrorHandler.logError('EntryEditor.deleteEntry', error);
+            ErrorHandler.showError('Delete Error', 'Could not delete this check-in. Please try again.');
+        }
+    },
+
+    /**
+     * Delete one check-in from a day, keeping a copy for Undo
+     * Deleting a day's only check-in deletes the day.
+     * @param {string} date - Date key
+     * @param {string} checkInId - Check-in ID
+     */
+    async deleteCheckIn(date, checkInId) {
+        try {
+            const entry = await StorageAdapter.getEntry(date);
+            const checkIn = DailyCheckIns.getCheckIns(entry).find(item => item.id === checkInId);
+            if (!checkIn) return;
+
+            const remaining = DailyCheckIns.remove(entry, checkInId);
+            if (!remaining) {
+                await this.deleteEntry(date);
+                return;
+            }
+
+            await StorageAdapter.saveEntry(remaining);
+            this.lastDeleted = { entry, checkIn };
+            await this.refreshAfterChange(date);
+            const day = DateUtils.formatDisplay(date, { month: 'long', day: 'numeric' });
+            this.showUndo(checkIn.time ? `Deleted the ${checkIn.time} check-in for ${day}.` : `Deleted a check-in for ${day}.`);
+        } catch (error) {
+            ErrorHandler.logError('EntryEditor.deleteCheckIn', error);
+            ErrorHandler.showError('Delete Error', 'Could not delete this check-in. Please try again.');
+        }
+    },
+
+    /**
+     * Put back the last deleted day exactly as it was, or re-add the deleted check-in
+     */
+    async undoDelete() {
+        const deleted = this.lastDeleted;
+        this.hideUndo();
+        if (!deleted) return;
+
+        const { entry, checkIn } = deleted;
+        try {
+            if (checkIn) {
+                // Other changes to the day since the delete are kept
+                const current = await StorageAdapter.getEntry(entry.date);
+                const sleep = current ? current.sleep : entry.sleep;
+                await StorageAdapter.saveEntry(DailyCheckIns.upsert(current, entry.date, checkIn, sleep));
+            } else {
+                await StorageAdapter.restoreEntry(entry);
+            }
+            await this.refreshAfterChange(entry.date);
+        } catch (error) {
+            ErrorHandler.logError('EntryEditor.undoDelete', error);
+            ErrorHandler.showError('Undo Error', 'Could not restore the check-in.');
+        }
+    },
+
+    showUndo(message) {
+        const deleted = this.lastDeleted;
+        // Only the latest delete can be undone
+        if (this.undoToast) this.undoToast.dismiss();
+
+        this.undoToast = ErrorHandler.showSuccess(message, {
+            actions: [{ label: 'Undo', onClick: () => this.undoDelete() }],
+            duration: this.undoTimeoutMs,
+            onDismiss: () => {
+                if (this.lastDeleted === deleted) this.lastDeleted = null;
+            }
+        });
+    },
+
+    hideUndo() {
+        if (this.undoToast) this.undoToast.dismiss();
+        this.undoToast = null;
+        this.lastDeleted = null;
+    },
+
+    /**
+     * Refresh everything that shows the changed day
+     * @param {string} date - Date that changed
+     */
+    async refreshAfterChange(date) {
+        HistoryView.selectedDate = date;
+        await HistoryView.renderCalendar();
+        await HistoryView.showDay(date);
+        await UIManager.updateStreak();
+
+        const analyticsView = document.getElementById('analytics');
+        if (analyticsView && analyticsView.classList.contains('active')) {
+            AnalyticsView.loadAnalytics();
+        }
+        if (date === DateUtils.today()) {
+            CheckInView.resetForm();
+            CheckInView.loadTodayData();
+        }
+    }
+};
+
+// History View - Displays calendar with mood history and details
+const HistoryView = {
+    currentDate: DateUtils.parseDateKey(DateUtils.today()),
+    selectedDate: null,
+    navigationReady: false,
+    stressLabels: ['', 'Low 😌', 'Moderate 😐', 'High 😰', 'Very High 😱'],
+    
+    /**
+     * Initializes history view - renders calendar and sets up navigation
+     * @param {string|null} [date=null] - Day to select (from a #/history/YYYY-MM-DD link)
+     */
+    async loadHistory(date = null) {
+        this.selectedDate = date;
+        if (date) {
+            this.currentDate = DateUtils.parseDateKey(date);
+        }
+        this.setupCalendarNavigation();
+        if (date) {
+            await Promise.all([this.renderCalendar(), this.showDay(date)]);
+        } else {
+            this.displayDetailsMessage();
+            await this.renderCalendar();
+        }
+    },
+    
+    /**
+     * Renders calendar grid for current month
+     * Displays moods with emojis for days with entries
+     * Shows previous/next month days in grayed out style
+     */
+    async renderCalendar() {
+        const year = this.currentDate.getFullYear();
+        const month = this.currentDate.getMonth();
+        
+        // Update month/year display
+        const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
+                           'July', 'August', 'September', 'October', 'November', 'December'];
+        const monthDisplay = document.getElementById('monthYearDisplay');
+        if (monthDisplay) {
+            monthDisplay.textContent = `${monthNames[month]} ${year}`;
+        }
+        
+        // Get this month's entries and create lookup map for O(1) access
+        const monthStart = DateUtils.formatDateKey(year, month, 1);
+        const monthEnd = DateUtils.formatDateKey(year, month, new Date(year, month + 1, 0).getDate());
+        const monthEntries = await StorageAdapter.getRange(monthStart, monthEnd);
+        const entryMap = {};
+        monthEntries.forEach(entry => {
+            entryMap[entry.date] = entry;
+        });
+        
+        // Get calendar structure info
+        const firstDay = new Date(year, month, 1).getDay();
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        const daysInPrevMonth = new Date(year, month, 0).getDate();
+        
+        // Create calendar grid
+        const calendarDays = document.getElementById('calendarDays');
+        if (!calendarDays) return;
+        
+        calendarDays.innerHTML = '';
+        
+        // Add previous month's days (grayed out)
+        for (let i = firstDay - 1; i >= 0; i--) {
+            const day = daysInPrevMonth - i;
+            const dayElement = document.createElement('div');
+            dayElement.className = 'calendar-day other-month';
+            dayElement.textContent = day;
+            calendarDays.appendChild(dayElement);
+        }
+        
+        // Add current month's days
+        const today = DateUtils.today();
+        for (let day = 1; day <= daysInMonth; day++) {
+            const dateStr = DateUtils.formatDateKey(year, month, day);
+            const entry = entryMap[dateStr];
+            
+            const dayElement = document.createElement('div');
+            dayElement.className = 'calendar-day';
+            if (dateStr > today) dayElement.classList.add('future');
+            if (dateStr === this.selectedDate) dayElement.classList.add('selected');
+            
+            // Display the day's average mood if entry exists for this day
+            if (entry) {
+                dayElement.classList.add('has-entry');
+                const moodEmoji = this.getMoodEmoji(entry.mood);
+                const count = DailyCheckIns.count(entry);
+                Dom.append(dayElement, [
+                    Dom.el('div', { className: 'calendar-day-emoji', text: moodEmoji }),
+                    Dom.el('div', { text: day }),
+                    count > 1 && Dom.el('div', { className: 'calendar-day-count', text: `×${count}` })
+                ]);
+                dayElement.title = count > 1 ? `${count} check-ins, average mood ${entry.mood}/10` : `Mood ${entry.mood}/10`;
+            } else {
+                dayElement.textContent = day;
+            }
+            
+            // Add click handler to display entry details (or offer to fill in a missed day)
+            dayElement.addEventListener('click', () => {
+                if (dateStr > today) return;
+                this.selectedDate = dateStr;
+                if (entry) {
+                    this.displayEntryDetails(entry, dateStr);
+                } else {
+                    this.displayEmptyDay(dateStr);
+                }
+                
+                // Update selected state; the URL links to this day
+                document.querySelectorAll('.calendar-day').forEach(el => el.classList.remove('selected'));
+                dayElement.classList.add('selected');
+                Router.replace('history', [dateStr]);
+            });
+            
+            calendarDays.appendChild(dayElement);
+        }
+        
+        // Add next month's days (grayed out) to complete grid
+        const totalCells = calendarDays.children.length;
+        const remainingCells = 42 - totalCells; // 6 weeks * 7 days
+        for (let day = 1; day <= remainingCells; day++) {
+            const dayElement = document.createElement('div');
+            dayElement.className = 'calendar-day other-month';
+            dayElement.textContent = day;
+            calendarDays.appendChild(dayElement);
+        }
+    },
+    
+    /**
+     * Sets up previous/next month navigation buttons
+     */
+    setupCalendarNavigation() {
+        const prevBtn = document.getElementById('prevMonth');
+        const nextBtn = document.getElementById('nextMonth');
+        
+        // Listeners are added once; loadHistory runs on every visit
+        if (this.navigationReady) return;
+        this.navigationReady = true;
+
+        if (prevBtn) {
+            prevBtn.addEventListener('click', () => this.handlePrevMonth());
+        }
+        
+        if (nextBtn) {
+            nextBtn.addEventListener('click', () => this.handleNextMonth());
+        }
+    },
+    
+    /**
+     * Navigates to previous month
+     */
+    handlePrevMonth() {
+        // Day 1 first, so e.g. March 31 doesn't roll over into March again
+        this.currentDate.setDate(1);
+        this.currentDate.setMonth(this.currentDate.getMonth() - 1);
+        this.renderCalendar();
+    },
+    
+    /**
+     * Navigates to next month
+     */
+    handleNextMonth() {
+        this.currentDate.setDate(1);
+        this.currentDate.setMonth(this.currentDate.getMonth() + 1);
+        this.renderCalendar();
+    },
+
+    /**
+     * Shows a day in the details panel, whether or not it has an entry
+     * @param {string} date - Date key
+     */
+    async showDay(date) {
+        const entry = await StorageAdapter.getEntry(date);
+        if (entry) {
+            this.displayEntryDetails(entry, date);
+        } else {
+            this.displayEmptyDay(date);
+        }
+    },
+
+    /**
+     * Details panel for a day without a check-in
+     * @param {string} dateStr - Date key
+     */
+    displayEmptyDay(dateStr) {
+        const detailsPanel = document.getElementById('detailsPanel');
+        if (!detailsPanel) return;
+
+        detailsPanel.innerHTML = '';
+        const heading = document.createElement('h3');
+        heading.textContent = DateUtils.formatDisplay(dateStr, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+        const message = document.createElement('p');
+        message.className = 'details-empty';
+        message.textContent = 'No check-in for this day.';
+        detailsPanel.appendChild(heading);
+        detailsPanel.appendChild(message);
+        detailsPanel.appendChild(this.createDetailActions(dateStr, false));
+    },
+
+    /**
+     * Add / Delete day buttons for the details panel
+     * @param {string} dateStr - Date key
+     * @param {boolean} hasEntry - Whether the day has a check-in
+     * @returns {HTMLElement} Button row
+     */
+    createDetailActions(dateStr, hasEntry) {
+        const actions = document.createElement('div');
+        actions.className = 'detail-actions';
+
+        const addButton = (label, className, onClick) => {
+            const button = document.createElement('button');
+            button.className = className;
+            button.textContent = label;
+            button.addEventListener('click', onClick);
+            actions.appendChild(button);
+        };
+
+        addButton('➕ Add check-in', hasEntry ? 'btn-secondary' : 'btn-primary', () => EntryEditor.open(dateStr));
+        if (hasEntry) {
+            addButton('🗑️ Delete day', 'btn-secondary btn-danger', () => EntryEditor.deleteEntry(dateStr));
+        }
+        return actions;
+    },
+
+    /**
+     * Intraday timeline of a day's check-ins
+     * @param {Object|null} entry - Day entry
+     * @param {boolean} editable - Show Edit/Delete for each check-in
+     * @param {string} [id] - ID for the list element
+     * @returns {HTMLElement} Ordered list, earliest first
+     */
+    createTimeline(entry, editable, id) {
+        const timeline = document.createElement('ol');
+        timeline.className = 'check-in-timeline';
+        if (id) timeline.id = id;
+
+        DailyCheckIns.getCheckIns(entry).forEach(checkIn => {
+            const item = document.createElement('li');
+            item.className = 'timeline-item';
+
+            const period = DailyCheckIns.getPeriod(checkIn.time);
+            const time = document.createElement('div');
+            time.className = 'timeline-time';
+            time.textContent = checkIn.time || '—';
+            if (period) time.title = period.label;
+
+            const body = document.createElement('div');
+            body.className = 'timeline-body';
+            const summary = document.createElement('div');
+            summary.textContent = `${this.getMoodEmoji(checkIn.mood)} ${checkIn.mood}/10 · Stress: ${this.stressLabels[checkIn.stress]}`;
+            body.appendChild(summary);
+
+            if (checkIn.activities && checkIn.activities.length > 0) {
+                body.appendChild(ActivityTags.createChipList(checkIn.activities));
+            }
+            const metricSummary = CustomMetrics.describe(checkIn.metrics);
+            if (metricSummary) {
+                const metrics = document.createElement('div');
+                metrics.className = 'timeline-activities';
+                metrics.textContent = metricSummary;
+                body.appendChild(metrics);
+            }
+            if (checkIn.journal) {
+                const note = document.createElement('div');
+                note.className = 'timeline-note';
+                note.textContent = `"${ValidationHelper.unescapeHTML(checkIn.journal)}"`;
+                body.appendChild(note);
+            }
+
+            item.appendChild(time);
+            item.appendChild(body);
+
+            if (editable) {
+                const actions = document.createElement('div');
+                actions.className = 'timeline-actions';
+                const edit = document.createElement('button');
+                edit.className = 'btn-secondary';
+                edit.textContent = '✏️';
+                edit.title = 'Edit check-in';
+                edit.setAttribute('aria-label', 'Edit check-in');
+                edit.addEventListener('click', () => EntryEditor.open(entry.date, checkIn.id));
+                const remove = document.createElement('button');
+                remove.className = 'btn-secondary btn-danger';
+                remove.textContent = '🗑️';
+                remove.title = 'Delete check-in';
+                remove.setAttribute('aria-label', 'Delete check-in');
+                remove.addEventListener('click', () => EntryEditor.deleteCheckIn(entry.date, checkIn.id));
+                actions.appendChild(edit);
+                actions.appendChild(remove);
+                item.appendChild(actions);
+            }
+
+            timeline.appendChild(item);
+        });
+        return timeline;
+    },
+    
+    /**
+     * Displays detailed entry information in the details panel
+     * Shows the day's mood, sleep, stress and activities, then a timeline of its check-ins
+     * @param {Object} entry - Entry data to display
+     * @param {string} dateStr - Date string in YYYY-MM-DD format
+     */
+    displayEntryDetails(entry, dateStr) {
+        const date = DateUtils.parseDateKey(entry.date);
+        const moodEmoji = this.getMoodEmoji(entry.mood);
+        const stressLabel = this.stressLabels[entry.stress];
+        const count = DailyCheckIns.count(entry);
+        const prefix = count > 1 ? 'Average ' : '';
+        
+        const detailsPanel = document.getElementById('detailsPanel');
+        if (!detailsPanel) return;
+        
+        const longDate = date.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+        const detailItem = (label, value) => Dom.el('div', { className: 'detail-item' }, [
+            Dom.el('div', { className: 'detail-label', text: label }),
+            value !== undefined && Dom.el('div', { className: 'detail-value' }, value)
+        ]);
+
+        // Every value (including tag and metric names) is written as text
+        const metricSummary = CustomMetrics.describe(entry.metrics);
+        Dom.replace(detailsPanel, [
+            Dom.el('h3', { text: longDate }),
+            detailItem(`${prefix}Mood`, [
+                Dom.el('span', { className: 'detail-emoji', text: moodEmoji }),
+                ` ${entry.mood}/10`
+            ]),
+            detailItem('Sleep', `😴 ${entry.sleep} hours`),
+            detailItem(`${prefix}Stress Level`, stressLabel),
+            entry.activities && entry.activities.length > 0 &&
+                detailItem('Activities', ActivityTags.createChipList(entry.activities)),
+            metricSummary && count > 1 && detailItem('Metrics (whole day)', metricSummary),
+            detailItem(count === 1 ? 'Check-in' : `${count} Check-ins`)
+        ]);
+
+        // Notes are shown per check-in in the timeline
+        detailsPanel.appendChild(this.createTimeline(entry, true));
+        detailsPanel.appendChild(this.createDetailActions(dateStr, true));
+    },
+    
+    /**
+     * Displays default message when no entry is selected
+     */
+    displayDetailsMessage() {
+        const detailsPanel = document.getElementById('detailsPanel');
+        if (detailsPanel) {
+            Dom.replace(detailsPanel, Dom.el('p', { className: 'details-hint', text: 'Click on a date to see details' }));
+        }
+    }
+};
+
+// Insights - How activities and sleep line up with mood and stress
+/**
+ * Compares days with each activity tag to days without it, on the day itself
+ * and the day after (e.g. exercise today -> mood tomorrow), and fits trendlines
+ * for the sleep scatter charts. These are patterns in the user's own check-ins,
+ * shown with the number of days behind them, not proof of cause.
+ */
+const Insights = {
+    // Fewest days on each side (with / without the activity) before comparing
+    minDays: 3,
+    // Smallest mood difference (points) that counts as "seems to help"
+    minMoodEffect: 0.3,
+    sameDayFields: ['mood', 'stress', 'sleep'],
+    nextDayFields: ['mood', 'stress'],
+
+    // Confidence from the number of days and Welch's t statistic of the difference
+    confidenceLevels: {
+        high: { label: 'High', minDays: 10, minT: 2.5, weight: 3 },
+        medium: { label: 'Medium', minDays: 5, minT: 1.5, weight: 2 },
+        low: { label: 'Low', minDays: 0, minT: 0, weight: 1 }
+    },
+
+    /**
+     * @param {Array<number>} values - Numbers
+     * @returns {number} Average (0 for an empty list)
+     */
+    mean(values) {
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+    },
+
+    /**
+     * Sample variance
+     * @param {Array<number>} values - Numbers
+     * @returns {number} Variance (0 with fewer than two values)
+     */
+    variance(values) {
+        if (values.length < 2) return 0;
+        const mean = this.mean(values);
+        return values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+    },
+
+    /**
+     * Sums of squares around the means, shared by correlation and leastSquares
+     * @param {Array<{x: number, y: number}>} points - Pairs
+     * @returns {{meanX: number, meanY: number, sxx: number, syy: number, sxy: number}} Sums
+     */
+    sumsOfSquares(points) {
+        const meanX = this.mean(points.map(point => point.x));
+        const meanY = this.mean(points.map(point => point.y));
+        return points.reduce((sums, { x, y }) => ({
+            ...sums,
+            sxx: sums.sxx + (x - meanX) ** 2,
+            syy: sums.syy + (y - meanY) ** 2,
+            sxy: sums.sxy + (x - meanX) * (y - meanY)
+        }), { meanX, meanY, sxx: 0, syy: 0, sxy: 0 });
+    },
+
+    /**
+     * Pearson correlation coefficient
+     * @param {Array<{x: number, y: number}>} points - Pairs
+     * @returns {number|null} -1 to 1, or null with fewer than 3 points or no spread
+     */
+    correlation(points) {
+        if (points.length < 3) return null;
+        const { sxx, syy, sxy } = this.sumsOfSquares(points);
+        if (sxx === 0 || syy === 0) return null;
+        return sxy / Math.sqrt(sxx * syy);
+    },
+
+    /**
+     * Least-squares straight line through points
+     * @param {Array<{x: number, y: number}>} points - Pairs
+     * @returns {{slope: number, intercept: number}|null} y = intercept + slope * x,
+     *   or null with fewer than 3 points or every x the same
+     */
+    leastSquares(points) {
+        if (points.length < 3) return null;
+        const { meanX, meanY, sxx, sxy } = this.sumsOfSquares(points);
+        if (sxx === 0) return null;
+        const slope = sxy / sxx;
+        return { slope, intercept: meanY - slope * meanX };
+    },
+
+    /**
+     * Words for a correlation coefficient
+     * @param {number} r - Correlation, -1 to 1
+     * @returns {string} e.g. 'moderate positive'
+     */
+    describeCorrelation(r) {
+        const size = Math.abs(r);
+        if (size < 0.1) return 'no clear link';
+        const strength = size < 0.3 ? 'weak' : size < 0.5 ? 'moderate' : 'strong';
+        return `${strength} ${r > 0 ? 'positive' : 'negative'}`;
+    },
+
+    /**
+     * Welch's t statistic for the difference between two groups' means
+     * @param {Array<number>} a - First group
+     * @param {Array<number>} b - Second group
+     * @returns {number} Size of t (0 to Infinity); Infinity when neither group varies but the means differ
+     */
+    welchT(a, b) {
+        const difference = Math.abs(this.mean(a) - this.mean(b));
+        const standardError = Math.sqrt(this.variance(a) / a.length + this.variance(b) / b.length);
+        // No spread at all: any difference is consistent
+        return standardError > 0 ? difference / standardError : (difference > 0 ? Infinity : 0);
+    },
+
+    /**
+     * How sure a difference between two groups of days is
+     * @param {Array<number>} withValues - Values on days with the activity
+     * @param {Array<number>} withoutValues - Values on days without it
+     * @returns {string} 'high', 'medium', 'low', or 'insufficient' with too few days
+     */
+    getConfidence(withValues, withoutValues) {
+        const fewest = Math.min(withValues.length, withoutValues.length);
+        if (fewest < this.minDays) return 'insufficient';
+
+        const t = this.welchT(withValues, withoutValues);
+
+        const level = ['high', 'medium'].find(name => {
+            const rule = this.confidenceLevels[name];
+            return fewest >= rule.minDays && t >= rule.minT;
+        });
+        return level || 'low';
+    },
+
+    /**
+     * Averages with and without an activity
+     * @param {Array<number>} withValues - Values on days with the activity
+     * @param {Array<number>} withoutValues - Values on days without it
+     * @returns {{with: number, without: number, difference: number, withCount: number, withoutCount: number, confidence: string}} Comparison
+     */
+    compare(withValues, withoutValues) {
+        const withMean = this.mean(withValues);
+        const withoutMean = this.mean(withoutValues);
+        return {
+            with: withMean,
+            without: withoutMean,
+            difference: withMean - withoutMean,
+            withCount: withValues.length,
+            withoutCount: withoutValues.length,
+            confidence: this.getConfidence(withValues, withoutValues)
+        };
+    },
+
+    /**
+     * Compare days with and without each activity logged in some entries
+     * @param {Array<Object>} entries - Day entries
+     * @returns {Array<{tagId: string, days: number, sameDay: Object, nextDay: Object}>} One result per
+     *   activity; sameDay and nextDay map each field (mood, stress...) to a comparison from compare()
+     */
+    analyze(entries) {
+        const byDate = new Map(entries.map(entry => [entry.date, entry]));
+        const tagIds = new Set(entries.flatMap(entry => entry.activities || []));
+
+        return [...tagIds].map(tagId => {
+            const has = entry => (entry.activities || []).includes(tagId);
+            const withDays = entries.filter(has);
+            const withoutDays = entries.filter(entry => !has(entry));
+
+            // The day after each check-in, when that day has a check-in too
+            const nextWith = [];
+            const nextWithout = [];
+            entries.forEach(entry => {
+                const next = byDate.get(DateUtils.shiftDateKey(entry.date, 1));
+                if (next) (has(entry) ? nextWith : nextWithout).push(next);
+            });
+
+            const sameDay = {};
+            this.sameDayFields.forEach(field => {
+                sameDay[field] = this.compare(withDays.map(e => e[field]), withoutDays.map(e => e[field]));
+            });
+            const nextDay = {};
+            this.nextDayFields.forEach(field => {
+                nextDay[field] = this.compare(nextWith.map(e => e[field]), nextWithout.map(e => e[field]));
+            });
+
+            return { tagId, days: withDays.length, sameDay, nextDay };
+        });
+    },
+
+    /**
+     * Activities whose days (or the days after) have a better mood, best first
+     * Ranked by the larger of the same-day and next-day mood difference, weighted
+     * by its confidence, so a steady small lift can outrank a large one seen twice.
+     * @param {Array<Object>} entries - Day entries
+     * @returns {Array<Object>} Results from analyze() with a score and the comparison behind it (best)
+     */
+    getHelpful(entries) {
+        return this.analyze(entries)
+            .map(result => {
+                const best = [result.sameDay.mood, result.nextDay.mood]
+                    .filter(comparison => comparison.confidence !== 'insufficient' && comparison.difference >= this.minMoodEffect)
+                    .map(comparison => ({ comparison, score: comparison.difference * this.confidenceLevels[comparison.confidence].weight }))
+                    .sort((a, b) => b.score - a.score)[0];
+                return best ? { ...result, score: best.score, best: best.comparison } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score);
+    }
+};
+
+// Trends - Rolling averages, trend direction and baseline shifts
+/**
+ * Smooths the daily mood, sleep and stress series and looks for lasting
+ * changes: a significant slope across the selected range, and a recent
+ * stretch whose average has moved away from the user's usual level.
+ */
+const Trends = {
+    // Rolling average windows (days) drawn on the mood, sleep and stress charts
+    rollingWindows: [7, 28],
+    // A rolling average needs check-ins on at least this share of its window
+    minWindowShare: 0.25,
+
+    // Trend: fewest days in the range, and how large the slope's t statistic must be
+    minTrendDays: 7,
+    significanceT: 2,
+
+    // Baseline shift: the last recentDays compared with the baselineDays before them
+    recentDays: 10,
+    baselineDays: 60,
+    minRecentDays: 5,
+    minBaselineDays: 14,
+
+    // How each field is described, which way is better, and the smallest shift worth flagging
+    fields: {
+        mood: { label: 'mood', unit: ' points', higherIsBetter: true, minShift: 1.5 },
+        sleep: { label: 'sleep', unit: ' hrs', higherIsBetter: true, minShift: 1 },
+        stress: { label: 'stress', unit: ' levels', higherIsBetter: false, minShift: 0.75 }
+    },
+
+    /**
+     * First day the rolling averages and the baseline comparison need for a period
+     * @param {{start: string, end: string}} period - Dates on screen
+     * @returns {string} Date key
+     */
+    getHistoryStart(period) {
+        const rolling = DateUtils.shiftDateKey(period.start, -(Math.max(...this.rollingWindows) - 1));
+        const baseline = DateUtils.shiftDateKey(period.end, -(this.recentDays + this.baselineDays - 1));
+        return rolling < baseline ? rolling : baseline;
+    },
+
+    /**
+     * Trailing average of a field for each day
+     * @param {Array<Object>} entries - Entries covering the days and the window before them
+     * @param {Array<string>} days - Date keys to compute the average for
+     * @param {number} window - Days in the window (ending on, and including, each day)
+     * @param {string} field - 'mood', 'sleep' or 'stress'
+     * @returns {Array<number|null>} Average for each day; null with too few check-ins in the window
+     */
+    rollingAverage(entries, days, window, field) {
+        const byDate = new Map(entries.map(entry => [entry.date, entry[field]]));
+        const minDays = Math.max(2, Math.ceil(window * this.minWindowShare));
+        return days.map(day => {
+            const values = [];
+            for (let offset = 0; offset < window; offset++) {
+                const value = byDate.get(DateUtils.shiftDateKey(day, -offset));
+                if (value !== undefined) values.push(value);
+            }
+            return values.length >= minDays ? Insights.mean(values) : null;
+        });
+    },
+
+    /**
+     * Direction of a field across a period, from the least-squares slope
+     * A slope only counts when its t statistic reaches significanceT; otherwise
+     * the field is 'stable'.
+     * @param {Array<Object>} entries - Entries in the period
+     * @param {string} field - 'mood', 'sleep' or 'stress'
+     * @returns {{trend: string, slope: number, t: number}|null} trend is 'improving', 'stable'
+     *   or 'declining' and slope is the change per day; null with fewer than minTrendDays
+     */
+    classify(entries, field) {
+        if (entries.length < this.minTrendDays) return null;
+        const start = entries.reduce((first, entry) => (entry.date < first ? entry.date : first), entries[0].date);
+        const points = entries.map(entry => ({ x: DateUtils.daysBetween(start, entry.date), y: entry[field] }));
+
+        const fit = Insights.leastSquares(points);
+        if (!fit) return null;
+        const { sxx, syy, sxy } = Insights.sumsOfSquares(points);
+        const residual = Math.max(0, syy - (sxy * sxy) / sxx);
+        const standardError = Math.sqrt(residual / (points.length - 2) / sxx);
+        const t = standardError > 0 ? Math.abs(fit.slope) / standardError : (fit.slope !== 0 ? Infinity : 0);
+
+        let trend = 'stable';
+        if (t >= this.significanceT) {
+            trend = (fit.slope > 0) === this.fields[field].higherIsBetter ? 'improving' : 'declining';
+        }
+        return { trend, slope: fit.slope, t };
+    },
+
+    /**
+     * Has the recent average of a field moved away from the baseline?
+     * @param {Array<Object>} entries - Entries covering the baseline and recent days
+     * @param {string} endDate - Last day of the recent stretch
+     * @param {string} field - 'mood', 'sleep' or 'stress'
+     * @returns {Object|null} {field, recent, baseline, shift, better} when the shift is at least
+     *   the field's minShift and significant; null otherwise or with too few check-ins
+     */
+    detectShift(entries, endDate, field) {
+        const recentStart = DateUtils.shiftDateKey(endDate, -(this.recentDays - 1));
+        const baselineStart = DateUtils.shiftDateKey(recentStart, -this.baselineDays);
+        const recent = entries.filter(e => e.date >= recentStart && e.date <= endDate).map(e => e[field]);
+        const baseline = entries.filter(e => e.date >= baselineStart && e.date < recentStart).map(e => e[field]);
+        if (recent.length < this.minRecentDays || baseline.length < this.minBaselineDays) return null;
+
+        const shift = Insights.mean(recent) - Insights.mean(baseline);
+        if (Math.abs(shift) < this.fields[field].minShift || Insights.welchT(recent, baseline) < this.significanceT) {
+            return null;
+        }
+        return {
+            field,
+            recent: Insights.mean(recent),
+            baseline: Insights.mean(baseline),
+            shift,
+            better: (shift > 0) === this.fields[field].higherIsBetter
+        };
+    },
+
+    /**
+     * Baseline shifts for mood, sleep and stress, worded for display
+     * @param {Array<Object>} entries - Entries covering the baseline and recent days
+     * @param {string} endDate - Last day of the recent stretch (usually today)
+     * @returns {Array<Object>} Shifts from detectShift with a message, worse ones first
+     */
+    getAlerts(entries, endDate) {
+        const when = endDate === DateUtils.today()
+            ? `over the last ${this.recentDays} days`
+            : `in the ${this.recentDays} days to ${DateUtils.formatDisplay(endDate, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+
+        return Object.keys(this.fields)
+            .map(field => this.detectShift(entries, endDate, field))
+            .filter(Boolean)
+            .map(alert => {
+                const { label, unit } = this.fields[alert.field];
+                const verb = alert.shift > 0 ? 'rose' : 'dropped';
+                return {
+                    ...alert,
+                    message: `Your average ${label} ${verb} ${Math.abs(alert.shift).toFixed(1)}${unit} ${when} ` +
+                        `compared to your ${this.baselineDays}-day baseline (${alert.recent.toFixed(1)} vs ${alert.baseline.toFixed(1)}).`
+                };
+            })
+            .sort((a, b) => Number(a.better) - Number(b.better));
+    }
+};
+
+// Analytics View - Displays charts and trends from wellness data
+const AnalyticsView = {
+    charts: {},
+    stressLabels: ['', 'Low', 'Moderate', 'High', 'Very High'],
+    // Picker choices; numbers are "last N days"
+    rangeLabels: {
+        7: 'Last 7 days',
+        30: 'Last 30 days',
+        90: 'Last 90 days',
+        semester: 'This semester',
+        year: 'Last 12 months',
+        all: 'All time',
+        custom: 'Custom'
+    },
+    defaultPreset: '30',
+    // Range on screen, from #/analytics?range=90&compare=1 or ?range=custom&from=...&to=...
+    range: { preset: '30', from: null, to: null, compare: false },
+    // Entries and dates of the range on screen (what the export buttons write)
+    entries: [],
+    period: null,
+
+    /**
+     * Wires the range picker, the compare switch and the export buttons
+     */
+    init() {
+        const select = document.getElementById('analyticsRange');
+        const compare = document.getElementById('analyticsCompare');
+        const applyBtn = document.getElementById('applyCustomRangeBtn');
+        const csvBtn = document.getElementById('exportCSV');
+        const pdfBtn = document.getElementById('exportPDF');
+
+        if (select) {
+            select.addEventListener('change', () => {
+                if (select.value === 'custom') {
+                    // Start from the dates on screen; nothing loads until Apply
+                    this.showCustomRange(true, this.period);
+                    return;
+                }
+                this.applyRange({ preset: select.value, from: null, to: null, compare: this.range.compare && select.value !== 'all' });
+            });
+        }
+        if (compare) {
+            compare.addEventListener('change', () => this.applyRange({ ...this.range, compare: compare.checked }));
+        }
+        if (applyBtn) {
+            applyBtn.addEventListener('click', () => this.applyCustomRange());
+        }
+
+        // Registered once; they export whatever range is loaded when clicked
+        if (csvBtn) csvBtn.addEventListener('click', () => this.exportCSV(this.entries, this.period));
+        if (pdfBtn) pdfBtn.addEventListener('click', () => this.exportPDF(this.entries));
+    },
+
+    /**
+     * @returns {Object} Range used when the URL doesn't name one
+     */
+    getDefaultRange() {
+        return { preset: this.defaultPreset, from: null, to: null, compare: false };
+    },
+
+    /**
+     * Read and check the range in a route's query
+     * @param {URLSearchParams} query - range, from, to and compare parameters
+     * @returns {Object|null} {preset, from, to, compare}, or null if invalid
+     */
+    readRange(query) {
+        const preset = query.get('range') || this.defaultPreset;
+        const compare = query.get('compare') === '1';
+
+        if (preset === 'custom') {
+            const from = query.get('from');
+            const to = query.get('to');
+            const valid = ValidationHelper.isValidDate(from) && ValidationHelper.isValidDate(to) &&
+                from <= to && to <= DateUtils.today() &&
+                DateUtils.daysBetween(from, to) < Router.maxRangeDays;
+            return valid ? { preset, from, to, compare } : null;
+        }
+        if (preset === 'all') {
+            // All time has no previous period to compare with
+            return { preset, from: null, to: null, compare: false };
+        }
+        if (preset === 'semester' || preset === 'year') {
+            return { preset, from: null, to: null, compare };
+        }
+
+        const days = Number(preset);
+        if (Number.isInteger(days) && days > 0 && days <= Router.maxRangeDays) {
+            return { preset: String(days), from: null, to: null, compare };
+        }
+        return null;
+    },
+
+    /**
+     * Query parameters for a range (the default range is left out of the URL)
+     * @param {Object} range - Range from readRange
+     * @returns {Object} Query for Router.build
+     */
+    rangeQuery(range) {
+        return {
+            range: range.preset === this.defaultPreset ? null : range.preset,
+            from: range.preset === 'custom' ? range.from : null,
+            to: range.preset === 'custom' ? range.to : null,
+            compare: range.compare ? 1 : null
+        };
+    },
+
+    /**
+     * Show a range, keeping the URL in step without a new history entry
+     * @param {Object} range - Range from readRange
+     */
+    async applyRange(range) {
+        this.range = range;
+        Router.replace('analytics', [], this.rangeQuery(range));
+        await this.loadAnalytics();
+    },
+
+    /**
+     * Apply the custom start and end dates
+     */
+    async applyCustomRange() {
+        const from = document.getElementById('analyticsFrom');
+        const to = document.getElementById('analyticsTo');
+        const range = this.readRange(new URLSearchParams({
+            range: 'custom',
+            from: from ? from.value : '',
+            to: to ? to.value : '',
+            compare: this.range.compare ? '1' : ''
+        }));
+        if (!range) {
+            ErrorHandler.showWarning('Choose a start date on or before the end date, and an end date no later than today.');
+            return;
+        }
+        await this.applyRange(range);
+    },
+
+    /**
+     * Show or hide the custom start/end inputs
+     * @param {boolean} visible - Whether to show them
+     * @param {Object|null} [period] - Dates to fill in
+     */
+    showCustomRange(visible, period = null) {
+        const group = document.getElementById('analyticsCustomRange');
+        const from = document.getElementById('analyticsFrom');
+        const to = document.getElementById('analyticsTo');
+        if (group) group.classList.toggle('hidden', !visible);
+        if (!visible) return;
+
+        const today = DateUtils.today();
+        if (from) {
+            from.max = today;
+            if (period) from.value = period.start;
+        }
+        if (to) {
+            to.max = today;
+            if (period) to.value = period.end;
+        }
+    },
+
+    /**
+     * Make the picker, compare switch and range summary match this.range
+     * @param {Object|null} period - Dates on screen
+     * @param {Object|null} previousPeriod - Dates compared with, if any
+     */
+    syncRangeControls(period, previousPeriod) {
+        const select = document.getElementById('analyticsRange');
+        const compare = document.getElementById('analyticsCompare');
+        const summary = document.getElementById('analyticsRangeSummary');
+
+        if (select) {
+            // A link can ask for any number of days; give it an option of its own
+            if (![...select.options].some(option => option.value === this.range.preset)) {
+                select.appendChild(Dom.el('option', { text: `Last ${this.range.preset} days`, attrs: { value: this.range.preset } }));
+            }
+            select.value = this.range.preset;
+        }
+        if (compare) {
+            compare.checked = this.range.compare;
+            compare.disabled = this.range.preset === 'all';
+        }
+        this.showCustomRange(this.range.preset === 'custom', period);
+
+        if (summary && period) {
+            const text = `${this.formatPeriod(period)} · ${this.entries.length} day${this.entries.length === 1 ? '' : 's'} with check-ins`;
+            summary.textContent = previousPeriod ? `${text} · compared with ${this.formatPeriod(previousPeriod)}` : text;
+        }
+    },
+
+    /**
+     * Dates covered by a range, ending today unless custom
+     * @param {Object} range - Range from readRange
+     * @param {string|null} [firstDate] - Oldest entry date, for "All time"
+     * @returns {{start: string, end: string, days: number}} Period
+     */
+    getPeriod(range, firstDate = null) {
+        const today = DateUtils.today();
+        let start = today;
+        let end = today;
+
+        if (range.preset === 'custom') {
+            start = range.from;
+            end = range.to;
+        } else if (range.preset === 'semester') {
+            start = this.getSemesterStart(today);
+        } else if (range.preset === 'year') {
+            start = DateUtils.shiftDateKey(today, -364);
+        } else if (range.preset === 'all') {
+            start = firstDate && firstDate < today ? firstDate : today;
+        } else {
+            start = DateUtils.daysAgo(Number(range.preset) - 1);
+        }
+        return { start, end, days: DateUtils.daysBetween(start, end) + 1 };
+    },
+
+    /**
+     * The same number of days just before a period
+     * @param {Object} period - Period from getPeriod
+     * @returns {{start: string, end: string, days: number}} Previous period
+     */
+    getPreviousPeriod(period) {
+        return {
+            start: DateUtils.shiftDateKey(period.start, -period.days),
+            end: DateUtils.shiftDateKey(period.start, -1),
+            days: period.days
+        };
+    },
+
+    /**
+     * Start of the current semester (AppConfig.semesterStartDates)
+     * @param {string} today - Today's date key
+     * @returns {string} Date key
+     */
+    getSemesterStart(today) {
+        const year = Number(today.slice(0, 4));
+        const starts = [year - 1, year]
+            .flatMap(y => AppConfig.semesterStartDates.map(monthDay => `${y}-${monthDay}`))
+            .filter(date => ValidationHelper.isValidDate(date) && date <= today)
+            .sort();
+        return starts.length > 0 ? starts[starts.length - 1] : `${year}-01-01`;
+    },
+
+    /**
+     * @param {Object} period - Period from getPeriod
+     * @returns {string} e.g. "Sep 20 – Oct 19, 2026"
+     */
+    formatPeriod(period) {
+        const sameYear = period.start.slice(0, 4) === period.end.slice(0, 4);
+        const start = DateUtils.formatDisplay(period.start, sameYear
+            ? { month: 'short', day: 'numeric' }
+            : { month: 'short', day: 'numeric', year: 'numeric' });
+        const end = DateUtils.formatDisplay(period.end, { month: 'short', day: 'numeric', year: 'numeric' });
+        return period.start === period.end ? end : `${start} – ${end}`;
+    },
+    
+    /**
+     * Initializes analytics view
+     * Loads the selected range (and the previous period when comparing) and creates visualizations
+     */
+    async loadAnalytics() {
+        try {
+            let firstDate = null;
+            if (this.range.preset === 'all') {
+                const all = await StorageAdapter.getAllEntries();
+                firstDate = all.length > 0 ? all[all.length - 1].date : null;
+            }
+            const period = this.getPeriod(this.range, firstDate);
+            // Days before the range feed the rolling averages and the baseline comparison
+            const history = await StorageAdapter.getRange(Trends.getHistoryStart(period), period.end);
+            const entries = history.filter(entry => entry.date >= period.start);
+
+            let previousPeriod = null;
+            let previousEntries = null;
+            if (this.range.compare) {
+                previousPeriod = this.getPreviousPeriod(period);
+                previousEntries = await StorageAdapter.getRange(previousPeriod.start, previousPeriod.end);
+            }
+
+            this.period = period;
+            this.entries = entries;
+            this.syncRangeControls(period, previousPeriod);
+            
+            const emptyMessage = document.getElementById('analyticsEmpty');
+            if (emptyMessage) emptyMessage.classList.toggle('hidden', entries.length > 0);
+            if (entries.length === 0) {
+                // Don't leave the last range's charts on screen
+                this.clear();
+                return;
+            }
+            
+            // Calculate and display summaries
+            this.displaySummaries(entries, previousEntries);
+
+            // Trend on each summary card and alerts when the baseline has shifted
+            this.displayTrends(entries, history, period);
+            
+            // Create charts
+            this.createCharts(entries, period, previousEntries, history);
+            
+            // Display weekly summary
+            this.displayWeeklySummary(entries);
+
+            // Morning / afternoon / evening breakdown
+            this.displayTimeOfDay(entries);
+
+            // Activities that go with a better mood
+            this.displayInsights(entries);
+        } catch (error) {
+            ErrorHandler.logError('AnalyticsView.loadAnalytics', error);
+        }
+    },
+
+    /**
+     * Empty the summaries and charts (range without check-ins)
+     */
+    clear() {
+        Object.keys(this.charts).forEach(key => {
+            this.charts[key].destroy();
+            delete this.charts[key];
+        });
+        ['avgMood', 'avgSleep', 'avgStress'].forEach(id => {
+            const value = document.getElementById(id);
+            if (value) value.textContent = '-';
+            this.showDelta(`${id}Delta`, null);
+            const trend = document.getElementById(`${id}Trend`);
+            if (trend) trend.classList.add('hidden');
+        });
+        ['customMetricCharts', 'weeklySummaryContent', 'timeOfDayContent', 'insightsList', 'trendAlerts'].forEach(id => {
+            const container = document.getElementById(id);
+            if (container) Dom.replace(container, []);
+        });
+    },
+
+    /**
+     * Average mood, sleep and stress of some days
+     * @param {Array} entries - Day entries
+     * @returns {{mood: number, sleep: number, stress: number}|null} Averages, or null without entries
+     */
+    averages(entries) {
+        if (!entries || entries.length === 0) return null;
+        const average = field => entries.reduce((sum, e) => sum + e[field], 0) / entries.length;
+        return { mood: average('mood'), sleep: average('sleep'), stress: average('stress') };
+    },
+    
+    /**
+     * Calculates and displays summary statistics
+     * Shows average mood, sleep, and stress across the period, and the change
+     * from the previous period when comparing
+     * @param {Array} entries - Array of wellness entries
+     * @param {Array|null} [previousEntries] - Previous period's entries (null = not comparing)
+     */
+    displaySummaries(entries, previousEntries = null) {
+        const current = this.averages(entries);
+        const previous = previousEntries ? this.averages(previousEntries) : undefined;
+        const avgMood = current.mood.toFixed(1);
+        const avgSleep = current.sleep.toFixed(1);
+        const avgStress = current.stress.toFixed(1);
+        
+        const avgMoodEl = document.getElementById('avgMood');
+        const avgSleepEl = document.getElementById('avgSleep');
+        const avgStressEl = document.getElementById('avgStress');
+        
+        if (avgMoodEl) avgMoodEl.textContent = `${avgMood}/10`;
+        if (avgSleepEl) avgSleepEl.textContent = `${avgSleep} hrs`;
+        if (avgStressEl) avgStressEl.textContent = `${avgStress}/4`;
+
+        // Less stress is the improvement; more mood and sleep are
+        this.showDelta('avgMoodDelta', previous === undefined ? undefined : { current: current.mood, previous: previous && previous.mood, higherIsBetter: true });
+        this.showDelta('avgSleepDelta', previous === undefined ? undefined : { current: current.sleep, previous: previous && previous.sleep, higherIsBetter: true, unit: ' hrs' });
+        this.showDelta('avgStressDelta', previous === undefined ? undefined : { current: current.stress, previous: previous && previous.stress, higherIsBetter: false });
+    },
+
+    /**
+     * Change from the previous period on a summary card
+     * @param {string} id - Delta element ID
+     * @param {Object|null|undefined} delta - {current, previous, higherIsBetter, unit};
+     *   previous is null when the previous period has no check-ins. Hidden without a delta.
+     */
+    showDelta(id, delta) {
+        const element = document.getElementById(id);
+        if (!element) return;
+        element.classList.remove('is-better', 'is-worse');
+        element.classList.toggle('hidden', !delta);
+        if (!delta) return;
+
+        if (delta.previous === null || delta.previous === undefined) {
+            element.textContent = 'No check-ins in the previous period';
+            element.title = '';
+            return;
+        }
+        const change = Math.round((delta.current - delta.previous) * 10) / 10;
+        const unit = delta.unit || '';
+        element.title = `Previous period average: ${delta.previous.toFixed(1)}${unit}`;
+        if (change === 0) {
+            element.textContent = 'Same as previous period';
+            return;
+        }
+        element.textContent = `${change > 0 ? '▲' : '▼'} ${Math.abs(change).toFixed(1)}${unit} vs previous period`;
+        element.classList.add((change > 0) === delta.higherIsBetter ? 'is-better' : 'is-worse');
+    },
+
+    /**
+     * Trend badges on the summary cards and baseline-shift alerts
+     * @param {Array} entries - Entries in the range
+     * @param {Array} history - Entries in the range and the days before it
+     * @param {Object} period - Dates on screen
+     */
+    displayTrends(entries, history, period) {
+        const trendLabels = { improving: 'Improving', stable: 'Stable', declining: 'Declining' };
+        const cards = { mood: 'avgMoodTrend', sleep: 'avgSleepTrend', stress: 'avgStressTrend' };
+
+        Object.entries(cards).forEach(([field, id]) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            const result = Trends.classify(entries, field);
+            element.classList.remove('trend-improving', 'trend-stable', 'trend-declining');
+            element.classList.toggle('hidden', !result);
+            if (!result) return;
+
+            // The arrow shows which way the value moves; the word says whether that is good
+            const arrow = result.trend === 'stable' ? '→' : result.slope > 0 ? '↗' : '↘';
+            const perWeek = result.slope * 7;
+            element.textContent = `${arrow} ${trendLabels[result.trend]}`;
+            element.classList.add(`trend-${result.trend}`);
+            element.title = `About ${perWeek >= 0 ? '+' : '−'}${Math.abs(perWeek).toFixed(2)}${Trends.fields[field].unit} a week` +
+                (result.trend === 'stable' ? ', not a clear trend' : '');
+        });
+
+        const container = document.getElementById('trendAlerts');
+        if (!container) return;
+        Dom.replace(container, Trends.getAlerts(history, period.end).map(alert => {
+            // Point to support when mood or stress has got worse
+            const offerSupport = !alert.better && alert.field !== 'sleep';
+            const children = [
+                Dom.el('span', { className: 'trend-alert-icon', text: alert.better ? '🌤️' : '⚠️' }),
+                Dom.el('span', { className: 'trend-alert-message', text: alert.message })
+            ];
+            if (offerSupport) {
+                const button = Dom.el('button', { className: 'btn-secondary', text: 'Support resources' });
+                button.addEventListener('click', () => Navigation.showView('resources'));
+                children.push(button);
+            }
+            return Dom.el('div', { className: `trend-alert ${alert.better ? 'is-better' : 'is-worse'}`, attrs: { role: 'status' } }, children);
+        }));
+    },
+
+    /**
+     * Every date key from start to end
+     * @param {string} start - First date key
+     * @param {string} end - Last date key
+     * @returns {Array<string>} Date keys, oldest first
+     */
+    listDays(start, end) {
+        const days = [];
+        for (let day = start; day <= end; day = DateUtils.shiftDateKey(day, 1)) {
+            days.push(day);
+        }
+        return days;
+    },
+    
+    /**
+     * Chart colors from the current theme's CSS variables
+     * Read on every render so the charts follow the dark mode toggle.
+     * @returns {{text: string, muted: string, grid: string}} Colors
+     */
+    getChartTheme() {
+        const style = getComputedStyle(document.documentElement);
+        const read = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+        return {
+            text: read('--text-main', '#1e293b'),
+            muted: read('--text-muted', '#64748b'),
+            grid: read('--card-border', 'rgba(148, 163, 184, 0.2)')
+        };
+    },
+
+    /**
+     * Chart.js options shared by every analytics chart: responsive sizing,
+     * a legend, and axes in the theme's colors
+     * @param {Object} [overrides] - x and y axis options (ticks, grid and title are merged
+     *   into the themed defaults), extra plugins, and any other top-level options
+     * @returns {Object} Chart.js options
+     */
+    chartOptions({ x = {}, y = {}, plugins = {}, ...rest } = {}) {
+        const theme = this.getChartTheme();
+        const axis = ({ ticks = {}, grid = {}, title, ...options }) => ({
+            ...options,
+            ticks: { color: theme.muted, ...ticks },
+            grid: { color: theme.grid, ...grid },
+            ...(title ? { title: { display: true, color: theme.muted, ...title } } : {})
+        });
+        return {
+            responsive: true,
+            maintainAspectRatio: false,
+            ...rest,
+            plugins: {
+                legend: { display: true, labels: { color: theme.text } },
+                ...plugins
+            },
+            scales: { x: axis(x), y: axis(y) }
+        };
+    },
+
+    /**
+     * @param {Array} entries - Entries in the period
+     * @param {Object} period - Dates on screen
+     * @param {Array|null} [previousEntries] - Previous period's entries, drawn as a dashed
+     *   line lined up day by day (day 1 over day 1); null when not comparing
+     * @param {Array} [history] - Entries from before the range too, for the rolling averages
+     */
+    createCharts(entries, period, previousEntries = null, history = entries) {
+        try {
+            // Sort entries by date (oldest first for proper chart display)
+            const sortedEntries = [...entries].reverse();
+
+            // When comparing, every day gets a slot so both periods line up
+            const days = previousEntries ? this.listDays(period.start, period.end) : sortedEntries.map(e => e.date);
+            const byDate = new Map(entries.map(e => [e.date, e]));
+            const dayEntries = days.map(day => byDate.get(day) || null);
+            const formatDay = day => DateUtils.formatDisplay(day, { month: 'short', day: 'numeric' });
+            
+            const dates = days.map(formatDay);
+            const pick = (list, field) => list.map(e => (e ? e[field] : null));
+            const moods = pick(dayEntries, 'mood');
+            const sleeps = pick(dayEntries, 'sleep');
+            const stresses = pick(dayEntries, 'stress');
+
+            let previous = null;
+            if (previousEntries) {
+                const previousByDate = new Map(previousEntries.map(e => [e.date, e]));
+                const previousDays = days.map(day => DateUtils.shiftDateKey(day, -period.days));
+                previous = {
+                    dates: previousDays.map(formatDay),
+                    entries: previousDays.map(day => previousByDate.get(day) || null),
+                    all: previousEntries
+                };
+            }
+            const previousSeries = field => (previous ? { dates: previous.dates, data: pick(previous.entries, field) } : null);
+            const rolling = field => Trends.rollingWindows.map(window => ({
+                window,
+                data: Trends.rollingAverage(history, days, window, field)
+            }));
+            
+            // Create three different chart types for different perspectives
+            this.createMoodChart(dates, moods, previousSeries('mood'), rolling('mood'));
+            this.createSleepChart(dates, sleeps, previousSeries('sleep'), rolling('sleep'));
+            this.createStressChart(dates, stresses, previousSeries('stress'), rolling('stress'));
+
+            // One extra series per custom metric
+            this.createMetricCharts(dates, dayEntries, previous);
+
+            // How often each activity tag was logged
+            this.createActivityChart(sortedEntries, previous ? previous.all : null);
+
+            // How sleep relates to mood and stress
+            this.createScatterCharts(sortedEntries);
+        } catch (error) {
+            ErrorHandler.logError('AnalyticsView.createCharts', error);
+        }
+    },
+
+    /**
+     * Previous-period overlay for a chart
+     * @param {Object|null} previous - {dates, data} lined up with the chart's labels
+     * @param {string} color - Line color
+     * @param {Function} [format] - Formats a value for the tooltip
+     * @returns {Array<Object>} A dashed line dataset, or none when not comparing
+     */
+    comparisonDatasets(previous, color, format = value => value) {
+        if (!previous) return [];
+        return [{
+            type: 'line',
+            label: 'Previous period',
+            data: previous.data,
+            borderColor: color,
+            backgroundColor: 'transparent',
+            borderDash: [6, 4],
+            borderWidth: 2,
+            tension: 0.4,
+            fill: false,
+            spanGaps: true,
+            pointRadius: 2,
+            pointBackgroundColor: color,
+            tooltip: {
+                callbacks: {
+                    label: context => `Previous period (${previous.dates[context.dataIndex]}): ${format(context.parsed.y)}`
+                }
+            }
+        }];
+    },
+
+    /**
+     * Rolling average lines for a chart
+     * @param {Array<{window: number, data: Array}>} [rolling] - Averages lined up with the labels
+     * @param {string} color - The chart's color (the shortest window uses it)
+     * @returns {Array<Object>} One line dataset per window
+     */
+    rollingDatasets(rolling = [], color) {
+        const theme = this.getChartTheme();
+        return rolling.map(({ window, data }, index) => ({
+            type: 'line',
+            label: `${window}-day average`,
+            data,
+            borderColor: index === 0 ? color : theme.text,
+            backgroundColor: 'transparent',
+            borderWidth: index === 0 ? 2 : 3,
+            tension: 0.3,
+            fill: false,
+            spanGaps: true,
+            pointRadius: 0,
+            pointHoverRadius: 3,
+            tooltip: {
+                callbacks: {
+                    label: context => `${window}-day average: ${context.parsed.y.toFixed(1)}`
+                }
+            }
+        }));
+    },
+
+    /**
+     * Charts for custom metrics that have data in the period
+     * Scales are drawn as lines, counts, durations and yes/no (1/0) as bars.
+     * @param {Array<string>} dates - Chart labels, oldest first
+     * @param {Array<Object|null>} dayEntries - Entry for each label (null on days without one)
+     * @param {Object|null} [previous] - {dates, entries} of the previous period, lined up with the labels
+     */
+    createMetricCharts(dates, dayEntries, previous = null) {
+        const container = document.getElementById('customMetricCharts');
+        if (!container) return;
+
+        // Destroy existing metric charts to prevent memory leaks
+        Object.keys(this.charts).filter(key => key.startsWith('metric:')).forEach(key => {
+            this.charts[key].destroy();
+            delete this.charts[key];
+        });
+        container.innerHTML = '';
+
+        const colors = ['#0ea5e9', '#f59e0b', '#10b981', '#ec4899', '#8b5cf6', '#ef4444'];
+
+        CustomMetrics.getDefinitions().forEach((definition, index) => {
+            const valuesOf = list => list.map(entry => {
+                const value = entry && entry.metrics ? entry.metrics[definition.id] : undefined;
+                return value === undefined ? null : Number(value);
+            });
+            const data = valuesOf(dayEntries);
+            if (data.every(value => value === null)) return;
+
+            const wrapper = document.createElement('div');
+            wrapper.className = 'chart-container';
+            const canvas = document.createElement('canvas');
+            wrapper.appendChild(canvas);
+            container.appendChild(wrapper);
+
+            const color = colors[index % colors.length];
+            const isScale = definition.type === 'scale';
+            const isBoolean = definition.type === 'boolean';
+            const formatValue = value => CustomMetrics.formatValue(definition, isBoolean ? value === 1 : value);
+            this.charts[`metric:${definition.id}`] = new Chart(canvas, {
+                type: isScale ? 'line' : 'bar',
+                data: {
+                    labels: dates,
+                    datasets: [{
+                        label: `${definition.icon} ${definition.name}`,
+                        data,
+                        borderColor: color,
+                        backgroundColor: isScale ? `${color}1a` : `${color}b3`,
+                        tension: 0.4,
+                        spanGaps: true,
+                        pointRadius: isScale ? 4 : 0,
+                        borderRadius: 6
+                    }, ...this.comparisonDatasets(previous && { dates: previous.dates, data: valuesOf(previous.entries) }, color, formatValue)]
+                },
+                options: this.chartOptions({
+                    plugins: {
+                        tooltip: {
+                            callbacks: {
+                                label: context => formatValue(context.parsed.y)
+                            }
+                        }
+                    },
+                    y: {
+                        beginAtZero: !isScale,
+                        suggestedMin: definition.min,
+                        suggestedMax: definition.max,
+                        ticks: isBoolean ? { stepSize: 1, callback: value => (value === 1 ? 'Yes' : value === 0 ? 'No' : '') } : {}
+                    }
+                })
+            });
+        });
+    },
+    
+    /**
+     * Bar chart of days each activity was logged, in the tag's color
+     * The tooltip adds the average mood on those days.
+     * @param {Array<Object>} entries - Entries in the period
+     * @param {Array<Object>|null} [previousEntries] - Previous period's entries, drawn as grey bars
+     */
+    createActivityChart(entries, previousEntries = null) {
+        const ctx = document.getElementById('activityChart');
+        if (!ctx) return;
+
+        // Destroy existing chart
+        if (this.charts.activity) this.charts.activity.destroy();
+
+        const stats = new Map();
+        const count = (list, key) => list.forEach(entry => {
+            (entry.activities || []).forEach(id => {
+                const stat = stats.get(id) || { days: 0, moodTotal: 0, previousDays: 0 };
+                stat[key]++;
+                if (key === 'days') stat.moodTotal += entry.mood;
+                stats.set(id, stat);
+            });
+        });
+        count(entries, 'days');
+        if (previousEntries) count(previousEntries, 'previousDays');
+        const rows = [...stats]
+            .map(([id, stat]) => ({ tag: ActivityTags.describe(id), ...stat }))
+            .sort((a, b) => b.days - a.days || b.previousDays - a.previousDays);
+
+        this.charts.activity = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: rows.map(row => ActivityTags.getLabel(row.tag.id)),
+                datasets: [{
+                    label: 'Days with Activity',
+                    data: rows.map(row => row.days),
+                    backgroundColor: rows.map(row => row.tag.color),
+                    borderRadius: 5
+                }, ...(previousEntries ? [{
+                    label: 'Previous period',
+                    data: rows.map(row => row.previousDays),
+                    backgroundColor: this.getChartTheme().muted,
+                    borderRadius: 5
+                }] : [])]
+            },
+            options: this.chartOptions({
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            afterLabel: context => {
+                                const row = rows[context.dataIndex];
+                                if (context.datasetIndex > 0 || row.days === 0) return '';
+                                return `Average mood: ${(row.moodTotal / row.days).toFixed(1)}/10`;
+                            }
+                        }
+                    }
+                },
+                y: { beginAtZero: true, ticks: { stepSize: 1 } }
+            })
+        });
+    },
+    
+    /**
+     * Line chart of daily mood
+     * @param {Array<string>} dates - Chart labels, oldest first
+     * @param {Array<number|null>} moodData - Value for each label
+     * @param {Object|null} [previous] - Previous period overlay ({dates, data}), when comparing
+     * @param {Array<Object>} [rolling] - Rolling averages from Trends ({window, data})
+     */
+    createMoodChart(dates, moodData, previous = null, rolling = []) {
+        const ctx = document.getElementById('moodChart');
+        if (!ctx) return;
+        
+        // Destroy existing chart to prevent memory leaks
+        if (this.charts.mood) this.charts.mood.destroy();
+        
+        // Create line chart showing mood trends
+        this.charts.mood = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: dates,
+                datasets: [{
+                    label: 'Daily Mood',
+                    data: moodData,
+                    borderColor: '#667eea',
+                    backgroundColor: 'rgba(102, 126, 234, 0.1)',
+                    tension: 0.4,
+                    fill: true,
+                    pointRadius: 5,
+                    pointBackgroundColor: '#667eea',
+                    pointBorderColor: '#fff',
+                    pointBorderWidth: 2,
+                    spanGaps: true
+                }, ...this.comparisonDatasets(previous, '#667eea'), ...this.rollingDatasets(rolling, '#667eea')]
+            },
+            options: this.chartOptions({ y: { beginAtZero: true, max: 10 } })
+        });
+    },
+    
+    /**
+     * Bar chart of hours slept
+     * @param {Array<string>} dates - Chart labels, oldest first
+     * @param {Array<number|null>} sleepData - Value for each label
+     * @param {Object|null} [previous] - Previous period overlay ({dates, data}), when comparing
+     * @param {Array<Object>} [rolling] - Rolling averages from Trends ({window, data})
+     */
+    createSleepChart(dates, sleepData, previous = null, rolling = []) {
+        const ctx = document.getElementById('sleepChart');
+        if (!ctx) return;
+        
+        // Destroy existing chart
+        if (this.charts.sleep) this.charts.sleep.destroy();
+        
+        // Create bar chart for sleep hours
+        this.charts.sleep = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: dates,
+                datasets: [{
+                    label: 'Hours of Sleep',
+                    data: sleepData,
+                    backgroundColor: '#48bb78',
+                    borderColor: '#48bb78',
+                    borderRadius: 5,
+                    borderWidth: 2
+                }, ...this.comparisonDatasets(previous, '#2f855a', value => `${value} hrs`), ...this.rollingDatasets(rolling, '#2f855a')]
+            },
+            options: this.chartOptions({ y: { beginAtZero: true, max: 12 } })
+        });
+    },
+    
+    /**
+     * Line chart of stress levels
+     * @param {Array<string>} dates - Chart labels, oldest first
+     * @param {Array<number|null>} stressData - Value for each label
+     * @param {Object|null} [previous] - Previous period overlay ({dates, data}), when comparing
+     * @param {Array<Object>} [rolling] - Rolling averages from Trends ({window, data})
+     */
+    createStressChart(dates, stressData, previous = null, rolling = []) {
+        const ctx = document.getElementById('stressChart');
+        if (!ctx) return;
+        
+        // Destroy existing chart
+        if (this.charts.stress) this.charts.stress.destroy();
+        
+        // Create line chart for stress trends
+        this.charts.stress = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: dates,
+                datasets: [{
+                    label: 'Stress Level',
+                    data: stressData,
+                    borderColor: '#f6ad55',
+                    backgroundColor: 'rgba(246, 173, 85, 0.1)',
+                    tension: 0.4,
+                    fill: true,
+                    pointRadius: 5,
+                    pointBackgroundColor: '#f6ad55',
+                    pointBorderColor: '#fff',
+                    pointBorderWidth: 2,
+                    spanGaps: true
+                }, ...this.comparisonDatasets(previous, '#f6ad55', value => this.stressLabels[value] || value), ...this.rollingDatasets(rolling, '#dd6b20')]
+            },
+            options: this.chartOptions({
+                y: {
+                    beginAtZero: true,
+                    max: 4,
+                    // Convert numeric stress level to label
+                    ticks: { callback: value => this.stressLabels[value] }
+                }
+            })
+        });
+    },
+    
+    /**
+     * Scatter charts of sleep vs mood and sleep vs stress
+     * A day's sleep is the night before it, so it is paired with the same day's ratings.
+     * @param {Array<Object>} entries - Entries in the period
+     */
+    createScatterCharts(entries) {
+        const formatDay = day => DateUtils.formatDisplay(day, { month: 'short', day: 'numeric' });
+
+        const moodPoints = entries.map(entry => ({ x: entry.sleep, y: entry.mood, date: entry.date }));
+        const stressPoints = entries.map(entry => ({ x: entry.sleep, y: entry.stress, date: entry.date }));
+
+        this.createScatterChart('sleepMoodScatter', {
+            title: 'Sleep vs Mood',
+            points: moodPoints,
+            color: '#667eea',
+            y: { title: { text: 'Mood' }, min: 0, max: 10 },
+            describe: point => `${formatDay(point.date)}: ${point.x} hrs sleep the night before, mood ${point.y}/10`
+        });
+        this.createScatterChart('sleepStressScatter', {
+            title: 'Sleep vs Stress',
+            points: stressPoints,
+            color: '#f6ad55',
+            y: {
+                title: { text: 'Stress' },
+                min: 0.5,
+                max: 4.5,
+                ticks: { stepSize: 1, callback: value => this.stressLabels[value] || '' }
+            },
+            describe: point => `${formatDay(point.date)}: ${point.x} hrs sleep the night before, stress ${point.y}/4`
+        });
+    },
+
+    /**
+     * One scatter chart with a least-squares trendline and its correlation in the title
+     * Clicking a point opens that day in History.
+     * @param {string} canvasId - Canvas element ID (also the key in this.charts)
+     * @param {Object} config - {title, points: [{x, y, date}], color, y (axis options), describe(point)}
+     */
+    createScatterChart(canvasId, { title, points, color, y, describe }) {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) return;
+
+        // Destroy existing chart
+        if (this.charts[canvasId]) this.charts[canvasId].destroy();
+
+        const theme = this.getChartTheme();
+        const fit = Insights.leastSquares(points);
+        const r = Insights.correlation(points);
+        const xs = points.map(point => point.x);
+        const trend = fit ? [Math.min(...xs), Math.max(...xs)].map(x => ({ x, y: fit.intercept + fit.slope * x })) : [];
+        const days = `${points.length} day${points.length === 1 ? '' : 's'}`;
+        const summary = r === null
+            ? `Not enough days for a trend yet (${days})`
+            : `r = ${r.toFixed(2)}, ${Insights.describeCorrelation(r)} (${days})`;
+
+        this.charts[canvasId] = new Chart(ctx, {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: 'Days',
+                    data: points,
+                    backgroundColor: `${color}99`,
+                    borderColor: color,
+                    pointRadius: 5,
+                    pointHoverRadius: 7
+                }, ...(fit ? [{
+                    type: 'line',
+                    label: 'Trend',
+                    data: trend,
+                    borderColor: theme.muted,
+                    borderDash: [6, 4],
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    pointHoverRadius: 0,
+                    fill: false
+                }] : [])]
+            },
+            options: this.chartOptions({
+                plugins: {
+                    title: { display: true, text: [title, summary], color: theme.text },
+                    tooltip: {
+                        // Only the days have tooltips, not the trendline
+                        filter: item => item.datasetIndex === 0,
+                        callbacks: {
+                            label: context => describe(context.raw),
+                            footer: () => 'Click to open this day in History'
+                        }
+                    }
+                },
+                x: { type: 'linear', title: { text: 'Hours of sleep' }, suggestedMin: 4, suggestedMax: 10 },
+                y,
+                onClick: (event, elements) => {
+                    const hit = elements.find(element => element.datasetIndex === 0);
+                    if (hit) Router.navigate('history', [points[hit.index].date]);
+                },
+                onHover: (event, elements) => {
+                    if (!event.native) return;
+                    event.native.target.style.cursor = elements.some(element => element.datasetIndex === 0) ? 'pointer' : 'default';
+                }
+            })
+        });
+    },
+    
+    displayWeeklySummary(entries) {
+        try {
+            // Group entries by day of week
+            const summary = {};
+            
+            entries.forEach(entry => {
+                const dayName = DateUtils.formatDisplay(entry.date, { weekday: 'short' });
+                
+                if (!summary[dayName]) {
+                    summary[dayName] = { moods: [], sleeps: [], stresses: [], count: 0 };
+                }
+                
+                summary[dayName].moods.push(entry.mood);
+                summary[dayName].sleeps.push(entry.sleep);
+                summary[dayName].stresses.push(entry.stress);
+                summary[dayName].count++;
+            });
+            
+            // Display organized by day order
+            const daysOrder = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+            const weeklySummaryContent = document.getElementById('weeklySummaryContent');
+            if (!weeklySummaryContent) return;
+            
+            weeklySummaryContent.innerHTML = '';
+            
+            daysOrder.forEach(day => {
+                if (summary[day]) {
+                    const avgMood = (summary[day].moods.reduce((a, b) => a + b, 0) / summary[day].moods.length).toFixed(1);
+                    const moodEmoji = HistoryView.getMoodEmoji(avgMood);
+                    
+                    const weeklyDay = document.createElement('div');
+                    weeklyDay.className = 'weekly-day';
+                    Dom.append(weeklyDay, [
+                        Dom.el('div', { className: 'weekly-day-name', text: day }),
+                        Dom.el('div', { className: 'weekly-day-emoji', text: moodEmoji }),
+                        Dom.el('div', { className: 'weekly-day-value', text: `${avgMood}/10` })
+                    ]);
+                    weeklySummaryContent.appendChild(weeklyDay);
+                }
+            });
+        } catch (error) {
+            ErrorHandler.logError('AnalyticsView.displayWeeklySummary', error);
+        }
+    },
+    
+    /**
+     * Average mood and stress for each part of the day, across every check-in
+     * @param {Array} entries - Array of wellness entries
+     */
+    displayTimeOfDay(entries) {
+        try {
+            const content = document.getElementById('timeOfDayContent');
+            if (!content) return;
+            content.innerHTML = '';
+
+            DailyCheckIns.summarizeByPeriod(entries).forEach(({ period, count, mood, stress }) => {
+                const card = document.createElement('div');
+                card.className = 'weekly-day time-of-day-card';
+                const name = Dom.el('div', { className: 'weekly-day-name', text: `${period.icon} ${period.label}` });
+                Dom.append(card, count > 0 ? [
+                    name,
+                    Dom.el('div', { className: 'weekly-day-emoji', text: HistoryView.getMoodEmoji(mood) }),
+                    Dom.el('div', { className: 'weekly-day-value', text: `Mood ${mood.toFixed(1)}/10` }),
+                    Dom.el('div', { className: 'weekly-day-value', text: `Stress ${stress.toFixed(1)}/4` }),
+                    Dom.el('div', { className: 'weekly-day-note', text: `${count} check-in${count === 1 ? '' : 's'}` })
+                ] : [
+                    name,
+                    Dom.el('div', { className: 'weekly-day-note', text: 'No check-ins yet' })
+                ]);
+                content.appendChild(card);
+            });
+        } catch (error) {
+            ErrorHandler.logError('AnalyticsView.displayTimeOfDay', error);
+        }
+    },
+
+    /**
+     * "What seems to help": activities ranked by the mood on their days
+     * (or the day after) compared with days without them
+     * @param {Array} entries - Entries in the range
+     */
+    displayInsights(entries) {
+        try {
+            const list = document.getElementById('insightsList');
+            const empty = document.getElementById('insightsEmpty');
+            if (!list) return;
+
+            const helpful = Insights.getHelpful(entries);
+            const signed = (value, unit = '') => `${value > 0 ? '+' : value < 0 ? '−' : '±'}${Math.abs(value).toFixed(1)}${unit}`;
+
+            Dom.replace(list, helpful.map(result => {
+                const { sameDay, nextDay, best } = result;
+                const headline = best === sameDay.mood
+                    ? `Mood ${best.with.toFixed(1)} on days with it vs ${best.without.toFixed(1)} without (${signed(best.difference)})`
+                    : `Mood ${best.with.toFixed(1)} the day after vs ${best.without.toFixed(1)} (${signed(best.difference)})`;
+
+                const details = [
+                    `Stress ${signed(sameDay.stress.difference)}`,
+                    `Sleep ${signed(sameDay.sleep.difference, ' hrs')}`
+                ];
+                if (best === sameDay.mood && nextDay.mood.confidence !== 'insufficient') {
+                    details.push(`Next day: mood ${signed(nextDay.mood.difference)}`);
+                }
+                details.push(`${best.withCount} day${best.withCount === 1 ? '' : 's'} with, ${best.withoutCount} without`);
+
+                const confidence = Insights.confidenceLevels[best.confidence];
+                return Dom.el('li', { className: 'insight-item' }, [
+                    Dom.el('div', { className: 'insight-header' }, [
+                        ActivityTags.createChip(result.tagId),
+                        Dom.el('span', {
+                            className: `insight-confidence confidence-${best.confidence}`,
+                            text: `${confidence.label} confidence`,
+                            title: 'Based on how many days there are and how consistent the difference is'
+                        })
+                    ]),
+                    Dom.el('div', { className: 'weekly-day-value', text: headline }),
+                    Dom.el('div', { className: 'weekly-day-note', text: details.join(' · ') })
+                ]);
+            }));
+
+            if (empty) {
+                const anyActivities = entries.some(entry => entry.activities && entry.activities.length > 0);
+                empty.textContent = anyActivities
+                    ? `No activity stands out yet. Each one needs at least ${Insights.minDays} days with it and ${Insights.minDays} without in this range.`
+                    : 'Log activities with your check-ins to see which ones go with a better mood.';
+                empty.classList.toggle('hidden', helpful.length > 0);
+            }
+        } catch (error) {
+            ErrorHandler.logError('AnalyticsView.displayInsights', error);
+        }
+    },
+
+    /**
+     * Download entries as CSV
+     * @param {Array} entries - Entries to export (the range on screen)
+     * @param {Object|null} [period] - Their dates, used in the file name
+     */
+    exportCSV(entries, period = null) {
+        try {
+            if (!entries || entries.length === 0) {
+                ErrorHandler.showWarning('There are no check-ins in this range to export.');
+                return;
+            }
+
+            // Custom metrics follow the standard columns, one column each
+            const definitions = CustomMetrics.getDefinitions();
+            let csv = [
+                CSVImporter.exportHeader,
+                ...definitions.map(definition => ValidationHelper.sanitizeCSVField(definition.name))
+            ].join(',') + '\n';
+            
+            // ISO dates and plain-text notes so CSVImporter can read the file back
+            entries.forEach(entry => {
+                const date = entry.date;
+                // Tag names rather than IDs; import maps them back
+                const activities = entry.activities ? entry.activities.map(id => ActivityTags.describe(id).name).join('; ') : '';
+                const notes = ValidationHelper.unescapeHTML(entry.journal || '');
+                const metricValues = definitions.map(definition => {
+                    const value = entry.metrics ? entry.metrics[definition.id] : undefined;
+                    if (value === undefined) return '';
+                    return typeof value === 'boolean' ? (value ? 'yes' : 'no') : value.toString();
+                });
+                
+                // Use sanitization to prevent CSV injection
+                csv += [
+                    ValidationHelper.sanitizeCSVField(date),
+                    ValidationHelper.sanitizeCSVField(entry.mood.toString()),
+                    ValidationHelper.sanitizeCSVField(entry.sleep.toString()),
+                    ValidationHelper.sanitizeCSVField(entry.stress.toString()),
+                    ValidationHelper.sanitizeCSVField(activities),
+                    ValidationHelper.sanitizeCSVField(notes),
+                    ...metricValues.map(value => ValidationHelper.sanitizeCSVField(value))
+                ].join(',') + '\n';
+            });
+            
+            // Create blob and download
+            const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+            const link = document.createElement('a');
+            const url = URL.createObjectURL(blob);
+            
+            link.setAttribute('href', url);
+            const fileDates = period ? `${period.start}-to-${period.end}` : DateUtils.today();
+            link.setAttribute('download', `wellness-data-${fileDates}.csv`);
+            link.style.visibility = 'hidden';
+            
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            
+            ErrorHandler.showSuccess('Data exported successfully as CSV!');
+        } catch (error) {
+            ErrorHandler.logError('AnalyticsView.exportCSV', error);
+            ErrorHandler.showError(
+                'Export Error',
+                'Could not export data. Please try again.'
+            );
+        }
+    },
+    
+    exportPDF(entries) {
+        try {
+            const range = this.period ? ` The report covers ${this.formatPeriod(this.period)} (${entries.length} days with check-ins).` : '';
+            ErrorHandler.showInfo(
+                'PDF Export: Please save this page as PDF using your browser ' +
+                '(Ctrl+P or Cmd+P on Mac) to create a comprehensive report of your wellness data.' + range
+            );
+        } catch (error) {
+            ErrorHandler.logError('AnalyticsView.exportPDF', error);
+        }
+    }
+};
+
+// Helper function to convert mood value to emoji
+/**
+ * Maps numeric mood value to corresponding emoji
+ * 1-2: 😢 (Very sad)
+ * 3-4: 😟 (Sad)
+ * 5-6: 😐 (Neutral)
+ * 7-8: 🙂 (Happy)
+ * 9-10: 😊 (Very happy)
+ * @param {number} moodValue - Mood value (1-10)
+ * @returns {string} Corresponding mood emoji
+ */
+HistoryView.getMoodEmoji = function(moodValue) {
+    if (moodValue <= 2) return '😢';
+    if (moodValue <= 4) return '😟';
+    if (moodValue <= 6) return '😐';
+    if (moodValue <= 8) return '🙂';
+    return '😊';
+};
+
+// Settings View - Profile preferences
+const SettingsView = {
+    // Used when the browser can't list its supported time zones
+    fallbackTimeZones: [
+        'UTC', 'America/Los_Angeles', 'America/Denver', 'America/Chicago', 'America/New_York',
+        'America/Sao_Paulo', 'Europe/London', 'Europe/Berlin', 'Africa/Johannesburg',
+        'Asia/Kolkata', 'Asia/Shanghai', 'Asia/Tokyo', 'Australia/Sydney', 'Pacific/Auckland'
+    ],
+
+    /**
+     * Sets up settings controls
+     */
+    init() {
+        const timeZoneSelect = document.getElementById('timeZoneSelect');
+        if (timeZoneSelect) {
+            timeZoneSelect.addEventListener('change', () => this.handleTimeZoneChange(timeZoneSelect.value));
+        }
+    },
+
+    /**
+     * Fills settings controls from the current profile
+     */
+    loadSettings() {
+        try {
+            this.renderTimeZoneOptions();
+            ActivityTags.renderSettings();
+            CustomMetrics.renderSettings();
+            ReminderManager.renderSettings();
+            BackupManager.updateStatus();
+        } catch (error) {
+            ErrorHandler.logError('SettingsView.loadSettings', error);
+        }
+    },
+
+    /**
+     * Lists time zones, with the device default first
+     */
+    renderTimeZoneOptions() {
+        const timeZoneSelect = document.getElementById('timeZoneSelect');
+        if (!timeZoneSelect) return;
+
+        const deviceZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const zones = typeof Intl.supportedValuesOf === 'function'
+            ? Intl.supportedValuesOf('timeZone')
+            : this.fallbackTimeZones;
+        const selected = DateUtils.getTimeZone();
+
+        timeZoneSelect.innerHTML = '';
+        const deviceOption = document.createElement('option');
+        deviceOption.value = '';
+        deviceOption.textContent = `Device default (${deviceZone})`;
+        timeZoneSelect.appendChild(deviceOption);
+
+        // Keep a saved zone selectable even if this browser doesn't list it
+        const options = selected && !zones.includes(selected) ? [selected, ...zones] : zones;
+        options.forEach(zone => {
+            const option = document.createElement('option');
+            option.value = zone;
+            option.textContent = zone.replace(/_/g, ' ');
+            timeZoneSelect.appendChild(option);
+        });
+        timeZoneSelect.value = selected || '';
+
+        this.updateTimeZoneHint();
+    },
+
+    /**
+     * Shows which day check-ins are currently saved under
+     */
+    updateTimeZoneHint() {
+        const hint = document.getElementById('timeZoneHint');
+        if (hint) {
+            hint.textContent = `Check-ins are saved under ${DateUtils.formatDisplay(DateUtils.today(), { weekday: 'long', month: 'long', day: 'numeric' })}. Past entries keep their dates.`;
+        }
+    },
+
+    /**
+     * Saves the profile time zone and refreshes anything that depends on "today"
+     * @param {string} timeZone - IANA time zone, or '' for the device default
+     */
+    async handleTimeZoneChange(timeZone) {
+        try {
+            if (timeZone && !DateUtils.isValidTimeZone(timeZone)) {
+                ErrorHandler.showError('Invalid Time Zone', 'Please pick a time zone from the list.');
+                return;
+            }
+
+            AuthManager.updateProfile({ timeZone: timeZone || null });
+            this.updateTimeZoneHint();
+
+            UIManager.updateDateDisplay();
+            HistoryView.currentDate = DateUtils.parseDateKey(DateUtils.today());
+            await UIManager.updateStreak();
+            await CheckInView.loadTodayData();
+        } catch (error) {
+            ErrorHandler.logError('SettingsView.handleTimeZoneChange', error);
+            ErrorHandler.showError('Settings Error', 'Could not save your time zone.');
+        }
+    }
+};
+
+// Custom Metrics - User-defined fields on the check-in form
+/**
+ * Definitions are stored per user in localStorage. Each check-in saves its
+ * values as metrics: {metricId: value}, and the day's entry.metrics combines
+ * them (see aggregate). Deleting a metric keeps the values already saved.
+ */
+const CustomMetrics = {
+    storageKeyPrefix: 'wellnessTrackerMetrics_',
+    maxMetrics: 12,
+
+    // Metric being edited in Settings (null = adding a new one)
+    editingId: null,
+    // Values of metrics no longer defined, kept while a check-in is edited
+    hiddenValues: {},
+
+    // aggregate: how a day with several check-ins combines their values
+    types: {
+        scale: { label: 'Numeric scale', icon: '📊', min: 1, max: 10, step: 1, aggregate: 'average' },
+        boolean: { label: 'Yes / No', icon: '✅', min: 0, max: 1, aggregate: 'any' },
+        count: { label: 'Count', icon: '🔢', min: 0, max: 20, step: 1, aggregate: 'sum' },
+        duration: { label: 'Duration (minutes)', icon: '⏱️', min: 0, max: 600, step: 5, aggregate: 'sum', unit: 'min' }
+    },
+
+    /**
+     * Sets up the metric editor in Settings
+     */
+    init() {
+        const typeSelect = document.getElementById('metricType');
+        if (typeSelect) {
+            typeSelect.innerHTML = '';
+            Object.entries(this.types).forEach(([type, info]) => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = info.label;
+                typeSelect.appendChild(option);
+            });
+            typeSelect.addEventListener('change', () => this.applyTypeDefaults());
+            this.applyTypeDefaults();
+        }
+
+        const saveBtn = document.getElementById('saveMetricBtn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.handleSave());
+        }
+
+        const cancelBtn = document.getElementById('cancelMetricBtn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.cancelEdit());
+        }
+    },
+
+    /**
+     * Metric definitions for the current user, in the order they were added
+     * @returns {Array<Object>} Definitions {id, name, type, min, max, icon}
+     */
+    getDefinitions() {
+        const key = SyncManager.getUserKey(this.storageKeyPrefix);
+        try {
+            const data = key ? localStorage.getItem(key) : null;
+            const definitions = data ? JSON.parse(data) : [];
+            return Array.isArray(definitions) ? definitions.filter(definition => {
+                try {
+                    ValidationHelper.validateMetricDefinition(definition);
+                    return true;
+                } catch (error) {
+                    ErrorHandler.logError('CustomMetrics.getDefinitions', error);
+                    return false;
                 }
-                
-                // Populate sleep
-                const sleepInput = document.getElementById('sleepHours');
-                if (sleepInput && entry.sleep) {
-                    sleepInput.value = entry.sleep;
+            }) : [];
+        } catch (error) {
+            ErrorHandler.logError('CustomMetrics.getDefinitions', error);
+            return [];
+        }
+    },
+
+    saveDefinitions(definitions) {
+        const key = SyncManager.getUserKey(this.storageKeyPrefix);
+        if (!key) {
+            throw new Error('User not authenticated. Please login first.');
+        }
+        localStorage.setItem(key, JSON.stringify(definitions));
+    },
+
+    getDefinition(id) {
+        return this.getDefinitions().find(definition => definition.id === id) || null;
+    },
+
+    createId() {
+        return `m-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    },
+
+    /**
+     * Build and validate a definition from editor input
+     * @param {Object} input - {name, type, min, max, icon}
+     * @param {string} id - Metric ID
+     * @returns {Object} Definition
+     * @throws {Error} With a user-facing message if the input is invalid
+     */
+    buildDefinition(input, id) {
+        const info = this.types[input.type];
+        if (!info) {
+            throw new Error('Please choose a metric type.');
+        }
+        const isBoolean = input.type === 'boolean';
+        const definition = {
+            id,
+            name: String(input.name || '').trim(),
+            type: input.type,
+            min: isBoolean ? 0 : Number(input.min),
+            max: isBoolean ? 1 : Number(input.max),
+            icon: String(input.icon || '').trim() || info.icon
+        };
+        ValidationHelper.validateMetricDefinition(definition);
+        if (info.step === 1 && (!Number.isInteger(definition.min) || !Number.isInteger(definition.max))) {
+            throw new Error(`${info.label} ranges must be whole numbers.`);
+        }
+        if (definition.min < 0 && input.type !== 'scale') {
+            throw new Error(`${info.label} can't go below zero.`);
+        }
+        return definition;
+    },
+
+    /**
+     * Add a metric, or update the one with the given ID
+     * @param {Object} input - {name, type, min, max, icon}
+     * @param {string|null} [id=null] - Metric to update
+     * @returns {Object} Saved definition
+     * @throws {Error} With a user-facing message if the metric can't be saved
+     */
+    saveMetric(input, id = null) {
+        const definitions = this.getDefinitions();
+        const definition = this.buildDefinition(input, id || this.createId());
+
+        const duplicate = definitions.find(d => d.id !== definition.id && d.name.toLowerCase() === definition.name.toLowerCase());
+        if (duplicate) {
+            throw new Error(`You already have a metric called "${duplicate.name}".`);
+        }
+
+        if (id) {
+            const index = definitions.findIndex(d => d.id === id);
+            if (index < 0) {
+                throw new Error('This metric no longer exists.');
+            }
+            definitions[index] = definition;
+        } else {
+            if (definitions.length >= this.maxMetrics) {
+                throw new Error(`You can define up to ${this.maxMetrics} metrics.`);
+            }
+            definitions.push(definition);
+        }
+        this.saveDefinitions(definitions);
+        return definition;
+    },
+
+    removeMetric(id) {
+        this.saveDefinitions(this.getDefinitions().filter(definition => definition.id !== id));
+    },
+
+    /**
+     * Combine one metric's values from a day's check-ins
+     * Scales are averaged, counts and durations added up, yes/no is yes if any check-in said yes.
+     * @param {string} id - Metric ID
+     * @param {Array<number|boolean>} values - Values, one per check-in
+     * @returns {number|boolean} Day value
+     */
+    aggregate(id, values) {
+        const definition = this.getDefinition(id);
+        const rule = definition
+            ? this.types[definition.type].aggregate
+            : (values.every(value => typeof value === 'boolean') ? 'any' : 'average');
+
+        if (rule === 'any') return values.some(Boolean);
+        const total = values.reduce((sum, value) => sum + Number(value), 0);
+        if (rule === 'sum') return total;
+        return Math.round((total / values.length) * 10) / 10;
+    },
+
+    /**
+     * Validate a day value (after aggregate), e.g. from a CSV import
+     * Sums may exceed the per-check-in maximum and averages may be fractional.
+     * @param {Object} definition - Metric definition
+     * @param {number|boolean} value - Day value
+     * @returns {boolean} True if valid
+     */
+    isValidDayValue(definition, value) {
+        const rule = this.types[definition.type] && this.types[definition.type].aggregate;
+        if (rule === 'sum') {
+            return ValidationHelper.isValidMetricValue({ ...definition, max: Infinity }, value);
+        }
+        if (rule === 'average') {
+            return typeof value === 'number' && value >= definition.min && value <= definition.max;
+        }
+        return ValidationHelper.isValidMetricValue(definition, value);
+    },
+
+    /**
+     * Human-readable value (e.g. 'Yes', '45 min')
+     * @param {Object} definition - Metric definition
+     * @param {number|boolean} value - Value
+     * @returns {string} Display text
+     */
+    formatValue(definition, value) {
+        if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+        const unit = this.types[definition.type] && this.types[definition.type].unit;
+        return unit ? `${value} ${unit}` : String(value);
+    },
+
+    /**
+     * One-line summary of saved values for metrics that are still defined
+     * @param {Object} [metrics] - Values by metric ID
+     * @returns {string} e.g. '💧 Water: 6 · ⚡ Energy: 7', or '' if none
+     */
+    describe(metrics) {
+        if (!metrics) return '';
+        return this.getDefinitions()
+            .filter(definition => metrics[definition.id] !== undefined)
+            .map(definition => `${definition.icon} ${definition.name}: ${this.formatValue(definition, metrics[definition.id])}`)
+            .join(' · ');
+    },
+
+    /**
+     * Read a value from text (CSV); yes/no words for yes/no metrics
+     * @param {Object} definition - Metric definition
+     * @param {string} text - Raw text
+     * @returns {number|boolean|null} Value, or null if unreadable
+     */
+    parseValue(definition, text) {
+        const value = text.trim().toLowerCase();
+        if (definition.type === 'boolean') {
+            if (['yes', 'y', 'true', '1'].includes(value)) return true;
+            if (['no', 'n', 'false', '0'].includes(value)) return false;
+            return null;
+        }
+        const number = Number(value);
+        return value && !isNaN(number) ? number : null;
+    },
+
+    /**
+     * Lists the metrics on the check-in form
+     */
+    renderFields() {
+        const section = document.getElementById('customMetricsSection');
+        const container = document.getElementById('customMetricsFields');
+        if (!section || !container) return;
+
+        const definitions = this.getDefinitions();
+        container.innerHTML = '';
+        section.classList.toggle('hidden', definitions.length === 0);
+
+        definitions.forEach(definition => {
+            const info = this.types[definition.type];
+            const group = document.createElement('div');
+            group.className = 'form-group custom-metric';
+
+            const label = document.createElement('label');
+            const inputId = `metricInput_${definition.id}`;
+            label.setAttribute('for', inputId);
+            label.textContent = definition.type === 'boolean'
+                ? `${definition.icon} ${definition.name}`
+                : `${definition.icon} ${definition.name} (${definition.min}-${definition.max}${info.unit ? ` ${info.unit}` : ''})`;
+
+            let input;
+            if (definition.type === 'boolean') {
+                input = document.createElement('select');
+                [['', '—'], ['yes', 'Yes'], ['no', 'No']].forEach(([value, text]) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = text;
+                    input.appendChild(option);
+                });
+            } else {
+                input = document.createElement('input');
+                input.type = 'number';
+                input.min = definition.min;
+                input.max = definition.max;
+                input.step = info.step || 'any';
+                input.placeholder = 'Optional';
+            }
+            input.id = inputId;
+            input.dataset.metricId = definition.id;
+
+            group.appendChild(label);
+            group.appendChild(input);
+            container.appendChild(group);
+        });
+    },
+
+    /**
+     * Reads and validates the metric fields
+     * @returns {Object} Values by metric ID (blank fields are left out)
+     * @throws {Error} With a user-facing message if a value is out of range
+     */
+    readFields() {
+        const metrics = { ...this.hiddenValues };
+        this.getDefinitions().forEach(definition => {
+            const input = document.getElementById(`metricInput_${definition.id}`);
+            const text = input ? input.value.trim() : '';
+            if (!text) return;
+
+            const value = definition.type === 'boolean' ? text === 'yes' : Number(text);
+            if (!ValidationHelper.isValidMetricValue(definition, value)) {
+                const whole = this.types[definition.type].step === 1 ? 'a whole number ' : '';
+                throw new Error(`${definition.name} must be ${whole}between ${definition.min} and ${definition.max}.`);
+            }
+            metrics[definition.id] = value;
+        });
+        return metrics;
+    },
+
+    /**
+     * Shows saved values in the metric fields
+     * @param {Object} [metrics] - Values by metric ID
+     */
+    fillFields(metrics) {
+        this.resetFields();
+        Object.entries(metrics || {}).forEach(([id, value]) => {
+            const input = document.getElementById(`metricInput_${id}`);
+            if (!input) {
+                this.hiddenValues[id] = value;
+            } else if (typeof value === 'boolean') {
+                input.value = value ? 'yes' : 'no';
+            } else {
+                input.value = value;
+            }
+        });
+    },
+
+    resetFields() {
+        this.hiddenValues = {};
+        document.querySelectorAll('#customMetricsFields [data-metric-id]').forEach(input => {
+            input.value = '';
+        });
+    },
+
+    /**
+     * Lists the metrics in Settings with Edit / Delete buttons
+     */
+    renderSettings() {
+        const list = document.getElementById('metricList');
+        if (!list) return;
+
+        const definitions = this.getDefinitions();
+        list.innerHTML = '';
+        if (definitions.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'settings-hint';
+            empty.textContent = 'No custom metrics yet.';
+            list.appendChild(empty);
+            return;
+        }
+
+        definitions.forEach(definition => {
+            const item = document.createElement('li');
+            item.className = 'metric-item';
+
+            const text = document.createElement('span');
+            const info = this.types[definition.type];
+            text.textContent = definition.type === 'boolean'
+                ? `${definition.icon} ${definition.name} - ${info.label}`
+                : `${definition.icon} ${definition.name} - ${info.label}, ${definition.min} to ${definition.max}`;
+            item.appendChild(text);
+
+            const edit = document.createElement('button');
+            edit.className = 'btn-secondary';
+            edit.textContent = 'Edit';
+            edit.addEventListener('click', () => this.startEdit(definition.id));
+            item.appendChild(edit);
+
+            const remove = document.createElement('button');
+            remove.className = 'btn-secondary btn-danger';
+            remove.textContent = 'Delete';
+            remove.addEventListener('click', () => this.handleRemove(definition.id));
+            item.appendChild(remove);
+
+            list.appendChild(item);
+        });
+    },
+
+    /**
+     * Fill range and icon with the chosen type's defaults
+     */
+    applyTypeDefaults() {
+        const type = (document.getElementById('metricType') || {}).value;
+        const info = this.types[type];
+        if (!info) return;
+
+        const minInput = document.getElementById('metricMin');
+        const maxInput = document.getElementById('metricMax');
+        const iconInput = document.getElementById('metricIcon');
+        if (minInput) {
+            minInput.value = info.min;
+            minInput.disabled = type === 'boolean';
+        }
+        if (maxInput) {
+            maxInput.value = info.max;
+            maxInput.disabled = type === 'boolean';
+        }
+        // Replace the icon only if it is still another type's default
+        const defaultIcons = Object.values(this.types).map(t => t.icon);
+        if (iconInput && (!iconInput.value || defaultIcons.includes(iconInput.value))) {
+            iconInput.value = info.icon;
+        }
+    },
+
+    startEdit(id) {
+        const definition = this.getDefinition(id);
+        if (!definition) return;
+
+        this.editingId = id;
+        document.getElementById('metricName').value = definition.name;
+        document.getElementById('metricType').value = definition.type;
+        this.applyTypeDefaults();
+        document.getElementById('metricMin').value = definition.min;
+        document.getElementById('metricMax').value = definition.max;
+        document.getElementById('metricIcon').value = definition.icon;
+        document.getElementById('saveMetricBtn').textContent = 'Save Metric';
+        document.getElementById('cancelMetricBtn').classList.remove('hidden');
+    },
+
+    cancelEdit() {
+        this.editingId = null;
+        document.getElementById('metricName').value = '';
+        document.getElementById('metricIcon').value = '';
+        this.applyTypeDefaults();
+        document.getElementById('saveMetricBtn').textContent = 'Add Metric';
+        document.getElementById('cancelMetricBtn').classList.add('hidden');
+    },
+
+    handleSave() {
+        try {
+            const value = id => (document.getElementById(id) || {}).value || '';
+            const definition = this.saveMetric({
+                name: value('metricName'),
+                type: value('metricType'),
+                min: value('metricMin'),
+                max: value('metricMax'),
+                icon: value('metricIcon')
+            }, this.editingId);
+
+            this.cancelEdit();
+            this.refresh();
+            ErrorHandler.showSuccess(`"${definition.name}" is on your check-in form.`);
+        } catch (error) {
+            ErrorHandler.logError('CustomMetrics.handleSave', error);
+            ErrorHandler.showError('Metric Error', error.message);
+        }
+    },
+
+    handleRemove(id) {
+        const definition = this.getDefinition(id);
+        if (!definition) return;
+        if (!confirm(`Remove "${definition.name}" from your check-in form? Values you already saved are kept.`)) return;
+
+        try {
+            this.removeMetric(id);
+            if (this.editingId === id) this.cancelEdit();
+            this.refresh();
+        } catch (error) {
+            ErrorHandler.logError('CustomMetrics.handleRemove', error);
+            ErrorHandler.showError('Metric Error', 'Could not remove this metric.');
+        }
+    },
+
+    /**
+     * Re-render everything that lists the metrics
+     */
+    refresh() {
+        this.renderSettings();
+        this.renderFields();
+        const analyticsView = document.getElementById('analytics');
+        if (analyticsView && analyticsView.classList.contains('active')) {
+            AnalyticsView.loadAnalytics();
+        }
+    }
+};
+
+// Activity Tags - User-managed activities on the check-in form
+/**
+ * Entries store tag IDs in entry.activities, so renaming a tag keeps past
+ * entries pointing at it. The built-in tags keep their old values
+ * ('exercise', 'meditation', ...) as IDs. Tags are archived rather than
+ * deleted: they leave the check-in form but still label older entries.
+ * Activities with no tag (e.g. imported words) are shown as written.
+ */
+const ActivityTags = {
+    storageKeyPrefix: 'wellnessTrackerTags_',
+    maxTags: 60,
+    fallbackColor: '#6366f1',
+    otherGroup: 'Other',
+
+    // Tag being edited in Settings (null = adding a new one)
+    editingId: null,
+
+    defaultTags: [
+        { id: 'exercise', name: 'Exercise', icon: '💪', color: '#22c55e', group: 'Body', archived: false },
+        { id: 'rest', name: 'Rest', icon: '🛌', color: '#14b8a6', group: 'Body', archived: false },
+        { id: 'meditation', name: 'Meditation', icon: '🧘', color: '#a855f7', group: 'Mind', archived: false },
+        { id: 'socializing', name: 'Socializing', icon: '👥', color: '#f97316', group: 'Social', archived: false },
+        { id: 'study', name: 'Study', icon: '📚', color: '#3b82f6', group: 'Work & Study', archived: false },
+        { id: 'hobby', name: 'Hobby', icon: '🎨', color: '#ec4899', group: 'Leisure', archived: false }
+    ],
+
+    /**
+     * Sets up the tag editor in Settings
+     */
+    init() {
+        const saveBtn = document.getElementById('saveTagBtn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.handleSave());
+        }
+
+        const cancelBtn = document.getElementById('cancelTagBtn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.cancelEdit());
+        }
+    },
+
+    /**
+     * Tags for the current user (the built-in set until they change it)
+     * @param {boolean} [includeArchived=false] - Include archived tags
+     * @returns {Array<Object>} Tags {id, name, icon, color, group, archived}
+     */
+    getTags(includeArchived = false) {
+        const key = SyncManager.getUserKey(this.storageKeyPrefix);
+        let tags = this.defaultTags;
+        try {
+            const data = key ? localStorage.getItem(key) : null;
+            const stored = data ? JSON.parse(data) : null;
+            if (Array.isArray(stored)) {
+                tags = stored.filter(tag => {
+                    try {
+                        ValidationHelper.validateActivityTag(tag);
+                        return true;
+                    } catch (error) {
+                        ErrorHandler.logError('ActivityTags.getTags', error);
+                        return false;
+                    }
+                });
+            }
+        } catch (error) {
+            ErrorHandler.logError('ActivityTags.getTags', error);
+        }
+        return tags
+            .filter(tag => includeArchived || !tag.archived)
+            .map(tag => ({ ...tag }));
+    },
+
+    saveTags(tags) {
+        const key = SyncManager.getUserKey(this.storageKeyPrefix);
+        if (!key) {
+            throw new Error('User not authenticated. Please login first.');
+        }
+        localStorage.setItem(key, JSON.stringify(tags));
+    },
+
+    getTag(id) {
+        return this.getTags(true).find(tag => tag.id === id) || null;
+    },
+
+    createId() {
+        return `t-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    },
+
+    /**
+     * Add a tag, or update the one with the given ID
+     * @param {Object} input - {name, icon, color, group}
+     * @param {string|null} [id=null] - Tag to update
+     * @returns {Object} Saved tag
+     * @throws {Error} With a user-facing message if the tag can't be saved
+     */
+    saveTag(input, id = null) {
+        const tags = this.getTags(true);
+        const existing = id ? tags.find(tag => tag.id === id) : null;
+        if (id && !existing) {
+            throw new Error('This tag no longer exists.');
+        }
+
+        const tag = {
+            id: id || this.createId(),
+            name: String(input.name || '').trim(),
+            icon: String(input.icon || '').trim(),
+            color: String(input.color || this.fallbackColor).toLowerCase(),
+            group: String(input.group || '').trim(),
+            archived: existing ? existing.archived : false
+        };
+        ValidationHelper.validateActivityTag(tag);
+
+        const duplicate = tags.find(t => t.id !== tag.id && t.name.toLowerCase() === tag.name.toLowerCase());
+        if (duplicate) {
+            throw new Error(`You already have a tag called "${duplicate.name}"${duplicate.archived ? ' (archived)' : ''}.`);
+        }
+
+        if (existing) {
+            tags[tags.indexOf(existing)] = tag;
+        } else {
+            if (tags.length >= this.maxTags) {
+                throw new Error(`You can have up to ${this.maxTags} tags. Archived tags count too.`);
+            }
+            tags.push(tag);
+        }
+        this.saveTags(tags);
+        return tag;
+    },
+
+    /**
+     * Archive or restore a tag
+     * @param {string} id - Tag ID
+     * @param {boolean} archived - True to hide it from the check-in form
+     */
+    setArchived(id, archived) {
+        const tags = this.getTags(true);
+        const tag = tags.find(t => t.id === id);
+        if (!tag) {
+            throw new Error('This tag no longer exists.');
+        }
+        tag.archived = archived;
+        this.saveTags(tags);
+    },
+
+    /**
+     * Display details for an activity stored on an entry
+     * @param {string} id - Tag ID (or a plain activity name)
+     * @returns {{id: string, name: string, icon: string, color: string, group: string, archived: boolean}}
+     */
+    describe(id) {
+        const tag = this.getTag(id);
+        if (tag) return tag;
+        return { id, name: id, icon: '', color: this.fallbackColor, group: this.otherGroup, archived: false };
+    },
+
+    /**
+     * Label for an activity, e.g. '💪 Exercise'
+     * @param {string} id - Tag ID
+     * @returns {string} Icon and name
+     */
+    getLabel(id) {
+        const tag = this.describe(id);
+        return tag.icon ? `${tag.icon} ${tag.name}` : tag.name;
+    },
+
+    /**
+     * Find the tag an activity name refers to (e.g. from a CSV file)
+     * @param {string} text - Tag name or ID
+     * @returns {string} Tag ID, or the text in lower case if no tag matches
+     */
+    resolve(text) {
+        const value = text.trim().toLowerCase();
+        const tag = this.getTags(true).find(t => t.id === value || t.name.toLowerCase() === value);
+        return tag ? tag.id : value;
+    },
+
+    /**
+     * Group tags by their group name, in first-seen order
+     * @param {Array<Object>} tags - Tags
+     * @returns {Array<{group: string, tags: Array<Object>}>} Groups
+     */
+    groupTags(tags) {
+        const groups = new Map();
+        tags.forEach(tag => {
+            const group = tag.group || this.otherGroup;
+            if (!groups.has(group)) groups.set(group, []);
+            groups.get(group).push(tag);
+        });
+        return [...groups].map(([group, items]) => ({ group, tags: items }));
+    },
+
+    /**
+     * Colored chip for an activity
+     * @param {string} id - Tag ID
+     * @returns {HTMLElement} Chip
+     */
+    createChip(id) {
+        const tag = this.describe(id);
+        const chip = document.createElement('span');
+        chip.className = 'activity-chip';
+        chip.style.setProperty('--tag-color', tag.color);
+        chip.textContent = this.getLabel(id);
+        chip.title = tag.archived ? `${tag.group} (archived)` : tag.group;
+        return chip;
+    },
+
+    /**
+     * Row of chips for a list of activities
+     * @param {Array<string>} ids - Tag IDs
+     * @returns {HTMLElement} Chip row
+     */
+    createChipList(ids) {
+        const list = document.createElement('div');
+        list.className = 'activity-chips';
+        (ids || []).forEach(id => list.appendChild(this.createChip(id)));
+        return list;
+    },
+
+    /**
+     * Renders the activity checkboxes on the check-in form, grouped
+     * @param {Array<string>} [include=[]] - Activities to show even if archived or unknown
+     *   (the ones on a check-in being edited)
+     */
+    renderCheckboxes(include = []) {
+        const container = document.getElementById('activityTags');
+        if (!container) return;
+
+        const tags = this.getTags();
+        const shown = new Set(tags.map(tag => tag.id));
+        include.filter(id => !shown.has(id)).forEach(id => {
+            tags.push(this.describe(id));
+            shown.add(id);
+        });
+
+        container.innerHTML = '';
+        this.groupTags(tags).forEach(({ group, tags: groupTags }) => {
+            const groupElement = document.createElement('div');
+            groupElement.className = 'activity-group';
+            const heading = document.createElement('div');
+            heading.className = 'activity-group-name';
+            heading.textContent = group;
+            groupElement.appendChild(heading);
+
+            const row = document.createElement('div');
+            row.className = 'activity-tags';
+            groupTags.forEach(tag => {
+                const label = document.createElement('label');
+                label.className = 'tag-checkbox';
+                label.style.setProperty('--tag-color', tag.color);
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = tag.id;
+                label.appendChild(checkbox);
+                label.appendChild(document.createTextNode(` ${this.getLabel(tag.id)}${tag.archived ? ' (archived)' : ''}`));
+                row.appendChild(label);
+            });
+            groupElement.appendChild(row);
+            container.appendChild(groupElement);
+        });
+    },
+
+    /**
+     * Lists every tag in Settings, grouped, with Edit and Archive buttons
+     */
+    renderSettings() {
+        const list = document.getElementById('tagList');
+        if (!list) return;
+
+        const tags = this.getTags(true);
+        list.innerHTML = '';
+        this.groupTags(tags).forEach(({ group, tags: groupTags }) => {
+            const heading = document.createElement('li');
+            heading.className = 'activity-group-name';
+            heading.textContent = group;
+            list.appendChild(heading);
+
+            groupTags.forEach(tag => {
+                const item = document.createElement('li');
+                item.className = 'metric-item';
+                if (tag.archived) item.classList.add('archived');
+
+                const chipWrapper = document.createElement('span');
+                chipWrapper.appendChild(this.createChip(tag.id));
+                item.appendChild(chipWrapper);
+
+                const edit = document.createElement('button');
+                edit.className = 'btn-secondary';
+                edit.textContent = 'Edit';
+                edit.addEventListener('click', () => this.startEdit(tag.id));
+                item.appendChild(edit);
+
+                const archive = document.createElement('button');
+                archive.className = 'btn-secondary';
+                archive.textContent = tag.archived ? 'Restore' : 'Archive';
+                archive.addEventListener('click', () => this.handleArchive(tag.id, !tag.archived));
+                item.appendChild(archive);
+
+                list.appendChild(item);
+            });
+        });
+
+        // Existing group names as suggestions
+        const groupList = document.getElementById('tagGroupOptions');
+        if (groupList) {
+            groupList.innerHTML = '';
+            [...new Set(tags.map(tag => tag.group).filter(Boolean))].forEach(group => {
+                const option = document.createElement('option');
+                option.value = group;
+                groupList.appendChild(option);
+            });
+        }
+    },
+
+    startEdit(id) {
+        const tag = this.getTag(id);
+        if (!tag) return;
+
+        this.editingId = id;
+        document.getElementById('tagName').value = tag.name;
+        document.getElementById('tagIcon').value = tag.icon;
+        document.getElementById('tagColor').value = tag.color;
+        document.getElementById('tagGroup').value = tag.group;
+        document.getElementById('saveTagBtn').textContent = 'Save Tag';
+        document.getElementById('cancelTagBtn').classList.remove('hidden');
+    },
+
+    cancelEdit() {
+        this.editingId = null;
+        ['tagName', 'tagIcon', 'tagGroup'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('tagColor').value = this.fallbackColor;
+        document.getElementById('saveTagBtn').textContent = 'Add Tag';
+        document.getElementById('cancelTagBtn').classList.add('hidden');
+    },
+
+    handleSave() {
+        try {
+            const value = id => (document.getElementById(id) || {}).value || '';
+            const tag = this.saveTag({
+                name: value('tagName'),
+                icon: value('tagIcon'),
+                color: value('tagColor'),
+                group: value('tagGroup')
+            }, this.editingId);
+
+            this.cancelEdit();
+            this.refresh();
+            ErrorHandler.showSuccess(`Tag "${tag.name}" saved.`);
+        } catch (error) {
+            ErrorHandler.logError('ActivityTags.handleSave', error);
+            ErrorHandler.showError('Tag Error', error.message);
+        }
+    },
+
+    handleArchive(id, archived) {
+        try {
+            this.setArchived(id, archived);
+            this.refresh();
+        } catch (error) {
+            ErrorHandler.logError('ActivityTags.handleArchive', error);
+            ErrorHandler.showError('Tag Error', error.message);
+        }
+    },
+
+    /**
+     * Re-render everything that shows tags
+     * The check-in form keeps what is ticked.
+     */
+    refresh() {
+        const checked = [...document.querySelectorAll('.tag-checkbox input:checked')].map(checkbox => checkbox.value);
+        this.renderSettings();
+        this.renderCheckboxes(checked);
+        document.querySelectorAll('.tag-checkbox input').forEach(checkbox => {
+            checkbox.checked = checked.includes(checkbox.value);
+        });
+
+        const historyView = document.getElementById('history');
+        if (historyView && historyView.classList.contains('active') && HistoryView.selectedDate) {
+            HistoryView.showDay(HistoryView.selectedDate);
+        }
+        const analyticsView = document.getElementById('analytics');
+        if (analyticsView && analyticsView.classList.contains('active')) {
+            AnalyticsView.loadAnalytics();
+        }
+    }
+};
+
+// PWA Manager - Service worker, app updates and the offline banner
+/**
+ * sw.js keeps a copy of the app (including vendored Chart.js and supabase-js)
+ * so every view works offline. A new deploy is downloaded in the background -
+ * by sw.js noticing changed files, or by a new sw.js installing and waiting -
+ * and the update banner lets the user reload into it when convenient.
+ */
+const PwaManager = {
+    // Service worker that finished installing and waits to take over
+    waitingWorker: null,
+    updateRequested: false,
+
+    init() {
+        const reloadBtn = document.getElementById('updateReloadBtn');
+        if (reloadBtn) {
+            reloadBtn.addEventListener('click', () => this.applyUpdate());
+        }
+        const laterBtn = document.getElementById('updateLaterBtn');
+        if (laterBtn) {
+            laterBtn.addEventListener('click', () => this.hideBanner('updateBanner'));
+        }
+
+        window.addEventListener('online', () => this.updateOnlineStatus());
+        window.addEventListener('offline', () => this.updateOnlineStatus());
+        this.updateOnlineStatus();
+
+        this.registerServiceWorker();
+    },
+
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return null;
+
+        try {
+            const registration = await navigator.serviceWorker.register('sw.js');
+
+            // Installed while the app was closed
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdate(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdate(worker);
+                    }
+                });
+            });
+
+            // The new worker took over after "Reload" - load the new version
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (this.updateRequested) window.location.reload();
+            });
+
+            // The current worker downloaded changed app files
+            navigator.serviceWorker.addEventListener('message', event => {
+                if (event.data && event.data.type === 'update-available') this.showUpdate(null);
+            });
+
+            // Long-running tabs (installed app windows) look for deploys too
+            setInterval(() => {
+                registration.update().catch(error => ErrorHandler.logError('PwaManager.update', error));
+                if (navigator.serviceWorker.controller) {
+                    navigator.serviceWorker.controller.postMessage({ type: 'check-update' });
                 }
-                
-                // Populate stress
-                if (entry.stress) {
-                    const stressBtn = document.querySelector(`.stress-btn[data-stress="${entry.stress}"]`);
-                    if (stressBtn) stressBtn.classList.add('selected');
+            }, AppConfig.updateCheckIntervalMs);
+
+            return registration;
+        } catch (error) {
+            // file:// pages and some private modes can't register one
+            ErrorHandler.logError('PwaManager.registerServiceWorker', error);
+            return null;
+        }
+    },
+
+    /**
+     * Show the update banner
+     * @param {ServiceWorker|null} worker - New worker waiting to take over, or null when the
+     *   current worker already has the new files and a reload is enough
+     */
+    showUpdate(worker) {
+        if (worker) this.waitingWorker = worker;
+        const banner = document.getElementById('updateBanner');
+        if (banner) banner.classList.remove('hidden');
+    },
+
+    /**
+     * Switch to the waiting version; the page reloads once it takes over
+     */
+    applyUpdate() {
+        // The reload would lose what's in the check-in form
+        CheckInView.saveDraftNow();
+        if (!this.waitingWorker) {
+            window.location.reload();
+            return;
+        }
+        this.updateRequested = true;
+        this.waitingWorker.postMessage({ type: 'skip-waiting' });
+    },
+
+    hideBanner(id) {
+        const banner = document.getElementById(id);
+        if (banner) banner.classList.add('hidden');
+    },
+
+    updateOnlineStatus() {
+        const banner = document.getElementById('offlineBanner');
+        if (banner) banner.classList.toggle('hidden', navigator.onLine !== false);
+    }
+};
+
+// Reminder Manager - Daily check-in reminders as local notifications
+/**
+ * Reminders are checked on a timer while the app is open (in a tab, in the
+ * background or installed). Browsers give web apps no way to schedule a
+ * notification for later without a push server, so a reminder whose time
+ * passes while the app is closed is shown when it next opens, if that is
+ * within reminderGraceMinutes. Notifications are shown through the service
+ * worker (sw.js, registered by PwaManager) so that clicking one opens the
+ * check-in view.
+ */
+const ReminderManager = {
+    storageKeyPrefix: 'wellnessTrackerReminders_',
+    maxTimes: 6,
+    reminderGraceMinutes: 60,
+    notificationTag: 'wellness-daily-checkin',
+    dayLabels: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+
+    timer: null,
+
+    defaultSettings: {
+        enabled: false,
+        times: ['20:00'],
+        days: [0, 1, 2, 3, 4, 5, 6],
+        quietStart: '',
+        quietEnd: '',
+        // Date each reminder time last fired (or was skipped) on: {'HH:MM': 'YYYY-MM-DD'}
+        handled: {}
+    },
+
+    /**
+     * Sets up the Settings controls and starts the timer
+     */
+    init() {
+        this.renderDayOptions();
+
+        const enabledInput = document.getElementById('reminderEnabled');
+        if (enabledInput) {
+            enabledInput.addEventListener('change', () => this.handleToggle(enabledInput.checked));
+        }
+
+        const addBtn = document.getElementById('addReminderTimeBtn');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => this.handleAddTime());
+        }
+
+        ['reminderQuietStart', 'reminderQuietEnd'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.addEventListener('change', () => this.handleChange());
+        });
+
+        const testBtn = document.getElementById('testReminderBtn');
+        if (testBtn) {
+            testBtn.addEventListener('click', () => this.handleTest());
+        }
+
+        // The service worker asks an open tab to show the check-in view
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', event => {
+                if (event.data && event.data.type === 'open-view') {
+                    Navigation.showView(event.data.view);
                 }
-                
-                // Populate journal
-                const journalInput = document.getElementById('journalEntry');
-                if (journalInput && entry.journal) {
-                    journalInput.value = entry.journal;
+            });
+        }
+
+        if (AppConfig.enableReminders) {
+            this.timer = setInterval(() => this.checkDue(), AppConfig.reminderCheckIntervalMs);
+            this.checkDue();
+        }
+    },
+
+    isSupported() {
+        return typeof window !== 'undefined' && 'Notification' in window;
+    },
+
+    /**
+     * Reminder settings for the current user
+     * @returns {Object} {enabled, times, days, quietStart, quietEnd, handled}
+     */
+    getSettings() {
+        const key = SyncManager.getUserKey(this.storageKeyPrefix);
+        try {
+            const data = key ? localStorage.getItem(key) : null;
+            const stored = data ? JSON.parse(data) : {};
+            return { ...this.defaultSettings, handled: {}, ...stored };
+        } catch (error) {
+            ErrorHandler.logError('ReminderManager.getSettings', error);
+            return { ...this.defaultSettings, handled: {} };
+        }
+    },
+
+    saveSettings(settings) {
+        const key = SyncManager.getUserKey(this.storageKeyPrefix);
+        if (!key) {
+            throw new Error('User not authenticated. Please login first.');
+        }
+        localStorage.setItem(key, JSON.stringify(settings));
+    },
+
+    /**
+     * Checks a reminder schedule
+     * @param {Object} settings - {times, days, quietStart, quietEnd}
+     * @throws {Error} With a user-facing message
+     */
+    validateSettings(settings) {
+        if (!Array.isArray(settings.times) || !settings.times.every(time => ValidationHelper.isValidTime(time))) {
+            throw new Error('Reminder times must be in HH:MM format.');
+        }
+        if (settings.times.length > this.maxTimes) {
+            throw new Error(`You can set up to ${this.maxTimes} reminder times.`);
+        }
+        if (!Array.isArray(settings.days) || !settings.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+            throw new Error('Invalid reminder days.');
+        }
+        const quiet = [settings.quietStart, settings.quietEnd];
+        if (quiet.some(time => time && !ValidationHelper.isValidTime(time)) || (!quiet[0] !== !quiet[1])) {
+            throw new Error('Quiet hours need both a start and an end time.');
+        }
+    },
+
+    /**
+     * Whether a time falls in quiet hours (which may run past midnight)
+     * @param {string} time - HH:MM
+     * @param {Object} settings - {quietStart, quietEnd}
+     * @returns {boolean} True if notifications should stay silent
+     */
+    isQuietTime(time, settings) {
+        const { quietStart, quietEnd } = settings;
+        if (!quietStart || !quietEnd || quietStart === quietEnd) return false;
+        return quietStart < quietEnd
+            ? time >= quietStart && time < quietEnd
+            : time >= quietStart || time < quietEnd;
+    },
+
+    minutesOf(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    },
+
+    /**
+     * Reminder times that are due now and haven't been handled today
+     * @param {Object} settings - Reminder settings
+     * @param {Date} [now=new Date()] - Current time
+     * @returns {Array<string>} Due times (HH:MM)
+     */
+    getDueTimes(settings, now = new Date()) {
+        const today = DateUtils.toDateKey(now);
+        if (!settings.days.includes(DateUtils.parseDateKey(today).getDay())) return [];
+
+        const nowMinutes = this.minutesOf(DateUtils.toTimeKey(now));
+        return settings.times.filter(time => {
+            const late = nowMinutes - this.minutesOf(time);
+            return late >= 0 && late <= this.reminderGraceMinutes && settings.handled[time] !== today;
+        });
+    },
+
+    /**
+     * Shows a reminder if one is due, unless today is already logged or it is quiet time
+     * @param {Date} [now=new Date()] - Current time
+     * @returns {Promise<boolean>} True if a notification was shown
+     */
+    async checkDue(now = new Date()) {
+        try {
+            if (!AuthManager.getCurrentUser() || !this.isSupported() || Notification.permission !== 'granted') {
+                return false;
+            }
+            const settings = this.getSettings();
+            if (!settings.enabled) return false;
+
+            const due = this.getDueTimes(settings, now);
+            if (due.length === 0) return false;
+
+            // Each due time is handled once per day, whether or not it is shown
+            const today = DateUtils.toDateKey(now);
+            due.forEach(time => { settings.handled[time] = today; });
+            this.saveSettings(settings);
+
+            if (this.isQuietTime(DateUtils.toTimeKey(now), settings)) return false;
+            if (await StorageAdapter.getEntry(today)) return false;
+
+            await this.showNotification();
+            return true;
+        } catch (error) {
+            ErrorHandler.logError('ReminderManager.checkDue', error);
+            return false;
+        }
+    },
+
+    /**
+     * Shows the reminder through the service worker, or directly without one
+     */
+    async showNotification() {
+        const streak = await StorageAdapter.calculateStreak().catch(() => 0);
+        const title = 'Time for your check-in 🌟';
+        const options = {
+            body: streak > 0
+                ? `Keep your ${streak}-day streak going - it only takes a minute.`
+                : 'How are you feeling today? It only takes a minute.',
+            tag: this.notificationTag,
+            data: { url: 'index.html#/check-in' }
+        };
+
+        const registration = 'serviceWorker' in navigator
+            ? await navigator.serviceWorker.getRegistration()
+            : null;
+        if (registration) {
+            await registration.showNotification(title, options);
+            return;
+        }
+
+        const notification = new Notification(title, options);
+        notification.onclick = () => {
+            window.focus();
+            Navigation.showView('check-in');
+            notification.close();
+        };
+    },
+
+    /**
+     * Ask for notification permission when reminders are switched on
+     * @param {boolean} enabled - New state of the switch
+     */
+    async handleToggle(enabled) {
+        try {
+            if (enabled) {
+                if (!this.isSupported()) {
+                    throw new Error('This browser does not support notifications.');
                 }
-                
-                // Populate activities
-                if (entry.activities && entry.activities.length > 0) {
-                    document.querySelectorAll('.tag-checkbox input').forEach(checkbox => {
-                        checkbox.checked = entry.activities.includes(checkbox.value);
-                    });
+                const permission = Notification.permission === 'default'
+                    ? await Notification.requestPermission()
+                    : Notification.permission;
+                if (permission !== 'granted') {
+                    throw new Error('Notifications are blocked for this site. Allow them in your browser settings to get reminders.');
                 }
             }
+            this.saveSettings({ ...this.getSettings(), enabled });
+        } catch (error) {
+            ErrorHandler.logError('ReminderManager.handleToggle', error);
+            ErrorHandler.showError('Reminder Error', error.message);
+        }
+        this.renderSettings();
+    },
+
+    handleAddTime() {
+        const input = document.getElementById('reminderTimeInput');
+        const time = input ? input.value : '';
+        try {
+            const settings = this.getSettings();
+            if (!ValidationHelper.isValidTime(time)) {
+                throw new Error('Choose a time for the reminder.');
+            }
+            if (!settings.times.includes(time)) {
+                settings.times = [...settings.times, time].sort();
+            }
+            this.validateSettings(settings);
+            this.saveSettings(settings);
+            if (input) input.value = '';
+        } catch (error) {
+            ErrorHandler.logError('ReminderManager.handleAddTime', error);
+            ErrorHandler.showError('Reminder Error', error.message);
+        }
+        this.renderSettings();
+    },
+
+    handleRemoveTime(time) {
+        const settings = this.getSettings();
+        settings.times = settings.times.filter(t => t !== time);
+        delete settings.handled[time];
+        this.saveSettings(settings);
+        this.renderSettings();
+    },
+
+    /**
+     * Saves the weekdays and quiet hours
+     */
+    handleChange() {
+        try {
+            const settings = this.getSettings();
+            settings.days = [...document.querySelectorAll('#reminderDays input:checked')].map(input => Number(input.value));
+            settings.quietStart = document.getElementById('reminderQuietStart').value;
+            settings.quietEnd = document.getElementById('reminderQuietEnd').value;
+            this.validateSettings(settings);
+            this.saveSettings(settings);
+        } catch (error) {
+            ErrorHandler.logError('ReminderManager.handleChange', error);
+            ErrorHandler.showError('Reminder Error', error.message);
+        }
+        this.updateStatus();
+    },
+
+    async handleTest() {
+        try {
+            if (!this.isSupported() || Notification.permission !== 'granted') {
+                throw new Error('Turn on reminders and allow notifications first.');
+            }
+            await this.showNotification();
         } catch (error) {
-            ErrorHandler.logError('CheckInView.loadTodayData', error);
+            ErrorHandler.logError('ReminderManager.handleTest', error);
+            ErrorHandler.showError('Reminder Error', error.message);
         }
     },
-    
-    handleSubmit() {
+
+    renderDayOptions() {
+        const container = document.getElementById('reminderDays');
+        if (!container) return;
+
+        container.innerHTML = '';
+        // Monday first
+        [1, 2, 3, 4, 5, 6, 0].forEach(day => {
+            const label = document.createElement('label');
+            label.className = 'tag-checkbox';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = String(day);
+            checkbox.addEventListener('change', () => this.handleChange());
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${this.dayLabels[day]}`));
+            container.appendChild(label);
+        });
+    },
+
+    /**
+     * Fills the Settings controls from the saved schedule
+     */
+    renderSettings() {
+        const settings = this.getSettings();
+
+        const enabledInput = document.getElementById('reminderEnabled');
+        if (enabledInput) enabledInput.checked = settings.enabled;
+
+        const list = document.getElementById('reminderTimeList');
+        if (list) {
+            list.innerHTML = '';
+            settings.times.forEach(time => {
+                const item = document.createElement('li');
+                item.className = 'metric-item';
+                const label = document.createElement('span');
+                label.textContent = `🔔 ${time}`;
+                const remove = document.createElement('button');
+                remove.className = 'btn-secondary';
+                remove.textContent = 'Remove';
+                remove.addEventListener('click', () => this.handleRemoveTime(time));
+                item.appendChild(label);
+                item.appendChild(remove);
+                list.appendChild(item);
+            });
+        }
+
+        document.querySelectorAll('#reminderDays input').forEach(input => {
+            input.checked = settings.days.includes(Number(input.value));
+        });
+        const quietStart = document.getElementById('reminderQuietStart');
+        if (quietStart) quietStart.value = settings.quietStart;
+        const quietEnd = document.getElementById('reminderQuietEnd');
+        if (quietEnd) quietEnd.value = settings.quietEnd;
+
+        this.updateStatus();
+    },
+
+    /**
+     * Explains whether reminders can actually be shown
+     */
+    updateStatus() {
+        const status = document.getElementById('reminderStatus');
+        if (!status) return;
+
+        const settings = this.getSettings();
+        if (!AppConfig.enableReminders) {
+            status.textContent = 'Reminders are turned off for this app.';
+        } else if (!this.isSupported()) {
+            status.textContent = 'This browser does not support notifications, so reminders are unavailable.';
+        } else if (Notification.permission === 'denied') {
+            status.textContent = 'Notifications are blocked for this site. Allow them in your browser settings to get reminders.';
+        } else if (!settings.enabled) {
+            status.textContent = 'Reminders are off.';
+        } else if (settings.times.length === 0 || settings.days.length === 0) {
+            status.textContent = 'Add a time and at least one day to get reminders.';
+        } else {
+            const quiet = settings.times.filter(time => this.isQuietTime(time, settings));
+            status.textContent = `Reminders are on. They are skipped on days you've already checked in and only appear while the app is open.${quiet.length ? ` ${quiet.join(', ')} is in your quiet hours and won't notify.` : ''}`;
+        }
+    }
+};
+
+// Backup Manager - Versioned JSON backup and restore
+/**
+ * Backup file layout (version 1):
+ * {
+ *   format: 'wellness-tracker-backup', version: 1, createdAt,
+ *   encrypted: false,
+ *   checksum: 'sha256:<hex of JSON.stringify(data)>',
+ *   data: { profile: {name, email, timeZone}, entries: [...], settings: {timeZone, metrics, tags}, theme }
+ * }
+ * With a passphrase, data is the base64 AES-GCM ciphertext of the same JSON and
+ * encryption holds the PBKDF2 salt, iteration count and IV. The checksum always
+ * covers the plain JSON, so it is verified after decrypting.
+ */
+const BackupManager = {
+    format: 'wellness-tracker-backup',
+    formatVersion: 1,
+    reminderKeyPrefix: 'wellnessTrackerBackupReminder_',
+    reminderSnoozeDays: 7,
+    encryptionConfig: {
+        iterations: 310000,
+        saltBytes: 16,
+        ivBytes: 12
+    },
+
+    // Parsed backup waiting for the user to confirm the restore
+    pendingRestore: null,
+
+    /**
+     * Sets up backup and restore controls and the reminder banner
+     */
+    init() {
+        const downloadBtn = document.getElementById('downloadBackupBtn');
+        if (downloadBtn) {
+            downloadBtn.addEventListener('click', () => this.downloadBackup());
+        }
+
+        const previewBtn = document.getElementById('previewRestoreBtn');
+        if (previewBtn) {
+            previewBtn.addEventListener('click', () => this.handlePreview());
+        }
+
+        const restoreBtn = document.getElementById('restoreBackupBtn');
+        if (restoreBtn) {
+            restoreBtn.addEventListener('click', () => this.handleRestore());
+        }
+
+        // A new file or mode invalidates the current preview
+        ['restoreFileInput', 'restorePassphrase'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.addEventListener('change', () => this.clearPreview());
+        });
+        document.querySelectorAll('input[name="restoreMode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.clearPreview());
+        });
+
+        const backupNowBtn = document.getElementById('backupNowBtn');
+        if (backupNowBtn) {
+            backupNowBtn.addEventListener('click', () => {
+                Navigation.showView('settings');
+                const section = document.getElementById('backupSection');
+                if (section) section.scrollIntoView({ behavior: 'smooth' });
+            });
+        }
+
+        const backupLaterBtn = document.getElementById('backupLaterBtn');
+        if (backupLaterBtn) {
+            backupLaterBtn.addEventListener('click', () => this.snoozeReminder());
+        }
+    },
+
+    /**
+     * Reminder state for the current user
+     * @returns {{lastBackupAt: string|null, snoozedUntil: string|null}}
+     */
+    getReminderState() {
+        const key = SyncManager.getUserKey(this.reminderKeyPrefix);
         try {
-            const today = new Date().toISOString().split('T')[0];
-            
-            // Collect and validate mood
-            const moodValue = document.getElementById('moodSlider').value;
-            if (!ValidationHelper.isValidMood(moodValue)) {
-                throw new Error('Invalid mood value. Please select a mood between 1-10.');
+            const data = key ? localStorage.getItem(key) : null;
+            return data ? JSON.parse(data) : { lastBackupAt: null, snoozedUntil: null };
+        } catch (error) {
+            ErrorHandler.logError('BackupManager.getReminderState', error);
+            return { lastBackupAt: null, snoozedUntil: null };
+        }
+    },
+
+    saveReminderState(state) {
+        const key = SyncManager.getUserKey(this.reminderKeyPrefix);
+        if (key) localStorage.setItem(key, JSON.stringify(state));
+    },
+
+    /**
+     * Build a backup of the current user's account
+     * @param {string} [passphrase] - Encrypt the data with this passphrase
+     * @returns {Promise<Object>} Backup object ready for JSON.stringify
+     */
+    async createBackup(passphrase) {
+        const currentUser = AuthManager.getCurrentUser();
+        if (!currentUser) {
+            throw new Error('User not authenticated. Please login first.');
+        }
+
+        const data = {
+            profile: { name: currentUser.name, email: currentUser.email, timeZone: currentUser.timeZone || null },
+            entries: await StorageAdapter.getAllEntries(),
+            settings: {
+                timeZone: currentUser.timeZone || null,
+                metrics: CustomMetrics.getDefinitions(),
+                tags: ActivityTags.getTags(true)
+            },
+            theme: localStorage.getItem('theme') || 'light'
+        };
+        const json = JSON.stringify(data);
+
+        const backup = {
+            format: this.format,
+            version: this.formatVersion,
+            createdAt: new Date().toISOString(),
+            encrypted: !!passphrase,
+            checksum: await this.checksum(json)
+        };
+        if (passphrase) {
+            const { encryption, ciphertext } = await this.encrypt(json, passphrase);
+            backup.encryption = encryption;
+            backup.data = ciphertext;
+        } else {
+            backup.data = data;
+        }
+        return backup;
+    },
+
+    /**
+     * SHA-256 checksum of a string
+     * @param {string} text - Text to hash
+     * @returns {Promise<string>} 'sha256:<hex>'
+     */
+    async checksum(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        const hex = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+        return `sha256:${hex}`;
+    },
+
+    /**
+     * Derive an AES-GCM key from a passphrase
+     * @param {string} passphrase - User passphrase
+     * @param {Uint8Array} salt - PBKDF2 salt
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<CryptoKey>} AES key
+     */
+    async deriveKey(passphrase, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    /**
+     * Encrypt backup JSON with a passphrase
+     * @param {string} json - Plain JSON
+     * @param {string} passphrase - User passphrase
+     * @returns {Promise<{encryption: Object, ciphertext: string}>}
+     */
+    async encrypt(json, passphrase) {
+        const config = this.encryptionConfig;
+        const salt = crypto.getRandomValues(new Uint8Array(config.saltBytes));
+        const iv = crypto.getRandomValues(new Uint8Array(config.ivBytes));
+        const key = await this.deriveKey(passphrase, salt, config.iterations);
+        const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(json));
+
+        return {
+            encryption: {
+                algorithm: 'AES-GCM',
+                kdf: 'PBKDF2-SHA256',
+                iterations: config.iterations,
+                salt: AuthManager.bytesToBase64(salt),
+                iv: AuthManager.bytesToBase64(iv)
+            },
+            ciphertext: AuthManager.bytesToBase64(new Uint8Array(encrypted))
+        };
+    },
+
+    /**
+     * Decrypt an encrypted backup's data
+     * @param {Object} backup - Parsed backup file
+     * @param {string} passphrase - User passphrase
+     * @returns {Promise<string>} Plain JSON
+     * @throws {Error} If the passphrase is wrong or the data was altered
+     */
+    async decrypt(backup, passphrase) {
+        const { encryption } = backup;
+        if (!encryption || encryption.algorithm !== 'AES-GCM' || typeof backup.data !== 'string') {
+            throw new Error('Unsupported backup encryption');
+        }
+        const key = await this.deriveKey(passphrase, AuthManager.base64ToBytes(encryption.salt), encryption.iterations);
+        try {
+            const decrypted = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: AuthManager.base64ToBytes(encryption.iv) },
+                key,
+                AuthManager.base64ToBytes(backup.data)
+            );
+            return new TextDecoder().decode(decrypted);
+        } catch (error) {
+            throw new Error('Wrong passphrase or damaged backup');
+        }
+    },
+
+    /**
+     * Create a backup and download it as a .json file
+     */
+    async downloadBackup() {
+        try {
+            const passphraseInput = document.getElementById('backupPassphrase');
+            const passphrase = passphraseInput ? passphraseInput.value : '';
+            const backup = await this.createBackup(passphrase);
+
+            const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            const url = URL.createObjectURL(blob);
+            link.setAttribute('href', url);
+            link.setAttribute('download', `wellness-backup-${DateUtils.today()}.json`);
+            link.style.visibility = 'hidden';
+
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+
+            if (passphraseInput) passphraseInput.value = '';
+            this.saveReminderState({ lastBackupAt: new Date().toISOString(), snoozedUntil: null });
+            this.updateReminderBanner();
+            this.updateStatus();
+
+            ErrorHandler.showSuccess(passphrase
+                ? 'Encrypted backup downloaded. Keep your passphrase safe - it cannot be recovered.'
+                : 'Backup downloaded successfully!');
+        } catch (error) {
+            ErrorHandler.logError('BackupManager.downloadBackup', error);
+            ErrorHandler.showError('Backup Error', 'Could not create the backup. Please try again.');
+        }
+    },
+
+    /**
+     * Read, decrypt, checksum and validate a backup file's text
+     * Invalid entries are reported and left out rather than failing the whole restore
+     * @param {string} text - File contents
+     * @param {string} [passphrase] - Passphrase for encrypted backups
+     * @returns {Promise<Object>} { createdAt, profile, entries, invalid, settings, theme }
+     * @throws {Error} If the file is not a usable backup
+     */
+    async parseBackup(text, passphrase) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (error) {
+            throw new Error('This file is not valid JSON');
+        }
+        if (!backup || backup.format !== this.format) {
+            throw new Error('This file is not a Wellness Tracker backup');
+        }
+        if (!Number.isInteger(backup.version) || backup.version > this.formatVersion) {
+            throw new Error('This backup was made by a newer version of the app');
+        }
+
+        let json;
+        if (backup.encrypted) {
+            if (!passphrase) {
+                throw new Error('This backup is encrypted. Enter its passphrase.');
             }
-            const mood = parseInt(moodValue);
-            
-            // Collect and validate sleep
-            const sleepValue = document.getElementById('sleepHours').value.trim();
-            if (!sleepValue) {
-                throw new Error('Sleep hours is required. Please enter how many hours you slept.');
+            json = await this.decrypt(backup, passphrase);
+        } else {
+            json = JSON.stringify(backup.data);
+        }
+
+        if (await this.checksum(json) !== backup.checksum) {
+            throw new Error('Checksum mismatch - the backup file is damaged or was edited');
+        }
+
+        const data = JSON.parse(json);
+        if (!data || !Array.isArray(data.entries)) {
+            throw new Error('Backup has no entries list');
+        }
+        ValidationHelper.validateProfile(data.profile);
+
+        const entries = [];
+        const invalid = [];
+        const seen = new Set();
+        data.entries.forEach((entry, index) => {
+            try {
+                ValidationHelper.validateEntry(entry);
+                if (seen.has(entry.date)) {
+                    throw new Error('Duplicate date');
+                }
+                seen.add(entry.date);
+                entries.push(entry);
+            } catch (error) {
+                invalid.push({ index, date: entry && entry.date, reason: error.message });
             }
-            if (!ValidationHelper.isValidSleep(sleepValue)) {
-                throw new Error('Invalid sleep value. Please enter a number between 0-24 hours.');
+        });
+
+        const settings = data.settings || {};
+        // Backups made before custom metrics have none; invalid definitions are dropped
+        const metrics = (Array.isArray(settings.metrics) ? settings.metrics : []).filter(definition => {
+            try {
+                ValidationHelper.validateMetricDefinition(definition);
+                return true;
+            } catch (error) {
+                return false;
             }
-            const sleep = parseFloat(sleepValue);
-            
-            // Validate stress selection
-            const stressElement = document.querySelector('.stress-btn.selected');
-            if (!stressElement) {
-                throw new Error('Stress level is required. Please select your stress level.');
+        });
+        // Backups made before activity tags have none (null leaves the current tags alone)
+        const tags = Array.isArray(settings.tags)
+            ? settings.tags.filter(tag => {
+                try {
+                    ValidationHelper.validateActivityTag(tag);
+                    return true;
+                } catch (error) {
+                    return false;
+                }
+            })
+            : null;
+        return {
+            createdAt: backup.createdAt,
+            profile: data.profile,
+            entries,
+            invalid,
+            settings: {
+                timeZone: settings.timeZone && DateUtils.isValidTimeZone(settings.timeZone) ? settings.timeZone : null,
+                metrics,
+                tags
+            },
+            theme: data.theme === 'dark' ? 'dark' : 'light'
+        };
+    },
+
+    /**
+     * Work out what a restore would change
+     * @param {Object} parsed - Result of parseBackup
+     * @param {string} mode - 'merge' keeps current entries and merges, 'replace' makes data match the backup
+     * @returns {Promise<Object>} { added, changed, unchanged, removed } - arrays of dates
+     */
+    async buildPreview(parsed, mode) {
+        const current = new Map((await StorageAdapter.getAllEntries()).map(e => [e.date, e]));
+        const preview = { added: [], changed: [], unchanged: [], removed: [] };
+
+        parsed.entries.forEach(entry => {
+            const existing = current.get(entry.date);
+            if (!existing) {
+                preview.added.push(entry.date);
+            } else if (EntryVersioning.sameEntry(existing, entry)) {
+                preview.unchanged.push(entry.date);
+            } else if (mode === 'merge' && EntryVersioning.sameEntry(EntryVersioning.merge(existing, entry).entry, existing)) {
+                // Current copy already has everything the backup has
+                preview.unchanged.push(entry.date);
+            } else {
+                preview.changed.push(entry.date);
+            }
+        });
+
+        if (mode === 'replace') {
+            const backupDates = new Set(parsed.entries.map(e => e.date));
+            current.forEach((entry, date) => {
+                if (!backupDates.has(date)) preview.removed.push(date);
+            });
+        }
+        return preview;
+    },
+
+    /**
+     * Write a parsed backup into the current account
+     * @param {Object} parsed - Result of parseBackup
+     * @param {string} mode - 'merge' or 'replace'
+     * @returns {Promise<Object>} Counts of written and removed entries
+     */
+    async restore(parsed, mode) {
+        const current = new Map((await StorageAdapter.getAllEntries()).map(e => [e.date, e]));
+        let written = 0;
+        let removed = 0;
+
+        for (const entry of parsed.entries) {
+            const existing = current.get(entry.date);
+            if (existing && EntryVersioning.sameEntry(existing, entry)) continue;
+
+            if (mode === 'replace') {
+                // A new revision, so the restored values win over other devices' copies
+                await StorageAdapter.saveEntry(entry);
+                written++;
+                continue;
             }
-            const stress = parseInt(stressElement.getAttribute('data-stress'));
-            if (!ValidationHelper.isValidStress(stress)) {
-                throw new Error('Invalid stress value selected.');
+
+            const { entry: merged, conflict } = EntryVersioning.merge(existing, entry);
+            if (EntryVersioning.sameEntry(merged, existing)) continue;
+            await StorageAdapter.restoreEntry(merged);
+            if (conflict) {
+                ConflictManager.record(entry.date, existing, entry);
             }
-            
-            // Collect and validate journal (optional)
-            const journalValue = document.getElementById('journalEntry').value.trim();
-            if (!ValidationHelper.isValidJournal(journalValue)) {
-                throw new Error('Journal entry is too long. Maximum 500 characters allowed.');
+            written++;
+        }
+
+        if (mode === 'replace') {
+            const backupDates = new Set(parsed.entries.map(e => e.date));
+            for (const date of current.keys()) {
+                if (!backupDates.has(date)) {
+                    await StorageAdapter.deleteEntry(date);
+                    removed++;
+                }
             }
-            const journal = journalValue ? ValidationHelper.sanitizeString(journalValue) : '';
-            
-            // Get activities
-            const activities = [];
-            document.querySelectorAll('.tag-checkbox input:checked').forEach(checkbox => {
-                activities.push(checkbox.value);
-            });
-            
-            // Create and save entry
-            const entry = {
-                date: today,
-                mood,
-                sleep,
-                stress,
-                journal,
-                activities,
-                timestamp: new Date().toISOString()
-            };
-            
-            // Attempt to save
-            StorageManager.saveEntry(entry);
-            
-            // Update UI on successful save
-            UIManager.updateStreak();
-            UIManager.showWellnessSuggestion(mood, activities);
-            
-            ErrorHandler.showSuccess(
-                'Check-in saved successfully! Great job tracking your wellness!'
-            );
+        }
+
+        // Settings and theme follow the backup; merge keeps metrics the backup doesn't have
+        AuthManager.updateProfile({ timeZone: parsed.settings.timeZone });
+        const backupMetricIds = new Set(parsed.settings.metrics.map(definition => definition.id));
+        const keptMetrics = mode === 'merge'
+            ? CustomMetrics.getDefinitions().filter(definition => !backupMetricIds.has(definition.id))
+            : [];
+        CustomMetrics.saveDefinitions([...parsed.settings.metrics, ...keptMetrics]);
+        CustomMetrics.refresh();
+
+        // Tags work the same way; a kept tag can't reuse a name from the backup
+        if (parsed.settings.tags) {
+            const backupTags = parsed.settings.tags;
+            const backupTagIds = new Set(backupTags.map(tag => tag.id));
+            const backupTagNames = new Set(backupTags.map(tag => tag.name.toLowerCase()));
+            const keptTags = mode === 'merge'
+                ? ActivityTags.getTags(true).filter(tag => !backupTagIds.has(tag.id) && !backupTagNames.has(tag.name.toLowerCase()))
+                : [];
+            ActivityTags.saveTags([...backupTags, ...keptTags]);
+            ActivityTags.refresh();
+        }
+        localStorage.setItem('theme', parsed.theme);
+        applyTheme(parsed.theme);
+
+        return { written, removed };
+    },
+
+    /**
+     * Selected restore mode
+     * @returns {string} 'merge' or 'replace'
+     */
+    getRestoreMode() {
+        const selected = document.querySelector('input[name="restoreMode"]:checked');
+        return selected && selected.value === 'replace' ? 'replace' : 'merge';
+    },
+
+    /**
+     * Read the chosen file and show what restoring it would do
+     */
+    async handlePreview() {
+        this.clearPreview();
+        const fileInput = document.getElementById('restoreFileInput');
+        const file = fileInput && fileInput.files && fileInput.files[0];
+        if (!file) {
+            ErrorHandler.showError('No File Selected', 'Choose a backup file to restore.');
+            return;
+        }
+
+        try {
+            const passphraseInput = document.getElementById('restorePassphrase');
+            const parsed = await this.parseBackup(await file.text(), passphraseInput ? passphraseInput.value : '');
+            const mode = this.getRestoreMode();
+            const preview = await this.buildPreview(parsed, mode);
+
+            this.pendingRestore = { parsed, mode };
+            this.renderPreview(parsed, preview, mode);
         } catch (error) {
-            ErrorHandler.logError('CheckInView.handleSubmit', error);
-            ErrorHandler.showError('Check-in Error', error.message);
+            ErrorHandler.logError('BackupManager.handlePreview', error);
+            ErrorHandler.showError('Restore Error', error.message);
+        }
+    },
+
+    /**
+     * Apply the previewed restore after confirmation
+     */
+    async handleRestore() {
+        if (!this.pendingRestore) return;
+        const { parsed, mode } = this.pendingRestore;
+
+        const warning = mode === 'replace'
+            ? 'Replace all your check-ins with this backup? Entries not in the backup will be deleted.'
+            : 'Merge this backup into your check-ins?';
+        if (!confirm(warning)) return;
+
+        try {
+            const result = await this.restore(parsed, mode);
+            this.clearPreview();
+            const fileInput = document.getElementById('restoreFileInput');
+            if (fileInput) fileInput.value = '';
+
+            SyncManager.refreshViews();
+            ConflictManager.updateBanner();
+            UIManager.updateDateDisplay();
+            SettingsView.loadSettings();
+
+            ErrorHandler.showSuccess(`Backup restored: ${result.written} entries written, ${result.removed} removed.`);
+        } catch (error) {
+            ErrorHandler.logError('BackupManager.handleRestore', error);
+            ErrorHandler.showError('Restore Error', 'The restore stopped part way. Your data may be partly restored - please try again.');
+        }
+    },
+
+    /**
+     * Show the restore preview
+     * @param {Object} parsed - Result of parseBackup
+     * @param {Object} preview - Result of buildPreview
+     * @param {string} mode - 'merge' or 'replace'
+     */
+    renderPreview(parsed, preview, mode) {
+        const container = document.getElementById('restorePreview');
+        const restoreBtn = document.getElementById('restoreBackupBtn');
+        if (!container) return;
+
+        container.innerHTML = '';
+        const addLine = (text, className) => {
+            const line = document.createElement('p');
+            line.textContent = text;
+            if (className) line.className = className;
+            container.appendChild(line);
+        };
+        const listDates = (dates) => {
+            const shown = dates.slice(0, 10).join(', ');
+            return dates.length > 10 ? `${shown} and ${dates.length - 10} more` : shown;
+        };
+
+        const createdAt = parsed.createdAt ? new Date(parsed.createdAt).toLocaleString() : 'unknown date';
+        addLine(`Backup of ${parsed.profile.name} (${parsed.profile.email}) from ${createdAt} - ${parsed.entries.length} entries.`);
+
+        const currentUser = AuthManager.getCurrentUser();
+        if (currentUser && currentUser.email !== parsed.profile.email) {
+            addLine('⚠️ This backup belongs to a different account. Its entries will be added to yours.', 'restore-warning');
+        }
+
+        addLine(`➕ New: ${preview.added.length}${preview.added.length ? ` (${listDates(preview.added)})` : ''}`);
+        addLine(`✏️ ${mode === 'merge' ? 'Merged' : 'Overwritten'}: ${preview.changed.length}${preview.changed.length ? ` (${listDates(preview.changed)})` : ''}`);
+        addLine(`✔️ Unchanged: ${preview.unchanged.length}`);
+        if (mode === 'replace') {
+            addLine(`🗑️ Deleted: ${preview.removed.length}${preview.removed.length ? ` (${listDates(preview.removed)})` : ''}`,
+                preview.removed.length ? 'restore-warning' : '');
+        }
+        if (parsed.invalid.length > 0) {
+            addLine(`⚠️ Skipped ${parsed.invalid.length} invalid record(s): ` +
+                parsed.invalid.slice(0, 5).map(r => `#${r.index + 1}${r.date ? ` (${r.date})` : ''}: ${r.reason}`).join('; '),
+                'restore-warning');
+        }
+
+        container.classList.remove('hidden');
+        if (restoreBtn) restoreBtn.classList.remove('hidden');
+    },
+
+    clearPreview() {
+        this.pendingRestore = null;
+        const container = document.getElementById('restorePreview');
+        const restoreBtn = document.getElementById('restoreBackupBtn');
+        if (container) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
+        }
+        if (restoreBtn) restoreBtn.classList.add('hidden');
+    },
+
+    /**
+     * Show when the last backup was made (settings view)
+     */
+    updateStatus() {
+        const status = document.getElementById('backupStatus');
+        if (!status) return;
+        const { lastBackupAt } = this.getReminderState();
+        status.textContent = lastBackupAt
+            ? `Last backup: ${new Date(lastBackupAt).toLocaleDateString()}`
+            : 'You have not made a backup on this device yet.';
+    },
+
+    /**
+     * Show the reminder banner when a backup is due
+     * Due when there are entries and none were backed up in the last BACKUP_REMINDER_DAYS
+     */
+    async updateReminderBanner() {
+        const banner = document.getElementById('backupBanner');
+        if (!banner) return;
+
+        try {
+            const due = await this.isReminderDue();
+            banner.classList.toggle('hidden', !due);
+        } catch (error) {
+            ErrorHandler.logError('BackupManager.updateReminderBanner', error);
+            banner.classList.add('hidden');
+        }
+    },
+
+    /**
+     * Decide whether the backup reminder should show
+     * Counts from the last backup, or from the oldest entry if there never was one
+     * @returns {Promise<boolean>} True if due
+     */
+    async isReminderDue() {
+        if (!AppConfig.enableBackupReminder || !AuthManager.getCurrentUser()) return false;
+
+        const { lastBackupAt, snoozedUntil } = this.getReminderState();
+        const now = Date.now();
+        if (snoozedUntil && new Date(snoozedUntil).getTime() > now) return false;
+
+        let since = lastBackupAt ? new Date(lastBackupAt).getTime() : null;
+        if (since === null) {
+            const entries = await StorageAdapter.getAllEntries();
+            if (entries.length === 0) return false;
+            since = DateUtils.parseDateKey(entries[entries.length - 1].date).getTime();
         }
-    }
-};
+        return now - since >= AppConfig.backupReminderDays * 24 * 60 * 60 * 1000;
+    },
 
-// History View - Displays calendar with mood history and details
-const HistoryView = {
-    currentDate: new Date(),
-    
     /**
-     * Initializes history view - renders calendar and sets up navigation
+     * Hide the reminder for a few days
      */
-    loadHistory() {
-        this.renderCalendar();
-        this.setupCalendarNavigation();
-        this.displayDetailsMessage();
+    snoozeReminder() {
+        const state = this.getReminderState();
+        state.snoozedUntil = new Date(Date.now() + this.reminderSnoozeDays * 24 * 60 * 60 * 1000).toISOString();
+        this.saveReminderState(state);
+        this.updateReminderBanner();
+    }
+};
+
+// CSV Importer - Bring in history from other trackers or spreadsheets
+/**
+ * Wizard steps (Settings view): choose a file -> map columns -> set mood scale,
+ * date format and stress labels -> preview every row -> import the valid rows.
+ * Rows are validated with ValidationHelper.validateEntry before anything is saved.
+ * The app's own CSV (AnalyticsView.exportCSV) maps automatically.
+ */
+const CSVImporter = {
+    exportHeader: 'Date,Mood,Sleep (hrs),Stress,Activities,Notes',
+
+    // Entry fields a column can be mapped to; patterns are tried in order to guess the column
+    fields: [
+        { key: 'date', label: 'Date', required: true, patterns: [/^full_?date$/i, /^date$/i, /date|day/i] },
+        { key: 'mood', label: 'Mood', required: true, patterns: [/^mood$/i, /mood/i] },
+        { key: 'sleep', label: 'Sleep (hours)', patterns: [/^sleep/i, /sleep/i] },
+        { key: 'stress', label: 'Stress', patterns: [/^stress$/i, /stress|anxiety/i] },
+        { key: 'activities', label: 'Activities', patterns: [/^activities$/i, /activit|tags/i] },
+        { key: 'notes', label: 'Notes', patterns: [/^notes?$/i, /journal|note|memo|comment/i] }
+    ],
+
+    // Daylio-style mood words on a 1-5 scale
+    moodLabels: { awful: 1, terrible: 1, bad: 2, meh: 3, okay: 3, ok: 3, good: 4, great: 5, rad: 5 },
+
+    // Common stress words -> the app's 1-4 scale
+    stressLabels: {
+        none: 1, low: 1, calm: 1, relaxed: 1,
+        moderate: 2, medium: 2, some: 2, mild: 2,
+        high: 3, stressed: 3,
+        'very high': 4, 'very_high': 4, severe: 4, extreme: 4
     },
-    
+
+    // Most rows shown in the preview table; all rows are still validated
+    previewLimit: 200,
+
+    // Parsed file and the preview waiting to be imported
+    rows: null,
+    headers: null,
+    pendingEntries: null,
+
     /**
-     * Renders calendar grid for current month
-     * Displays moods with emojis for days with entries
-     * Shows previous/next month days in grayed out style
+     * Sets up the import wizard controls
      */
-    renderCalendar() {
-        const year = this.currentDate.getFullYear();
-        const month = this.currentDate.getMonth();
-        
-        // Update month/year display
-        const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
-                           'July', 'August', 'September', 'October', 'November', 'December'];
-        const monthDisplay = document.getElementById('monthYearDisplay');
-        if (monthDisplay) {
-            monthDisplay.textContent = `${monthNames[month]} ${year}`;
+    init() {
+        const fileInput = document.getElementById('importFileInput');
+        if (fileInput) {
+            fileInput.addEventListener('change', () => this.handleFile(fileInput.files && fileInput.files[0]));
         }
-        
-        // Get all entries and create lookup map for O(1) access
-        const allEntries = StorageManager.getAllEntries();
-        const entryMap = {};
-        allEntries.forEach(entry => {
-            entryMap[entry.date] = entry;
-        });
-        
-        // Get calendar structure info
-        const firstDay = new Date(year, month, 1).getDay();
-        const daysInMonth = new Date(year, month + 1, 0).getDate();
-        const daysInPrevMonth = new Date(year, month, 0).getDate();
-        
-        // Create calendar grid
-        const calendarDays = document.getElementById('calendarDays');
-        if (!calendarDays) return;
-        
-        calendarDays.innerHTML = '';
-        
-        // Add previous month's days (grayed out)
-        for (let i = firstDay - 1; i >= 0; i--) {
-            const day = daysInPrevMonth - i;
-            const dayElement = document.createElement('div');
-            dayElement.className = 'calendar-day other-month';
-            dayElement.textContent = day;
-            calendarDays.appendChild(dayElement);
+
+        const previewBtn = document.getElementById('previewImportBtn');
+        if (previewBtn) {
+            previewBtn.addEventListener('click', () => this.handlePreview());
         }
-        
-        // Add current month's days
-        for (let day = 1; day <= daysInMonth; day++) {
-            const dateStr = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-            const entry = entryMap[dateStr];
-            
-            const dayElement = document.createElement('div');
-            dayElement.className = 'calendar-day';
-            
-            // Display mood emoji if entry exists for this day
-            if (entry) {
-                dayElement.classList.add('has-entry');
-                const moodEmoji = this.getMoodEmoji(entry.mood);
-                dayElement.innerHTML = `<div class="calendar-day-emoji">${moodEmoji}</div><div>${day}</div>`;
-            } else {
-                dayElement.textContent = day;
-            }
-            
-            // Add click handler to display entry details
-            dayElement.addEventListener('click', () => {
-                if (entry) {
-                    this.displayEntryDetails(entry, dateStr);
-                    
-                    // Update selected state
-                    document.querySelectorAll('.calendar-day').forEach(el => el.classList.remove('selected'));
-                    dayElement.classList.add('selected');
-                }
-            });
-            
-            calendarDays.appendChild(dayElement);
+
+        const importBtn = document.getElementById('importCsvBtn');
+        if (importBtn) {
+            importBtn.addEventListener('click', () => this.handleImport());
         }
-        
-        // Add next month's days (grayed out) to complete grid
-        const totalCells = calendarDays.children.length;
-        const remainingCells = 42 - totalCells; // 6 weeks * 7 days
-        for (let day = 1; day <= remainingCells; day++) {
-            const dayElement = document.createElement('div');
-            dayElement.className = 'calendar-day other-month';
-            dayElement.textContent = day;
-            calendarDays.appendChild(dayElement);
+
+        // Changing an option invalidates the preview; a new stress column needs a new label table
+        const options = document.getElementById('importOptions');
+        if (options) {
+            options.addEventListener('change', (e) => {
+                if (e.target && e.target.id === 'importMap-stress') this.renderStressMapping();
+                this.clearPreview();
+            });
         }
     },
-    
+
     /**
-     * Sets up previous/next month navigation buttons
+     * Split CSV text into rows of fields
+     * Handles quoted fields, escaped quotes, CRLF, a UTF-8 BOM and ',', ';' or tab delimiters
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} Rows (blank lines dropped)
      */
-    setupCalendarNavigation() {
-        const prevBtn = document.getElementById('prevMonth');
-        const nextBtn = document.getElementById('nextMonth');
-        
-        if (prevBtn) {
-            prevBtn.removeEventListener('click', this.handlePrevMonth.bind(this));
-            prevBtn.addEventListener('click', this.handlePrevMonth.bind(this));
+    parseCSV(text) {
+        const input = text.replace(/^\uFEFF/, '');
+        const firstLine = input.split(/\r?\n/, 1)[0] || '';
+        const delimiter = ['\t', ';', ','].reduce((best, candidate) =>
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
         }
-        
-        if (nextBtn) {
-            nextBtn.removeEventListener('click', this.handleNextMonth.bind(this));
-            nextBtn.addEventListener('click', this.handleNextMonth.bind(this));
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
         }
+        return rows.filter(r => r.some(value => value.trim() !== ''));
     },
-    
+
     /**
-     * Navigates to previous month
+     * Guess which column holds each field
+     * @param {Array<string>} headers - Header row
+     * @returns {Object} Field key -> column index (or -1)
      */
-    handlePrevMonth() {
-        this.currentDate.setMonth(this.currentDate.getMonth() - 1);
-        this.renderCalendar();
+    guessMapping(headers) {
+        const mapping = {};
+        const used = new Set();
+        this.fields.forEach(field => {
+            mapping[field.key] = -1;
+            for (const pattern of field.patterns) {
+                const index = headers.findIndex((header, i) => !used.has(i) && pattern.test(header.trim()));
+                if (index >= 0) {
+                    mapping[field.key] = index;
+                    used.add(index);
+                    break;
+                }
+            }
+        });
+        return mapping;
     },
-    
+
     /**
-     * Navigates to next month
+     * Guess the source mood range from the mood column
+     * @param {Array<string>} values - Raw mood values
+     * @returns {{min: number, max: number}} Source range
      */
-    handleNextMonth() {
-        this.currentDate.setMonth(this.currentDate.getMonth() + 1);
-        this.renderCalendar();
+    detectMoodScale(values) {
+        const numbers = values.map(v => parseFloat(v)).filter(n => !isNaN(n));
+        if (numbers.length === 0) return { min: 1, max: 5 };  // word moods (Daylio)
+        const min = Math.min(...numbers);
+        const max = Math.max(...numbers);
+        if (min >= 1 && max <= 5) return { min: 1, max: 5 };
+        if (min >= 0 && max <= 10) return { min: min === 0 ? 0 : 1, max: 10 };
+        return { min, max };
     },
-    
+
     /**
-     * Displays detailed entry information in the details panel
-     * Shows mood, sleep, stress, activities, and journal notes
-     * @param {Object} entry - Entry data to display
-     * @param {string} dateStr - Date string in YYYY-MM-DD format
+     * Guess the date format from the date column
+     * @param {Array<string>} values - Raw date values
+     * @returns {string} 'ymd', 'mdy' or 'dmy'
      */
-    displayEntryDetails(entry, dateStr) {
-        const date = new Date(entry.date);
-        const moodEmoji = this.getMoodEmoji(entry.mood);
-        const stressLabel = ['', 'Low 😌', 'Moderate 😐', 'High 😰', 'Very High 😱'][entry.stress];
-        
-        const detailsPanel = document.getElementById('detailsPanel');
-        if (!detailsPanel) return;
-        
-        detailsPanel.innerHTML = `
-            <h3>${date.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</h3>
-            
-            <div class="detail-item">
-                <div class="detail-label">Mood</div>
-                <div class="detail-value">
-                    <span class="detail-emoji">${moodEmoji}</span> ${entry.mood}/10
-                </div>
-            </div>
-            
-            <div class="detail-item">
-                <div class="detail-label">Sleep</div>
-                <div class="detail-value">😴 ${entry.sleep} hours</div>
-            </div>
-            
-            <div class="detail-item">
-                <div class="detail-label">Stress Level</div>
-                <div class="detail-value">${stressLabel}</div>
-            </div>
-            
-            ${entry.activities && entry.activities.length > 0 ? `
-                <div class="detail-item">
-                    <div class="detail-label">Activities</div>
-                    <div class="detail-value">🎯 ${entry.activities.join(', ')}</div>
-                </div>
-            ` : ''}
-            
-            ${entry.journal ? `
-                <div class="detail-item">
-                    <div class="detail-label">Notes</div>
-                    <div class="detail-value" style="font-style: italic;">"${entry.journal}"</div>
-                </div>
-            ` : ''}
-        `;
+    detectDateFormat(values) {
+        let format = 'ymd';
+        for (const value of values) {
+            const parts = value.trim().match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+            if (!parts) continue;
+            if (parseInt(parts[1], 10) > 12) return 'dmy';
+            if (parseInt(parts[2], 10) > 12) return 'mdy';
+            format = 'mdy';
+        }
+        return format;
     },
-    
+
     /**
-     * Displays default message when no entry is selected
+     * Turn a raw date into a date key
+     * @param {string} value - Raw date (YYYY-MM-DD[...time], M/D/YYYY, D/M/YYYY, D.M.YYYY)
+     * @param {string} format - 'ymd', 'mdy' or 'dmy' for day/month order
+     * @returns {string|null} Date key or null if unreadable
      */
-    displayDetailsMessage() {
-        const detailsPanel = document.getElementById('detailsPanel');
-        if (detailsPanel) {
-            detailsPanel.innerHTML = '<p style="text-align: center; color: var(--text-secondary);">Click on a date to see details</p>';
+    parseDate(value, format) {
+        const text = String(value || '').trim();
+        let year, month, day;
+
+        const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        const local = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+        if (iso) {
+            [year, month, day] = [iso[1], iso[2], iso[3]].map(Number);
+        } else if (local) {
+            const [first, second, third] = [local[1], local[2], local[3]].map(Number);
+            year = third < 100 ? 2000 + third : third;
+            [month, day] = format === 'dmy' ? [second, first] : [first, second];
+        } else {
+            return null;
         }
-    }
-};
 
-// Analytics View - Displays charts and trends from wellness data
-const AnalyticsView = {
-    charts: {},
-    
+        const date = new Date(year, month - 1, day);
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            return null;
+        }
+        return DateUtils.formatDateKey(year, month - 1, day);
+    },
+
     /**
-     * Initializes analytics view
-     * Loads data and creates visualizations
+     * Convert a raw mood to the app's 1-10 scale
+     * @param {string} value - Number on the source scale, or a mood word
+     * @param {{min: number, max: number}} scale - Source range
+     * @returns {number|null} Mood 1-10, or null if unreadable or out of range
      */
-    loadAnalytics() {
-        try {
-            const entries = StorageManager.getLastNDays(30);
-            
-            if (entries.length === 0) {
-                const analyticsContainer = document.querySelector('.analytics-container');
-                if (analyticsContainer) {
-                    analyticsContainer.innerHTML += 
-                        '<p style="text-align: center; color: var(--text-secondary);">Need more data to display analytics. Keep tracking!</p>';
-                }
-                return;
-            }
-            
-            // Calculate and display summaries
-            this.displaySummaries(entries);
-            
-            // Create charts
-            this.createCharts(entries);
-            
-            // Display weekly summary
-            this.displayWeeklySummary(entries);
-            
-            // Setup export buttons
-            this.setupExportButtons(entries);
-        } catch (error) {
-            ErrorHandler.logError('AnalyticsView.loadAnalytics', error);
+    parseMood(value, scale) {
+        const text = String(value || '').trim().toLowerCase();
+        const label = this.moodLabels[text];
+        const source = label !== undefined ? { min: 1, max: 5 } : scale;
+        const number = label !== undefined ? label : parseFloat(text);
+
+        if (isNaN(number) || number < source.min || number > source.max || source.max <= source.min) {
+            return null;
         }
+        return Math.round(1 + (number - source.min) * 9 / (source.max - source.min));
     },
-    
+
     /**
-     * Calculates and displays summary statistics
-     * Shows average mood, sleep, and stress across the period
-     * @param {Array} entries - Array of wellness entries
+     * Distinct non-numeric stress values in the mapped column
+     * @returns {Array<string>} Lower-cased labels
      */
-    displaySummaries(entries) {
-        const avgMood = (entries.reduce((sum, e) => sum + e.mood, 0) / entries.length).toFixed(1);
-        const avgSleep = (entries.reduce((sum, e) => sum + e.sleep, 0) / entries.length).toFixed(1);
-        const avgStress = (entries.reduce((sum, e) => sum + e.stress, 0) / entries.length).toFixed(1);
-        
-        const avgMoodEl = document.getElementById('avgMood');
-        const avgSleepEl = document.getElementById('avgSleep');
-        const avgStressEl = document.getElementById('avgStress');
-        
-        if (avgMoodEl) avgMoodEl.textContent = `${avgMood}/10`;
-        if (avgSleepEl) avgSleepEl.textContent = `${avgSleep} hrs`;
-        if (avgStressEl) avgStressEl.textContent = `${avgStress}/4`;
+    getStressLabels() {
+        const column = this.getMapping().stress;
+        if (column < 0 || !this.rows) return [];
+        const labels = new Set();
+        this.rows.forEach(row => {
+            const value = (row[column] || '').trim().toLowerCase();
+            if (value && isNaN(Number(value))) labels.add(value);
+        });
+        return [...labels].sort();
     },
-    
-    createCharts(entries) {
+
+    /**
+     * Read a file and show the column mapping step
+     * @param {File} file - Chosen CSV file
+     */
+    async handleFile(file) {
+        this.reset();
+        if (!file) return;
+
         try {
-            // Sort entries by date (oldest first for proper chart display)
-            const sortedEntries = [...entries].reverse();
-            
-            const dates = sortedEntries.map(e => new Date(e.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
-            const moods = sortedEntries.map(e => e.mood);
-            const sleeps = sortedEntries.map(e => e.sleep);
-            const stresses = sortedEntries.map(e => e.stress);
-            
-            // Create three different chart types for different perspectives
-            this.createMoodChart(dates, moods);
-            this.createSleepChart(dates, sleeps);
-            this.createStressChart(dates, stresses);
+            const rows = this.parseCSV(await file.text());
+            if (rows.length < 2) {
+                throw new Error('The file needs a header row and at least one data row.');
+            }
+            this.headers = rows[0].map(h => h.trim());
+            this.rows = rows.slice(1);
+            this.renderOptions();
         } catch (error) {
-            ErrorHandler.logError('AnalyticsView.createCharts', error);
+            ErrorHandler.logError('CSVImporter.handleFile', error);
+            ErrorHandler.showError('Import Error', error.message);
         }
     },
-    
-    createMoodChart(dates, moodData) {
-        const ctx = document.getElementById('moodChart');
-        if (!ctx) return;
-        
-        // Destroy existing chart to prevent memory leaks
-        if (this.charts.mood) this.charts.mood.destroy();
-        
-        // Create line chart showing mood trends
-        this.charts.mood = new Chart(ctx, {
-            type: 'line',
-            data: {
-                labels: dates,
-                datasets: [{
-                    label: 'Daily Mood',
-                    data: moodData,
-                    borderColor: '#667eea',
-                    backgroundColor: 'rgba(102, 126, 234, 0.1)',
-                    tension: 0.4,
-                    fill: true,
-                    pointRadius: 5,
-                    pointBackgroundColor: '#667eea',
-                    pointBorderColor: '#fff',
-                    pointBorderWidth: 2
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        display: true,
-                        labels: {
-                            color: getComputedStyle(document.documentElement).getPropertyValue('--text-primary')
-                        }
-                    }
-                },
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        max: 10,
-                        ticks: {
-                            color: getComputedStyle(document.documentElement).getPropertyValue('--text-secondary')
-                        },
-                        grid: {
-                            color: getComputedStyle(document.documentElement).getPropertyValue('--border-color')
-                        }
-                    },
-                    x: {
-                        ticks: {
-                            color: getComputedStyle(document.documentElement).getPropertyValue('--text-secondary')
-                        },
-                        grid: {
-                            color: getComputedStyle(document.documentElement).getPropertyValue('--border-color')
-                        }
-                    }
-                }
-            }
+
+    /**
+     * Build the mapping and options form with guessed values
+     */
+    renderOptions() {
+        const mappingContainer = document.getElementById('importMapping');
+        const options = document.getElementById('importOptions');
+        if (!mappingContainer || !options) return;
+
+        const guessed = this.guessMapping(this.headers);
+        mappingContainer.innerHTML = '';
+        this.fields.forEach(field => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            const label = document.createElement('label');
+            label.htmlFor = `importMap-${field.key}`;
+            label.textContent = field.required ? `${field.label} *` : field.label;
+            const select = document.createElement('select');
+            select.id = `importMap-${field.key}`;
+
+            const none = document.createElement('option');
+            none.value = '-1';
+            none.textContent = '(not in file)';
+            select.appendChild(none);
+            this.headers.forEach((header, index) => {
+                const option = document.createElement('option');
+                option.value = String(index);
+                option.textContent = header || `Column ${index + 1}`;
+                select.appendChild(option);
+            });
+            select.value = String(guessed[field.key]);
+
+            group.appendChild(label);
+            group.appendChild(select);
+            mappingContainer.appendChild(group);
+        });
+
+        const column = index => (index >= 0 ? this.rows.map(row => row[index] || '') : []);
+        const ownExport = this.headers.slice(0, 6).join(',') === this.exportHeader;
+        const scale = ownExport ? { min: 1, max: 10 } : this.detectMoodScale(column(guessed.mood));
+        document.getElementById('importMoodMin').value = scale.min;
+        document.getElementById('importMoodMax').value = scale.max;
+        document.getElementById('importDateFormat').value = this.detectDateFormat(column(guessed.date));
+
+        options.classList.remove('hidden');
+        this.renderStressMapping();
+    },
+
+    /**
+     * One select per stress word in the file, pre-filled where the word is known
+     */
+    renderStressMapping() {
+        const container = document.getElementById('importStressMap');
+        if (!container) return;
+
+        container.innerHTML = '';
+        const labels = this.getStressLabels();
+        container.classList.toggle('hidden', labels.length === 0);
+        if (labels.length === 0) return;
+
+        const heading = document.createElement('p');
+        heading.className = 'settings-hint';
+        heading.textContent = 'Match the stress words in your file to stress levels:';
+        container.appendChild(heading);
+
+        labels.forEach((text, index) => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            const label = document.createElement('label');
+            label.htmlFor = `importStress-${index}`;
+            label.textContent = text;
+            const select = document.createElement('select');
+            select.id = `importStress-${index}`;
+            select.dataset.label = text;
+
+            [['', '(skip rows)'], ['1', 'Low'], ['2', 'Moderate'], ['3', 'High'], ['4', 'Very High']].forEach(([value, name]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+            const guess = this.stressLabels[text];
+            select.value = guess ? String(guess) : '';
+
+            group.appendChild(label);
+            group.appendChild(select);
+            container.appendChild(group);
         });
     },
-    
-    createSleepChart(dates, sleepData) {
-        const ctx = document.getElementById('sleepChart');
-        if (!ctx) return;
-        
-        // Destroy existing chart
-        if (this.charts.sleep) this.charts.sleep.destroy();
-        
-        // Create bar chart for sleep hours
-        this.charts.sleep = new Chart(ctx, {
-            type: 'bar',
-            data: {
-                labels: dates,
-                datasets: [{
-                    label: 'Hours of Sleep',
-                    data: sleepData,
-                    backgroundColor: '#48bb78',
-                    borderColor: '#48bb78',
-                    borderRadius: 5,
-                    borderWidth: 2
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        display: true,
-                        labels: {
-                            color: getComputedStyle(document.documentElement).getPropertyValue('--text-primary')
-                        }
-                    }
-                },
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        max: 12,
-                        ticks: {
-                            color: getComputedStyle(document.documentElement).getPropertyValue('--text-secondary')
-                        },
-                        grid: {
-                            color: getComputedStyle(document.documentElement).getPropertyValue('--border-color')
-                        }
-                    },
-                    x: {
-                        ticks: {
-                            color: getComputedStyle(document.documentElement).getPropertyValue('--text-secondary')
-                        },
-                        grid: {
-                            color: getComputedStyle(document.documentElement).getPropertyValue('--border-color')
-                        }
-                    }
-                }
-            }
+
+    /**
+     * Current column mapping from the form
+     * @returns {Object} Field key -> column index (or -1)
+     */
+    getMapping() {
+        const mapping = {};
+        this.fields.forEach(field => {
+            const select = document.getElementById(`importMap-${field.key}`);
+            mapping[field.key] = select ? parseInt(select.value, 10) : -1;
         });
+        return mapping;
     },
-    
-    createStressChart(dates, stressData) {
-        const ctx = document.getElementById('stressChart');
-        if (!ctx) return;
-        
-        // Destroy existing chart
-        if (this.charts.stress) this.charts.stress.destroy();
-        
-        // Create line chart for stress trends
-        this.charts.stress = new Chart(ctx, {
-            type: 'line',
-            data: {
-                labels: dates,
-                datasets: [{
-                    label: 'Stress Level',
-                    data: stressData,
-                    borderColor: '#f6ad55',
-                    backgroundColor: 'rgba(246, 173, 85, 0.1)',
-                    tension: 0.4,
-                    fill: true,
-                    pointRadius: 5,
-                    pointBackgroundColor: '#f6ad55',
-                    pointBorderColor: '#fff',
-                    pointBorderWidth: 2
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        display: true,
-                        labels: {
-                            color: getComputedStyle(document.documentElement).getPropertyValue('--text-primary')
-                        }
-                    }
-                },
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        max: 4,
-                        ticks: {
-                            // Convert numeric stress level to label
-                            callback: function(value) {
-                                return ['', 'Low', 'Moderate', 'High', 'Very High'][value];
-                            },
-                            color: getComputedStyle(document.documentElement).getPropertyValue('--text-secondary')
-                        },
-                        grid: {
-                            color: getComputedStyle(document.documentElement).getPropertyValue('--border-color')
-                        }
-                    },
-                    x: {
-                        ticks: {
-                            color: getComputedStyle(document.documentElement).getPropertyValue('--text-secondary')
-                        },
-                        grid: {
-                            color: getComputedStyle(document.documentElement).getPropertyValue('--border-color')
-                        }
-                    }
-                }
-            }
+
+    /**
+     * Current wizard options from the form
+     * @returns {Object} Options for buildEntries
+     */
+    getOptions() {
+        const stressMap = {};
+        document.querySelectorAll('#importStressMap select').forEach(select => {
+            if (select.value) stressMap[select.dataset.label] = parseInt(select.value, 10);
         });
+        const value = id => (document.getElementById(id) || {}).value || '';
+        return {
+            mapping: this.getMapping(),
+            moodScale: { min: parseFloat(value('importMoodMin')), max: parseFloat(value('importMoodMax')) },
+            dateFormat: value('importDateFormat') || 'ymd',
+            stressMap,
+            defaultSleep: value('importDefaultSleep').trim(),
+            defaultStress: value('importDefaultStress').trim(),
+            overwrite: value('importExisting') === 'overwrite',
+            metricColumns: this.getMetricColumns(this.getMapping())
+        };
     },
-    
-    displayWeeklySummary(entries) {
-        try {
-            // Group entries by day of week
-            const summary = {};
-            
-            entries.forEach(entry => {
-                const date = new Date(entry.date);
-                const dayName = date.toLocaleDateString('en-US', { weekday: 'short' });
-                
-                if (!summary[dayName]) {
-                    summary[dayName] = { moods: [], sleeps: [], stresses: [], count: 0 };
+
+    /**
+     * Columns named like one of the user's custom metrics (e.g. from the app's own export)
+     * @param {Object} mapping - Column index per standard field
+     * @returns {Array<{definition: Object, index: number}>} Metric columns
+     */
+    getMetricColumns(mapping) {
+        const used = new Set(Object.values(mapping));
+        return CustomMetrics.getDefinitions()
+            .map(definition => ({
+                definition,
+                index: this.headers.findIndex((header, i) => !used.has(i) && header.trim().toLowerCase() === definition.name.toLowerCase())
+            }))
+            .filter(column => column.index >= 0);
+    },
+
+    /**
+     * Turn CSV rows into entries and collect each row's problems
+     * @param {Array<Array<string>>} rows - Data rows
+     * @param {Object} options - See getOptions()
+     * @param {Map<string, Object>} existing - Current entries by date
+     * @returns {Array<Object>} One result per row: { rowNumber, entry, errors, status }
+     *   status is 'new', 'overwrite', 'skip' (day already has a check-in) or 'error'
+     */
+    buildEntries(rows, options, existing) {
+        const { mapping } = options;
+        const cell = (row, key) => (mapping[key] >= 0 ? (row[mapping[key]] || '').trim() : '');
+        const seenDates = new Map();
+
+        return rows.map((row, index) => {
+            const rowNumber = index + 2;  // header is row 1
+            const errors = [];
+
+            const date = this.parseDate(cell(row, 'date'), options.dateFormat);
+            if (!date) errors.push(`Unreadable date "${cell(row, 'date')}"`);
+
+            const mood = this.parseMood(cell(row, 'mood'), options.moodScale);
+            if (mood === null) errors.push(`Mood "${cell(row, 'mood')}" is not on the ${options.moodScale.min}-${options.moodScale.max} scale`);
+
+            const sleepText = cell(row, 'sleep') || options.defaultSleep;
+            if (!sleepText) errors.push('Sleep is missing');
+            const sleep = parseFloat(sleepText);
+
+            const stressText = (cell(row, 'stress') || options.defaultStress).toLowerCase();
+            let stress = null;
+            if (!stressText) {
+                errors.push('Stress is missing');
+            } else if (!isNaN(Number(stressText))) {
+                stress = parseInt(stressText, 10);
+            } else if (options.stressMap[stressText]) {
+                stress = options.stressMap[stressText];
+            } else {
+                errors.push(`Stress "${stressText}" is not mapped to a level`);
+            }
+
+            const activityText = cell(row, 'activities');
+            const separator = /[;|]/.test(activityText) ? /[;|]/ : /,/;
+            const activities = activityText
+                ? [...new Set(activityText.split(separator).filter(a => a.trim()).map(a => ActivityTags.resolve(a)))]
+                : [];
+
+            const metrics = {};
+            (options.metricColumns || []).forEach(({ definition, index: column }) => {
+                const text = (row[column] || '').trim();
+                if (!text) return;
+                const value = CustomMetrics.parseValue(definition, text);
+                if (value === null || !CustomMetrics.isValidDayValue(definition, value)) {
+                    errors.push(`${definition.name} "${text}" is not a valid value`);
+                } else {
+                    metrics[definition.id] = value;
                 }
-                
-                summary[dayName].moods.push(entry.mood);
-                summary[dayName].sleeps.push(entry.sleep);
-                summary[dayName].stresses.push(entry.stress);
-                summary[dayName].count++;
             });
-            
-            // Display organized by day order
-            const daysOrder = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-            const weeklySummaryContent = document.getElementById('weeklySummaryContent');
-            if (!weeklySummaryContent) return;
-            
-            weeklySummaryContent.innerHTML = '';
-            
-            daysOrder.forEach(day => {
-                if (summary[day]) {
-                    const avgMood = (summary[day].moods.reduce((a, b) => a + b, 0) / summary[day].moods.length).toFixed(1);
-                    const moodEmoji = HistoryView.getMoodEmoji(avgMood);
-                    
-                    const weeklyDay = document.createElement('div');
-                    weeklyDay.className = 'weekly-day';
-                    weeklyDay.innerHTML = `
-                        <div class="weekly-day-name">${day}</div>
-                        <div class="weekly-day-emoji">${moodEmoji}</div>
-                        <div style="font-size: 0.9rem; color: var(--text-secondary);">${avgMood}/10</div>
-                    `;
-                    weeklySummaryContent.appendChild(weeklyDay);
+
+            const notes = cell(row, 'notes');
+            const entry = {
+                date,
+                mood,
+                sleep,
+                stress,
+                journal: notes ? ValidationHelper.sanitizeString(notes) : '',
+                activities,
+                metrics,
+                timestamp: date ? new Date(`${date}T12:00:00`).toISOString() : null
+            };
+
+            if (errors.length === 0) {
+                try {
+                    ValidationHelper.validateEntry(entry);
+                } catch (error) {
+                    errors.push(error.message);
                 }
-            });
+            }
+            if (date && seenDates.has(date)) {
+                errors.push(`Same date as row ${seenDates.get(date)}`);
+            } else if (date) {
+                seenDates.set(date, rowNumber);
+            }
+
+            let status = 'new';
+            if (errors.length > 0) {
+                status = 'error';
+            } else if (existing.has(date)) {
+                status = options.overwrite ? 'overwrite' : 'skip';
+            }
+            return { rowNumber, entry, errors, status };
+        });
+    },
+
+    /**
+     * Validate every row and show the results
+     */
+    async handlePreview() {
+        this.clearPreview();
+        if (!this.rows) return;
+
+        const options = this.getOptions();
+        if (options.mapping.date < 0 || options.mapping.mood < 0) {
+            ErrorHandler.showError('Import Error', 'Choose the columns that hold the date and the mood.');
+            return;
+        }
+        if (isNaN(options.moodScale.min) || isNaN(options.moodScale.max) || options.moodScale.max <= options.moodScale.min) {
+            ErrorHandler.showError('Import Error', 'The mood scale needs a lowest value below its highest value.');
+            return;
+        }
+
+        try {
+            const existing = new Map((await StorageAdapter.getAllEntries()).map(e => [e.date, e]));
+            const results = this.buildEntries(this.rows, options, existing);
+            this.pendingEntries = results.filter(r => r.status === 'new' || r.status === 'overwrite').map(r => r.entry);
+            this.renderPreview(results);
         } catch (error) {
-            ErrorHandler.logError('AnalyticsView.displayWeeklySummary', error);
+            ErrorHandler.logError('CSVImporter.handlePreview', error);
+            ErrorHandler.showError('Import Error', 'Could not check the file. Please try again.');
         }
     },
-    
+
     /**
-     * Sets up export button event listeners
-     * @param {Array} entries - Array of wellness entries to export
+     * Show a summary and a row-by-row table
+     * @param {Array<Object>} results - Output of buildEntries
      */
-    setupExportButtons(entries) {
-        const csvBtn = document.getElementById('exportCSV');
-        const pdfBtn = document.getElementById('exportPDF');
-        
-        if (csvBtn) csvBtn.addEventListener('click', () => this.exportCSV(entries));
-        if (pdfBtn) pdfBtn.addEventListener('click', () => this.exportPDF(entries));
+    renderPreview(results) {
+        const container = document.getElementById('importPreview');
+        const importBtn = document.getElementById('importCsvBtn');
+        if (!container) return;
+
+        const count = status => results.filter(r => r.status === status).length;
+        const summary = document.createElement('p');
+        summary.textContent = `${count('new')} new, ${count('overwrite')} will overwrite, ` +
+            `${count('skip')} skipped (day already has a check-in), ${count('error')} with errors.`;
+        container.appendChild(summary);
+
+        const table = document.createElement('table');
+        table.className = 'import-table';
+        const headRow = table.createTHead().insertRow();
+        ['Row', 'Date', 'Mood', 'Sleep', 'Stress', 'Result'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        results.slice(0, this.previewLimit).forEach(result => {
+            const row = body.insertRow();
+            row.className = `import-row-${result.status}`;
+            const { entry } = result;
+            const labels = { new: 'New', overwrite: 'Overwrite', skip: 'Skipped', error: result.errors.join('; ') };
+            [result.rowNumber, entry.date || '—', entry.mood ?? '—', isNaN(entry.sleep) ? '—' : entry.sleep, entry.stress ?? '—', labels[result.status]]
+                .forEach(value => {
+                    row.insertCell().textContent = String(value);
+                });
+        });
+        container.appendChild(table);
+
+        if (results.length > this.previewLimit) {
+            const more = document.createElement('p');
+            more.className = 'settings-hint';
+            more.textContent = `Showing the first ${this.previewLimit} of ${results.length} rows.`;
+            container.appendChild(more);
+        }
+
+        container.classList.remove('hidden');
+        if (importBtn) {
+            importBtn.textContent = `Import ${this.pendingEntries.length} Entries`;
+            importBtn.classList.toggle('hidden', this.pendingEntries.length === 0);
+        }
     },
-    
-    exportCSV(entries) {
-        try {
-            let csv = 'Date,Mood,Sleep (hrs),Stress,Activities,Notes\n';
-            
-            entries.forEach(entry => {
-                const date = new Date(entry.date).toLocaleDateString();
-                const activities = entry.activities ? entry.activities.join('; ') : '';
-                const notes = entry.journal || '';
-                
-                // Use sanitization to prevent CSV injection
-                csv += [
-                    ValidationHelper.sanitizeCSVField(date),
-                    ValidationHelper.sanitizeCSVField(entry.mood.toString()),
-                    ValidationHelper.sanitizeCSVField(entry.sleep.toString()),
-                    ValidationHelper.sanitizeCSVField(entry.stress.toString()),
-                    ValidationHelper.sanitizeCSVField(activities),
-                    ValidationHelper.sanitizeCSVField(notes)
-                ].join(',') + '\n';
-            });
-            
-            // Create blob and download
-            const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-            const link = document.createElement('a');
-            const url = URL.createObjectURL(blob);
-            
-            link.setAttribute('href', url);
-            link.setAttribute('download', `wellness-data-${new Date().toISOString().split('T')[0]}.csv`);
-            link.style.visibility = 'hidden';
-            
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            
-            ErrorHandler.showSuccess('Data exported successfully as CSV!');
-        } catch (error) {
-            ErrorHandler.logError('AnalyticsView.exportCSV', error);
-            ErrorHandler.showError(
-                'Export Error',
-                'Could not export data. Please try again.'
-            );
+
+    /**
+     * Save the previewed entries
+     */
+    async handleImport() {
+        if (!this.pendingEntries || this.pendingEntries.length === 0) return;
+
+        const entries = this.pendingEntries;
+        let saved = 0;
+        const failed = [];
+        for (const entry of entries) {
+            try {
+                await StorageAdapter.saveEntry(entry);
+                saved++;
+            } catch (error) {
+                ErrorHandler.logError('CSVImporter.handleImport', error);
+                failed.push(entry.date);
+            }
+        }
+
+        this.reset();
+        const fileInput = document.getElementById('importFileInput');
+        if (fileInput) fileInput.value = '';
+        SyncManager.refreshViews();
+        CheckInView.loadTodayData();
+
+        if (failed.length > 0) {
+            ErrorHandler.showError('Import Incomplete', `Imported ${saved} entries. Could not save: ${failed.join(', ')}`);
+        } else {
+            ErrorHandler.showSuccess(`Imported ${saved} entries.`);
         }
     },
-    
-    exportPDF(entries) {
-        try {
-            ErrorHandler.showInfo(
-                'PDF Export: Please save this page as PDF using your browser ' +
-                '(Ctrl+P or Cmd+P on Mac) to create a comprehensive report of your wellness data.'
-            );
-        } catch (error) {
-            ErrorHandler.logError('AnalyticsView.exportPDF', error);
+
+    clearPreview() {
+        this.pendingEntries = null;
+        const container = document.getElementById('importPreview');
+        const importBtn = document.getElementById('importCsvBtn');
+        if (container) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
         }
-    }
-};
+        if (importBtn) importBtn.classList.add('hidden');
+    },
 
-// Helper function to convert mood value to emoji
-/**
- * Maps numeric mood value to corresponding emoji
- * 1-2: 😢 (Very sad)
- * 3-4: 😟 (Sad)
- * 5-6: 😐 (Neutral)
- * 7-8: 🙂 (Happy)
- * 9-10: 😊 (Very happy)
- * @param {number} moodValue - Mood value (1-10)
- * @returns {string} Corresponding mood emoji
- */
-HistoryView.getMoodEmoji = function(moodValue) {
-    if (moodValue <= 2) return '😢';
-    if (moodValue <= 4) return '😟';
-    if (moodValue <= 6) return '😐';
-    if (moodValue <= 8) return '🙂';
-    return '😊';
+    reset() {
+        this.rows = null;
+        this.headers = null;
+        this.clearPreview();
+        const options = document.getElementById('importOptions');
+        if (options) options.classList.add('hidden');
+    }
 };
 
 // Dark Mode Toggle - Handles theme switching
@@ -1701,40 +9284,36 @@ function setupThemeToggle() {
     
     try {
         // Check for saved theme preference, default to 'light'
-        const savedTheme = localStorage.getItem('theme') || 'light';
-        
-        if (savedTheme === 'dark') {
-            htmlElement.classList.add('dark-mode');
-            themeToggle.textContent = '☀️';
-        } else {
-            htmlElement.classList.remove('dark-mode');
-            themeToggle.textContent = '🌙';
-        }
+        applyTheme(localStorage.getItem('theme') || 'light');
         
         themeToggle.addEventListener('click', () => {
-            if (htmlElement.classList.contains('dark-mode')) {
-                // Switch to light mode
-                htmlElement.classList.remove('dark-mode');
-                localStorage.setItem('theme', 'light');
-                themeToggle.textContent = '🌙';
-            } else {
-                // Switch to dark mode
-                htmlElement.classList.add('dark-mode');
-                localStorage.setItem('theme', 'dark');
-                themeToggle.textContent = '☀️';
-            }
-            
-            // Reload charts if analytics view is active to update legend colors
-            const analyticsView = document.getElementById('analytics');
-            if (analyticsView && analyticsView.classList.contains('active')) {
-                AnalyticsView.loadAnalytics();
-            }
+            const theme = htmlElement.classList.contains('dark-mode') ? 'light' : 'dark';
+            localStorage.setItem('theme', theme);
+            applyTheme(theme);
         });
     } catch (error) {
         ErrorHandler.logError('setupThemeToggle', error);
     }
 }
 
+/**
+ * Applies a theme to the page and toggle button
+ * @param {string} theme - 'light' or 'dark'
+ */
+function applyTheme(theme) {
+    const themeToggle = document.getElementById('themeToggle');
+    document.documentElement.classList.toggle('dark-mode', theme === 'dark');
+    if (themeToggle) {
+        themeToggle.textContent = theme === 'dark' ? '☀️' : '🌙';
+    }
+
+    // Reload charts if analytics view is active to update legend colors
+    const analyticsView = document.getElementById('analytics');
+    if (analyticsView && analyticsView.classList.contains('active')) {
+        AnalyticsView.loadAnalytics();
+    }
+}
+
 // Initialize all modules when DOM is ready
 /**
  * Main initialization function
@@ -1743,7 +9322,10 @@ function setupThemeToggle() {
  */
 document.addEventListener('DOMContentLoaded', () => {
     try {
-        // Initialize login page first
+        // Toasts and the error log first, so startup problems can be shown
+        ErrorHandler.init();
+
+        // Initialize login page
         LoginPageManager.init();
 
         // Initialize logout button
@@ -1763,14 +9345,34 @@ document.addEventListener('DOMContentLoaded', () => {
         UIManager.setupStressButtons();
         UIManager.updateStreak();
         
-        // Initialize check-in view
+        // Initialize check-in view and the History entry editor
         CheckInView.init();
+        EntryEditor.init();
         
-        // Initialize navigation
+        // Initialize navigation and the analytics range picker
         Navigation.init();
+        AnalyticsView.init();
+
+        // Initialize settings, activity tags, custom metrics, backup/restore and CSV import
+        SettingsView.init();
+        ActivityTags.init();
+        CustomMetrics.init();
+        BackupManager.init();
+        CSVImporter.init();
+
+        // Offline support and app updates, then daily check-in reminders
+        PwaManager.init();
+        ReminderManager.init();
+
+        // Show the view in the URL (last, once every view is ready)
+        Router.init();
         
         // Initialize theme toggle
         setupThemeToggle();
+
+        // Start background cloud sync and surface unresolved edit conflicts
+        SyncManager.init();
+        ConflictManager.init();
     } catch (error) {
         ErrorHandler.logError('DOMContentLoaded initialization', error);
         ErrorHandler.showError(
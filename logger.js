@@ -0,0 +1,156 @@
+// ============================================
+// Logger - Leveled, redacted console logging
+// ============================================
+// Loaded before the other scripts so every file can use it.
+//
+// Level (most to least verbose): debug, info, warn, error, silent
+// - AppConfig.logLevel (LOG_LEVEL) if set
+// - otherwise 'debug' with AppConfig.debug (DEBUG) or on localhost / file://
+// - otherwise 'silent' (production)
+// For troubleshooting a deployed app, set localStorage 'wellnessTrackerLogLevel'
+// to a level in the browser console; it overrides the above.
+//
+// Messages are redacted before they reach the console or the buffer.
+// The last AppConfig.logBufferSize messages (info and above, whatever the
+// console level) are kept in memory for the diagnostics export.
+
+const Logger = {
+    levels: { debug: 10, info: 20, warn: 30, error: 40, silent: 100 },
+    overrideKey: 'wellnessTrackerLogLevel',
+    bufferLevel: 'info',
+    defaultBufferSize: 200,
+
+    // Ring buffer of recent messages: {time, level, message}
+    buffer: [],
+
+    // Object keys whose values are never logged
+    sensitiveKeys: /pass(word|phrase)?|secret|token|api_?key|anon_?key|authorization|salt|hash|journal|email|^name$/i,
+
+    /**
+     * Console level in effect
+     * @returns {string} debug, info, warn, error or silent
+     */
+    getLevel() {
+        try {
+            const override = localStorage.getItem(this.overrideKey);
+            if (override && this.levels[override]) return override;
+        } catch (error) {
+            // Storage blocked - fall through to the configured level
+        }
+
+        const config = typeof AppConfig !== 'undefined' ? AppConfig : {};
+        if (config.logLevel && this.levels[config.logLevel]) return config.logLevel;
+        if (config.debug || !this.isProduction()) return 'debug';
+        return 'silent';
+    },
+
+    /**
+     * Anything served from a real host counts as production
+     * @returns {boolean} True unless running on localhost or from a file
+     */
+    isProduction() {
+        if (typeof location === 'undefined') return true;
+        if (location.protocol === 'file:') return false;
+        return !/^(localhost|127\.\d+\.\d+\.\d+|\[::1\]|.+\.local)$/.test(location.hostname);
+    },
+
+    /**
+     * Remove personal data and secrets from a value before logging it
+     * Emails, tokens, long keys and per-user storage key suffixes in strings;
+     * sensitive fields (passwords, journal text, names...) in objects.
+     * @param {*} value - Anything passed to a log call
+     * @param {number} [depth=0] - Nesting depth (objects deeper than 3 are summarized)
+     * @returns {*} Redacted copy
+     */
+    redact(value, depth = 0) {
+        if (typeof value === 'string') {
+            return value
+                .replace(/[^\s@'"<>()[\]]+@[^\s@'"<>()[\]]+\.[a-z]{2,}/gi, '[email]')
+                .replace(/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, '[token]')
+                .replace(/(wellnessTracker[A-Za-z]*_)\w+/g, '$1[user]')
+                .replace(/\b[A-Za-z0-9+/_-]{32,}={0,2}/g, '[secret]');
+        }
+        if (value instanceof Error) {
+            const copy = new Error(this.redact(value.message));
+            copy.name = value.name;
+            copy.stack = value.stack ? this.redact(value.stack) : undefined;
+            return copy;
+        }
+        if (Array.isArray(value)) {
+            return depth > 3 ? `[${value.length} items]` : value.map(item => this.redact(item, depth + 1));
+        }
+        if (value && typeof value === 'object') {
+            if (depth > 3) return '[object]';
+            const copy = {};
+            Object.keys(value).forEach(key => {
+                copy[key] = this.sensitiveKeys.test(key) ? '[redacted]' : this.redact(value[key], depth + 1);
+            });
+            return copy;
+        }
+        return value;
+    },
+
+    /**
+     * Log at a level
+     * @param {string} level - debug, info, warn or error
+     * @param {Array} args - Same arguments as console.log
+     */
+    write(level, args) {
+        const redacted = args.map(arg => this.redact(arg));
+
+        if (this.levels[level] >= this.levels[this.bufferLevel]) {
+            this.remember(level, redacted);
+        }
+        if (this.levels[level] < this.levels[this.getLevel()]) return;
+
+        const method = level === 'debug' ? 'log' : level;
+        console[method](...redacted);
+    },
+
+    remember(level, args) {
+        const config = typeof AppConfig !== 'undefined' ? AppConfig : {};
+        const size = config.logBufferSize !== undefined ? config.logBufferSize : this.defaultBufferSize;
+        if (size <= 0) return;
+
+        const message = args.map(arg => {
+            if (arg instanceof Error) return `${arg.name}: ${arg.message}`;
+            if (arg && typeof arg === 'object') {
+                try {
+                    return JSON.stringify(arg);
+                } catch (error) {
+                    return String(arg);
+                }
+            }
+            return String(arg);
+        }).join(' ');
+
+        this.buffer.push({ time: new Date().toISOString(), level, message: message.slice(0, 500) });
+        if (this.buffer.length > size) {
+            this.buffer.splice(0, this.buffer.length - size);
+        }
+    },
+
+    /**
+     * Recent messages for the diagnostics export, oldest first
+     * @returns {Array<{time: string, level: string, message: string}>} Buffered messages
+     */
+    getBuffer() {
+        return [...this.buffer];
+    },
+
+    debug(...args) {
+        this.write('debug', args);
+    },
+
+    info(...args) {
+        this.write('info', args);
+    },
+
+    warn(...args) {
+        this.write('warn', args);
+    },
+
+    error(...args) {
+        this.write('error', args);
+    }
+};
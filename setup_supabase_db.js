@@ -61,9 +61,23 @@ const sqlCommands = [
       sleep_hours DECIMAL(4,2),
       journal_notes TEXT,
       activities TEXT[],
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      metrics JSONB DEFAULT '{}'::jsonb,
+      check_ins JSONB,
+      checked_in_at TIMESTAMPTZ,
+      entry_date DATE NOT NULL,
+      revision INTEGER NOT NULL DEFAULT 1,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      field_updated_at JSONB DEFAULT '{}'::jsonb,
+      device_id TEXT,
+      deleted_at TIMESTAMPTZ,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_id, entry_date)
     );`,
     
+    // Index for incremental sync
+    `CREATE INDEX IF NOT EXISTS wellness_checkins_user_updated 
+      ON public.wellness_checkins (user_id, updated_at);`,
+    
     // Enable RLS on wellness_checkins
     `ALTER TABLE public.wellness_checkins ENABLE ROW LEVEL SECURITY;`,
     
@@ -76,7 +90,17 @@ const sqlCommands = [
     `CREATE POLICY IF NOT EXISTS "Users can insert own checkins" 
       ON public.wellness_checkins 
       FOR INSERT 
-      WITH CHECK (auth.uid() = user_id);`
+      WITH CHECK (auth.uid() = user_id);`,
+    
+    `CREATE POLICY IF NOT EXISTS "Users can update own checkins" 
+      ON public.wellness_checkins 
+      FOR UPDATE 
+      USING (auth.uid() = user_id);`,
+    
+    `CREATE POLICY IF NOT EXISTS "Users can delete own checkins" 
+      ON public.wellness_checkins 
+      FOR DELETE 
+      USING (auth.uid() = user_id);`
 ];
 
 // Execute SQL via Supabase REST API
@@ -70,10 +70,23 @@ sql_scripts = [
       sleep_hours DECIMAL(4,2),
       journal_notes TEXT,
       activities TEXT[],
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      metrics JSONB DEFAULT '{}'::jsonb,
+      check_ins JSONB,
+      checked_in_at TIMESTAMPTZ,
+      entry_date DATE NOT NULL,
+      revision INTEGER NOT NULL DEFAULT 1,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      field_updated_at JSONB DEFAULT '{}'::jsonb,
+      device_id TEXT,
+      deleted_at TIMESTAMPTZ,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_id, entry_date)
     );
     """,
     
+    # Index for incremental sync
+    "CREATE INDEX IF NOT EXISTS wellness_checkins_user_updated ON public.wellness_checkins (user_id, updated_at);",
+    
     # Enable RLS on wellness_checkins
     "ALTER TABLE public.wellness_checkins ENABLE ROW LEVEL SECURITY;",
     
@@ -91,6 +104,22 @@ sql_scripts = [
       ON public.wellness_checkins 
       FOR INSERT 
       WITH CHECK (auth.uid() = user_id);
+    """,
+    
+    # Policy: Users can update own check-ins
+    """
+    CREATE POLICY "Users can update own checkins" 
+      ON public.wellness_checkins 
+      FOR UPDATE 
+      USING (auth.uid() = user_id);
+    """,
+    
+    # Policy: Users can delete own check-ins
+    """
+    CREATE POLICY "Users can delete own checkins" 
+      ON public.wellness_checkins 
+      FOR DELETE 
+      USING (auth.uid() = user_id);
     """
 ]
 
@@ -13,7 +13,7 @@ const SupabaseAuthManager = {
      */
     async registerUser(name, email, password) {
         try {
-            console.log('[Supabase Register] Starting registration for:', email);
+            Logger.debug('[Supabase Register] Starting registration for:', email);
             
             // Validate inputs
             if (!name || !email || !password) {
@@ -33,7 +33,7 @@ const SupabaseAuthManager = {
             });
 
             if (error) {
-                console.error('[Supabase Register] Auth error:', error);
+                Logger.error('[Supabase Register] Auth error:', error);
                 return { success: false, message: error.message };
             }
 
@@ -45,10 +45,10 @@ const SupabaseAuthManager = {
                 return { success: false, message: 'Failed to create user profile' };
             }
 
-            console.log('[Supabase Register] User registered successfully:', email);
+            Logger.debug('[Supabase Register] User registered successfully:', email);
             return { success: true, message: 'Account created successfully. Please check your email to confirm.' };
         } catch (error) {
-            console.error('[Supabase Register] Error:', error);
+            Logger.error('[Supabase Register] Error:', error);
             return { success: false, message: 'Registration failed: ' + error.message };
         }
     },
@@ -72,7 +72,7 @@ const SupabaseAuthManager = {
             });
 
             if (error) {
-                console.error('[Supabase Login] Auth error:', error);
+                Logger.error('[Supabase Login] Auth error:', error);
                 return { success: false, message: error.message };
             }
 
@@ -94,10 +94,10 @@ const SupabaseAuthManager = {
             // Store in localStorage for quick access (Supabase also manages session)
             localStorage.setItem('wellnessTrackerCurrentUser', JSON.stringify(currentUser));
 
-            console.log('[Supabase Login] Login successful:', email);
+            Logger.debug('[Supabase Login] Login successful:', email);
             return { success: true, user: currentUser, message: 'Login successful' };
         } catch (error) {
-            console.error('[Supabase Login] Error:', error);
+            Logger.error('[Supabase Login] Error:', error);
             return { success: false, message: 'Login failed: ' + error.message };
         }
     },
@@ -112,10 +112,10 @@ const SupabaseAuthManager = {
             if (error) throw error;
             
             localStorage.removeItem('wellnessTrackerCurrentUser');
-            console.log('[Supabase Logout] User logged out successfully');
+            Logger.debug('[Supabase Logout] User logged out successfully');
             return { success: true };
         } catch (error) {
-            console.error('[Supabase Logout] Error:', error);
+            Logger.error('[Supabase Logout] Error:', error);
             return { success: false, message: error.message };
         }
     },
@@ -141,7 +141,7 @@ const SupabaseAuthManager = {
                 email: user.email
             };
         } catch (error) {
-            console.error('[Supabase getCurrentUser] Error:', error);
+            Logger.error('[Supabase getCurrentUser] Error:', error);
             return null;
         }
     },
@@ -155,7 +155,7 @@ const SupabaseAuthManager = {
             const { data: { user } } = await supabaseClient.auth.getUser();
             return user?.id || null;
         } catch (error) {
-            console.error('[Supabase getUserId] Error:', error);
+            Logger.error('[Supabase getUserId] Error:', error);
             return null;
         }
     },
@@ -177,6 +177,23 @@ const SupabaseAuthManager = {
 // ============================================
 
 const SupabaseStorageManager = {
+    /**
+     * Convert rows to entries, skipping (and logging) any row that fails validation
+     * @param {Array} rows - wellness_checkins rows
+     * @returns {Array} App entries
+     */
+    toEntries(rows) {
+        const entries = [];
+        rows.forEach(row => {
+            try {
+                entries.push(CheckInMapper.fromRow(row));
+            } catch (error) {
+                Logger.warn('[SupabaseStorageManager] Skipping invalid check-in:', error.message);
+            }
+        });
+        return entries;
+    },
+
     /**
      * Save a check-in entry to Supabase
      * @param {Object} entry - Entry object with mood, sleep, stress, journal, activities
@@ -189,141 +206,149 @@ const SupabaseStorageManager = {
                 throw new Error('User not authenticated');
             }
 
-            const result = await saveCheckIn(userId, {
-                mood: entry.mood,
-                stressLevel: entry.stress,
-                sleepHours: entry.sleep,
-                journalNotes: entry.journal,
-                activities: entry.activities
-            });
+            const result = await saveCheckIn(userId, entry);
 
             if (!result.success) {
                 throw new Error(result.error);
             }
 
-            console.log('[SupabaseStorageManager] Entry saved successfully');
+            Logger.debug('[SupabaseStorageManager] Entry saved successfully');
             return true;
         } catch (error) {
-            console.error('[SupabaseStorageManager.saveEntry] Error:', error);
+            Logger.error('[SupabaseStorageManager.saveEntry] Error:', error);
             throw error;
         }
     },
 
+    /**
+     * Get the authenticated user's ID or throw
+     * @returns {Promise<string>} User ID
+     */
+    async requireUserId() {
+        const userId = await SupabaseAuthManager.getUserId();
+        if (!userId) {
+            throw new Error('User not authenticated');
+        }
+        return userId;
+    },
+
     /**
      * Get entries for the last N days
      * @param {number} days - Number of days
+     * @param {string} [today] - User's current date (YYYY-MM-DD); defaults to the device's local date
      * @returns {Promise<Array>} Array of entries
      */
-    async getLastNDays(days) {
-        try {
-            const userId = await SupabaseAuthManager.getUserId();
-            if (!userId) {
-                throw new Error('User not authenticated');
-            }
-
-            const checkIns = await getUserCheckIns(userId);
-            
-            const cutoffDate = new Date();
-            cutoffDate.setDate(cutoffDate.getDate() - days);
-
-            return checkIns.filter(entry => 
-                new Date(entry.created_at) >= cutoffDate
-            );
-        } catch (error) {
-            console.error('[SupabaseStorageManager.getLastNDays] Error:', error);
-            return [];
-        }
+    async getLastNDays(days, today = new Date().toLocaleDateString('en-CA')) {
+        return this.getRange(shiftDateKey(today, -days), today);
     },
 
     /**
      * Get entry for a specific date
      * @param {string} date - Date in YYYY-MM-DD format
+     * @param {Object} [options]
+     * @param {boolean} [options.includeDeleted=false] - Return the delete marker (deletedAt) for a deleted day
      * @returns {Promise<Object|null>} Entry object or null
      */
-    async getEntry(date) {
+    async getEntry(date, { includeDeleted = false } = {}) {
         try {
-            const userId = await SupabaseAuthManager.getUserId();
-            if (!userId) {
-                throw new Error('User not authenticated');
-            }
+            const userId = await this.requireUserId();
+            const row = await getCheckInByDate(userId, date, includeDeleted);
+            return row ? this.toEntries([row])[0] || null : null;
+        } catch (error) {
+            Logger.error('[SupabaseStorageManager.getEntry] Error:', error);
+            throw error;
+        }
+    },
 
-            const checkIns = await getUserCheckIns(userId);
-            
-            // Find entry for the date
-            const entry = checkIns.find(e => {
-                const entryDate = e.created_at.split('T')[0];
-                return entryDate === date;
-            });
+    /**
+     * Get all entries for current user, fetched page by page
+     * @param {Object} [options]
+     * @param {number} [options.pageSize=200] - Rows per request
+     * @param {boolean} [options.includeDeleted=false] - Include deleted days (deletedAt set), for sync
+     * @returns {Promise<Array>} Array of all entries
+     */
+    async getAllEntries({ pageSize = 200, includeDeleted = false } = {}) {
+        try {
+            const userId = await this.requireUserId();
+            const rows = [];
+            let cursor = null;
+
+            do {
+                const page = await getCheckInsPage(userId, { cursor, limit: pageSize, includeDeleted });
+                rows.push(...page.rows);
+                cursor = page.nextCursor;
+            } while (cursor);
 
-            return entry ? {
-                date: entry.created_at.split('T')[0],
-                mood: entry.mood,
-                sleep: entry.sleep_hours,
-                stress: entry.stress_level,
-                journal: entry.journal_notes,
-                activities: entry.activities || []
-            } : null;
+            return this.toEntries(rows);
         } catch (error) {
-            console.error('[SupabaseStorageManager.getEntry] Error:', error);
-            return null;
+            Logger.error('[SupabaseStorageManager.getAllEntries] Error:', error);
+            throw error;
         }
     },
 
     /**
-     * Get all entries for current user
-     * @returns {Promise<Array>} Array of all entries
+     * Get entries between two dates, inclusive (filtered on the server)
+     * @param {string} startDate - Start date in YYYY-MM-DD format
+     * @param {string} endDate - End date in YYYY-MM-DD format
+     * @returns {Promise<Array>} Array of entries
      */
-    async getAllEntries() {
+    async getRange(startDate, endDate) {
         try {
-            const userId = await SupabaseAuthManager.getUserId();
-            if (!userId) {
-                throw new Error('User not authenticated');
+            const userId = await this.requireUserId();
+            return this.toEntries(await getCheckInsInRange(userId, startDate, endDate));
+        } catch (error) {
+            Logger.error('[SupabaseStorageManager.getRange] Error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get entries changed on the server after a point in time
+     * Deleted days come back as entries with deletedAt set
+     * @param {string} since - ISO timestamp
+     * @returns {Promise<Array>} Array of entries
+     */
+    async getEntriesUpdatedSince(since) {
+        const userId = await this.requireUserId();
+        return this.toEntries(await getCheckInsUpdatedSince(userId, since));
+    },
+
+    /**
+     * Delete the entry for a specific date
+     * The row is kept as a delete marker so other devices remove the day too
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @param {Object} [marker] - Delete marker from EntryVersioning.markDeleted
+     * @returns {Promise<boolean>} True if any rows were marked deleted
+     */
+    async deleteEntry(date, marker) {
+        try {
+            const userId = await this.requireUserId();
+            const result = await deleteCheckIns(userId, date, marker);
+            if (!result.success) {
+                throw new Error(result.error);
             }
 
-            const checkIns = await getUserCheckIns(userId);
-            
-            return checkIns.map(e => ({
-                date: e.created_at.split('T')[0],
-                mood: e.mood,
-                sleep: e.sleep_hours,
-                stress: e.stress_level,
-                journal: e.journal_notes,
-                activities: e.activities || [],
-                timestamp: e.created_at
-            }));
+            Logger.debug('[SupabaseStorageManager] Entry deleted for', date);
+            return result.data.length > 0;
         } catch (error) {
-            console.error('[SupabaseStorageManager.getAllEntries] Error:', error);
-            return [];
+            Logger.error('[SupabaseStorageManager.deleteEntry] Error:', error);
+            throw error;
         }
     },
 
     /**
-     * Calculate mood streak
+     * Calculate mood streak from a bounded window of entry dates
+     * @param {string} [today] - User's current date (YYYY-MM-DD); defaults to the device's local date
      * @returns {Promise<number>} Streak count
      */
-    async calculateStreak() {
+    async calculateStreak(today = new Date().toLocaleDateString('en-CA')) {
         try {
-            const entries = await this.getAllEntries();
-            if (entries.length === 0) return 0;
-
-            let streak = 0;
-            let currentDate = new Date();
-            currentDate.setHours(0, 0, 0, 0);
-
-            for (let i = 0; i < 365; i++) {
-                const dateStr = currentDate.toISOString().split('T')[0];
-                if (entries.find(e => e.date === dateStr)) {
-                    streak++;
-                } else {
-                    break;
-                }
-                currentDate.setDate(currentDate.getDate() - 1);
-            }
-
-            console.log('[SupabaseStorageManager.calculateStreak] Current streak:', streak);
+            const userId = await this.requireUserId();
+            const streak = await calculateCheckInStreak(userId, today);
+            Logger.debug('[SupabaseStorageManager.calculateStreak] Current streak:', streak);
             return streak;
         } catch (error) {
-            console.error('[SupabaseStorageManager.calculateStreak] Error:', error);
+            Logger.error('[SupabaseStorageManager.calculateStreak] Error:', error);
             return 0;
         }
     }
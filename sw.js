@@ -0,0 +1,141 @@
+// Service worker - Offline app shell and reminder notification clicks
+// (the notifications themselves are scheduled by ReminderManager in app.js)
+
+// Cache name. Deploys are found by comparing the shell with the server
+// (refreshShell), so this only needs a bump when the cache layout changes
+const CACHE_VERSION = 'wellness-v2';
+
+// Everything the app needs to start and run every view offline
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'app.js',
+    'logger.js',
+    'supabase-config.js',
+    'supabase-auth.js',
+    'vendor/chart.umd.min.js',
+    'vendor/supabase.js',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'icons/apple-touch-icon.png'
+];
+
+/**
+ * Download the app shell; the new worker then waits until the page asks it to take over
+ * (cache: 'reload' skips the long-lived HTTP cache set in netlify.toml)
+ */
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_VERSION);
+        await cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' })));
+    })());
+});
+
+/**
+ * Remove caches left by older versions
+ */
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+// Shell check in progress, shared by overlapping requests
+let refreshing = null;
+
+/**
+ * Stale-while-revalidate for the app shell as a whole: download every file
+ * again (cache: 'no-cache' makes an unchanged file a cheap 304) and, if any
+ * differs from the cached copy, store the new set and ask open pages to show
+ * "A new version is available". Nothing is replaced until every file has
+ * downloaded, so a reload never mixes two versions. Offline, nothing happens.
+ * @returns {Promise<void>}
+ */
+function refreshShell() {
+    if (refreshing) return refreshing;
+    refreshing = (async () => {
+        const cache = await caches.open(CACHE_VERSION);
+        const responses = await Promise.all(APP_SHELL.map(url => fetch(new Request(url, { cache: 'no-cache' }))));
+        if (responses.some(response => !response.ok)) return;
+
+        const changed = await Promise.all(responses.map(async (response, index) => {
+            const cached = await cache.match(APP_SHELL[index]);
+            return !cached || !(await sameBody(cached, response.clone()));
+        }));
+        if (!changed.includes(true)) return;
+
+        await Promise.all(responses.map((response, index) => cache.put(APP_SHELL[index], response)));
+        const windows = await self.clients.matchAll({ type: 'window' });
+        windows.forEach(client => client.postMessage({ type: 'update-available' }));
+    })().catch(() => {}).finally(() => {
+        refreshing = null;
+    });
+    return refreshing;
+}
+
+/**
+ * Compare two responses byte for byte
+ * @param {Response} a - One response
+ * @param {Response} b - Other response
+ * @returns {Promise<boolean>} True if the bodies are identical
+ */
+async function sameBody(a, b) {
+    const [left, right] = (await Promise.all([a.arrayBuffer(), b.arrayBuffer()])).map(buffer => new Uint8Array(buffer));
+    return left.length === right.length && left.every((byte, index) => byte === right[index]);
+}
+
+self.addEventListener('message', event => {
+    if (!event.data) return;
+    if (event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    } else if (event.data.type === 'check-update') {
+        event.waitUntil(refreshShell());
+    }
+});
+
+/**
+ * Same-origin requests come from the cache, so the page, script and styles
+ * always match; each app start then checks the server for a newer shell
+ * (refreshShell) and a deploy arrives through the update prompt.
+ * Any page path gets index.html (the app is a single page, see _redirects).
+ * Other origins (Supabase) go straight to the network.
+ */
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.waitUntil(refreshShell());
+    }
+    event.respondWith((async () => {
+        const cache = await caches.open(CACHE_VERSION);
+        const cached = request.mode === 'navigate'
+            ? await cache.match('index.html')
+            : await cache.match(request, { ignoreSearch: true });
+        return cached || fetch(request);
+    })());
+});
+
+/**
+ * Focus an open tab and switch it to the check-in view, or open a new one
+ */
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    const data = event.notification.data || {};
+    const url = new URL(data.url || './', self.registration.scope).href;
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const client = windows.find(win => win.url.startsWith(self.registration.scope));
+        if (client) {
+            client.postMessage({ type: 'open-view', view: 'check-in' });
+            return client.focus();
+        }
+        return self.clients.openWindow(url);
+    })());
+});